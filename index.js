@@ -5,10 +5,21 @@
 
 const ChatServer = require('./src/server');
 const connectDB = require('./src/config/connections');
+const { getStorageAdapter } = require('./src/storage');
+const { getClusterBroker } = require('./src/cluster');
 
 // Initialize database connection
 connectDB();
 
-// Create and start the server
-const chatServer = new ChatServer();
-chatServer.start();
\ No newline at end of file
+// Join the cluster, load persisted chats (if the storage adapter keeps any), then start the server
+getClusterBroker().connect()
+    .then(() => getStorageAdapter().init()
+        .catch((error) => console.error('Failed to load persisted storage:', error.message)))
+    .then(() => {
+        const chatServer = new ChatServer();
+        chatServer.start();
+    })
+    .catch((error) => {
+        console.error('Failed to join the cluster:', error.message);
+        process.exit(1);
+    });
\ No newline at end of file
@@ -0,0 +1,75 @@
+/**
+ * Cluster Broker
+ * Base interface for coordinating server instances
+ *
+ * A broker provides pub/sub between instances, atomic claims
+ * (used for "claim partner" semantics in the matching queue)
+ * and, optionally, a Socket.IO adapter for cross-node room emits.
+ */
+
+class ClusterBroker {
+    constructor(instanceId) {
+        this.instanceId = instanceId;
+        this.isDistributed = false;
+    }
+
+    /**
+     * Connect to the backing service
+     * @returns {Promise<void>}
+     */
+    async connect() {}
+
+    /**
+     * Disconnect from the backing service
+     * @returns {Promise<void>}
+     */
+    async disconnect() {}
+
+    /**
+     * Publish a message to the other instances
+     * @param {string} channel - Channel name
+     * @param {Object} message - JSON serializable message
+     * @returns {Promise<void>|void} Resolves once the message is sent (if the broker is asynchronous)
+     */
+    publish(channel, message) {
+        throw new Error(`${this.constructor.name} does not implement publish(${channel})`);
+    }
+
+    /**
+     * Subscribe to messages published by other instances
+     * @param {string} channel - Channel name
+     * @param {Function} handler - Called with (message, originInstanceId)
+     */
+    subscribe(channel, handler) {
+        throw new Error(`${this.constructor.name} does not implement subscribe(${channel})`);
+    }
+
+    /**
+     * Atomically claim a key; only one caller across all instances succeeds until it expires or is released
+     * @param {string} key - Key to claim
+     * @param {number} ttlMs - Claim lifetime in milliseconds
+     * @returns {Promise<boolean>} True if this caller won the claim
+     */
+    async claim(key, ttlMs) {
+        throw new Error(`${this.constructor.name} does not implement claim(${key})`);
+    }
+
+    /**
+     * Release a claimed key
+     * @param {string} key - Key to release
+     * @returns {Promise<void>}
+     */
+    async release(key) {
+        throw new Error(`${this.constructor.name} does not implement release(${key})`);
+    }
+
+    /**
+     * Get a Socket.IO adapter factory for cross-node room emits
+     * @returns {Function|null} Adapter factory or null to keep the default in-memory adapter
+     */
+    createSocketAdapter() {
+        return null;
+    }
+}
+
+module.exports = ClusterBroker;
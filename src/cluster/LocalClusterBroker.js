@@ -0,0 +1,125 @@
+/**
+ * Local Cluster Broker
+ * In-process stand-in for the Redis broker
+ *
+ * Brokers created in the same process share one message bus and claim table. A distributed broker
+ * (CLUSTER_MODE=local) runs the clustered storage and a Socket.IO cluster adapter over that bus, so
+ * several instances (each with its own instanceId, storage and Socket.IO server) work together in one
+ * process exactly as they would over Redis. A single server (CLUSTER_MODE=single) uses it as a no-op
+ * broker with the same claim semantics as Redis.
+ */
+
+const EventEmitter = require('events');
+const { AsyncResource } = require('async_hooks');
+const ClusterBroker = require('./ClusterBroker');
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+const claims = new Map(); // key -> { owner, expiresAt }
+const connectedInstances = new Set(); // instanceIds of the connected distributed brokers
+
+class LocalClusterBroker extends ClusterBroker {
+    /**
+     * @param {string} instanceId - Unique name of this instance
+     * @param {Object} options - { distributed } replicate state to the other brokers in this process
+     */
+    constructor(instanceId, { distributed = false } = {}) {
+        super(instanceId);
+        this.isDistributed = distributed;
+        this.listeners = [];
+    }
+
+    /**
+     * Join the in-process cluster
+     * Messages from a broker with the same instanceId would be ignored as our own, so IDs must be unique
+     */
+    async connect() {
+        if (!this.isDistributed) return;
+
+        if (connectedInstances.has(this.instanceId)) {
+            throw new Error(`Instance ${this.instanceId} is already part of the local cluster`);
+        }
+        connectedInstances.add(this.instanceId);
+    }
+
+    /**
+     * Remove this broker's subscriptions and leave the in-process cluster
+     */
+    async disconnect() {
+        this.listeners.forEach(({ channel, listener }) => bus.off(channel, listener));
+        this.listeners = [];
+
+        if (this.isDistributed) {
+            connectedInstances.delete(this.instanceId);
+        }
+    }
+
+    /**
+     * Publish a message to other brokers in this process
+     * @param {string} channel - Channel name
+     * @param {Object} message - JSON serializable message
+     */
+    publish(channel, message) {
+        // Round-trip through JSON so local delivery behaves like Redis
+        const payload = JSON.stringify(message);
+        setImmediate(() => bus.emit(channel, payload, this.instanceId));
+    }
+
+    /**
+     * Subscribe to messages published by other brokers in this process
+     * The handler runs as part of the instance that subscribed, not the one that published
+     * @param {string} channel - Channel name
+     * @param {Function} handler - Called with (message, originInstanceId)
+     */
+    subscribe(channel, handler) {
+        const listener = AsyncResource.bind((payload, origin) => {
+            if (origin !== this.instanceId) {
+                handler(JSON.parse(payload), origin);
+            }
+        });
+
+        bus.on(channel, listener);
+        this.listeners.push({ channel, listener });
+    }
+
+    /**
+     * Atomically claim a key (single-threaded, so a plain check-and-set is atomic)
+     * @param {string} key - Key to claim
+     * @param {number} ttlMs - Claim lifetime in milliseconds
+     * @returns {Promise<boolean>} True if this caller won the claim
+     */
+    async claim(key, ttlMs) {
+        const existing = claims.get(key);
+        if (existing && existing.expiresAt > Date.now()) {
+            return false;
+        }
+
+        claims.set(key, {
+            owner: this.instanceId,
+            expiresAt: Date.now() + ttlMs
+        });
+        return true;
+    }
+
+    /**
+     * Release a claimed key
+     * @param {string} key - Key to release
+     */
+    async release(key) {
+        claims.delete(key);
+    }
+
+    /**
+     * Get the Socket.IO adapter factory for the in-process cluster
+     * @returns {Function|null} Adapter factory, or null for a single server
+     */
+    createSocketAdapter() {
+        if (!this.isDistributed) return null;
+
+        const { createLocalSocketAdapter } = require('./LocalSocketAdapter');
+        return createLocalSocketAdapter(bus);
+    }
+}
+
+module.exports = LocalClusterBroker;
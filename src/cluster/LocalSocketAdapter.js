@@ -0,0 +1,84 @@
+/**
+ * Local Socket.IO Adapter
+ * In-process stand-in for the Socket.IO Redis adapter
+ *
+ * Forwards room emits, joins and socket lookups between Socket.IO servers of the same process
+ * over the local broker's message bus, so a socket on one instance receives emits made on another.
+ */
+
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+
+const MESSAGE_CHANNEL = 'socket.io:message';
+const RESPONSE_CHANNEL = 'socket.io:response';
+
+class LocalSocketAdapter extends ClusterAdapterWithHeartbeat {
+    /**
+     * @param {Namespace} nsp - Socket.IO namespace
+     * @param {EventEmitter} bus - In-process message bus shared by the local brokers
+     */
+    constructor(nsp, bus) {
+        super(nsp, {});
+        this.bus = bus;
+
+        this.messageListener = (message) => {
+            if (message.nsp === this.nsp.name) {
+                this.onMessage(message);
+            }
+        };
+        this.responseListener = (requesterUid, response) => {
+            if (requesterUid === this.uid && response.nsp === this.nsp.name) {
+                this.onResponse(response);
+            }
+        };
+
+        bus.on(MESSAGE_CHANNEL, this.messageListener);
+        bus.on(RESPONSE_CHANNEL, this.responseListener);
+    }
+
+    /**
+     * Send a message to the other Socket.IO servers in this process
+     * Packets are handed over as they are, so binary attachments need no encoding
+     * @param {Object} message - Cluster message
+     * @returns {Promise<string>} Empty offset (connection state recovery is not supported)
+     */
+    doPublish(message) {
+        setImmediate(() => this.bus.emit(MESSAGE_CHANNEL, message));
+        return Promise.resolve('');
+    }
+
+    /**
+     * Send a response to the Socket.IO server that asked
+     * @param {string} requesterUid - Requesting server's ID
+     * @param {Object} response - Cluster response
+     * @returns {Promise<void>}
+     */
+    doPublishResponse(requesterUid, response) {
+        setImmediate(() => this.bus.emit(RESPONSE_CHANNEL, requesterUid, response));
+        return Promise.resolve();
+    }
+
+    /**
+     * Stop forwarding once the Socket.IO server closes
+     */
+    close() {
+        super.close();
+        this.bus.off(MESSAGE_CHANNEL, this.messageListener);
+        this.bus.off(RESPONSE_CHANNEL, this.responseListener);
+    }
+}
+
+/**
+ * Create a Socket.IO adapter factory bound to a message bus
+ * @param {EventEmitter} bus - In-process message bus shared by the local brokers
+ * @returns {Function} Adapter factory for io.adapter()
+ */
+function createLocalSocketAdapter(bus) {
+    return function (nsp) {
+        return new LocalSocketAdapter(nsp, bus);
+    };
+}
+
+module.exports = {
+    LocalSocketAdapter,
+    createLocalSocketAdapter
+};
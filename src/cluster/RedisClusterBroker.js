@@ -0,0 +1,126 @@
+/**
+ * Redis Cluster Broker
+ * Coordinates server instances through Redis pub/sub and SET NX claims,
+ * and provides the Socket.IO Redis adapter for cross-node room emits
+ */
+
+const ClusterBroker = require('./ClusterBroker');
+
+class RedisClusterBroker extends ClusterBroker {
+    /**
+     * @param {string} instanceId - Unique name of this instance
+     * @param {Object} options - { redisUrl, keyPrefix }
+     */
+    constructor(instanceId, { redisUrl, keyPrefix }) {
+        super(instanceId);
+        this.isDistributed = true;
+        this.redisUrl = redisUrl;
+        this.keyPrefix = keyPrefix;
+        this.pubClient = null;
+        this.subClient = null;
+        this.adapterPubClient = null;
+        this.adapterSubClient = null;
+    }
+
+    /**
+     * Connect the Redis clients
+     */
+    async connect() {
+        const { createClient } = require('redis');
+
+        this.pubClient = createClient({ url: this.redisUrl });
+        this.subClient = this.pubClient.duplicate();
+        this.adapterPubClient = this.pubClient.duplicate();
+        this.adapterSubClient = this.pubClient.duplicate();
+
+        const clients = [this.pubClient, this.subClient, this.adapterPubClient, this.adapterSubClient];
+        clients.forEach(client => {
+            client.on('error', (error) => console.error('Redis client error:', error.message));
+        });
+
+        await Promise.all(clients.map(client => client.connect()));
+        console.log(`Cluster broker connected to Redis as ${this.instanceId}`);
+    }
+
+    /**
+     * Disconnect the Redis clients
+     */
+    async disconnect() {
+        const clients = [this.pubClient, this.subClient, this.adapterPubClient, this.adapterSubClient];
+        await Promise.all(clients.filter(Boolean).map(client => client.quit()));
+    }
+
+    /**
+     * Build a prefixed Redis key or channel name
+     * @param {string} name - Key or channel name
+     * @returns {string} Prefixed name
+     */
+    key(name) {
+        return `${this.keyPrefix}:${name}`;
+    }
+
+    /**
+     * Publish a message to the other instances
+     * @param {string} channel - Channel name
+     * @param {Object} message - JSON serializable message
+     * @returns {Promise<void>} Resolves once the message is sent
+     */
+    publish(channel, message) {
+        const payload = JSON.stringify({ origin: this.instanceId, message });
+
+        return this.pubClient.publish(this.key(channel), payload).catch(error => {
+            console.error(`Failed to publish to ${channel}: ${error.message}`);
+        });
+    }
+
+    /**
+     * Subscribe to messages published by other instances
+     * @param {string} channel - Channel name
+     * @param {Function} handler - Called with (message, originInstanceId)
+     */
+    subscribe(channel, handler) {
+        this.subClient.subscribe(this.key(channel), (payload) => {
+            const { origin, message } = JSON.parse(payload);
+            if (origin !== this.instanceId) {
+                handler(message, origin);
+            }
+        }).catch(error => {
+            console.error(`Failed to subscribe to ${channel}: ${error.message}`);
+        });
+    }
+
+    /**
+     * Atomically claim a key with SET NX PX
+     * @param {string} key - Key to claim
+     * @param {number} ttlMs - Claim lifetime in milliseconds
+     * @returns {Promise<boolean>} True if this caller won the claim
+     */
+    async claim(key, ttlMs) {
+        const result = await this.pubClient.set(this.key(`claim:${key}`), this.instanceId, {
+            NX: true,
+            PX: ttlMs
+        });
+        return result === 'OK';
+    }
+
+    /**
+     * Release a claimed key
+     * @param {string} key - Key to release
+     */
+    async release(key) {
+        await this.pubClient.del(this.key(`claim:${key}`));
+    }
+
+    /**
+     * Get the Socket.IO Redis adapter factory
+     * @returns {Function} Adapter factory
+     */
+    createSocketAdapter() {
+        const { createAdapter } = require('@socket.io/redis-adapter');
+        return createAdapter(this.adapterPubClient, this.adapterSubClient, {
+            key: this.key('socket.io')
+        });
+    }
+}
+
+module.exports = RedisClusterBroker;
@@ -0,0 +1,55 @@
+/**
+ * Cluster broker factory
+ * Returns the broker of the running server instance, or the shared broker selected by the cluster configuration
+ */
+
+const clusterConfig = require('../config/cluster');
+const { getCurrentInstance } = require('./instanceContext');
+
+let broker = null;
+
+/**
+ * Create a broker for the configured mode
+ * @param {Object} options - Overrides of the cluster configuration ({ mode, instanceId })
+ * @returns {ClusterBroker} Cluster broker
+ */
+function createClusterBroker({ mode = clusterConfig.mode, instanceId = clusterConfig.instanceId } = {}) {
+    switch (mode) {
+        case 'redis': {
+            const RedisClusterBroker = require('./RedisClusterBroker');
+            return new RedisClusterBroker(instanceId, {
+                redisUrl: clusterConfig.redisUrl,
+                keyPrefix: clusterConfig.keyPrefix
+            });
+        }
+        case 'local':
+        case 'single': {
+            const LocalClusterBroker = require('./LocalClusterBroker');
+            return new LocalClusterBroker(instanceId, { distributed: mode === 'local' });
+        }
+        default:
+            throw new Error(`Unknown cluster mode: ${mode}`);
+    }
+}
+
+/**
+ * Get the cluster broker of the running server instance
+ * Falls back to the shared broker when the code does not belong to an instance with its own
+ * @returns {ClusterBroker} Cluster broker
+ */
+function getClusterBroker() {
+    const instance = getCurrentInstance();
+    if (instance && instance.broker) {
+        return instance.broker;
+    }
+
+    if (!broker) {
+        broker = createClusterBroker();
+    }
+    return broker;
+}
+
+module.exports = {
+    createClusterBroker,
+    getClusterBroker
+};
@@ -0,0 +1,35 @@
+/**
+ * Instance context
+ * Tracks which server instance the running code belongs to, so several instances (each with its own
+ * cluster broker and storage adapter) can share one process
+ *
+ * Everything started inside runInInstance sees that instance: promises, timers and the connections
+ * accepted by a server that started listening inside it.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const instanceStorage = new AsyncLocalStorage();
+
+/**
+ * Run a callback as part of a server instance
+ * @param {Object} instance - { broker, storage }
+ * @param {Function} callback - Code to run
+ * @returns {*} Callback result
+ */
+function runInInstance(instance, callback) {
+    return instanceStorage.run(instance, callback);
+}
+
+/**
+ * Get the server instance the running code belongs to
+ * @returns {Object|null} { broker, storage } or null outside any instance
+ */
+function getCurrentInstance() {
+    return instanceStorage.getStore() || null;
+}
+
+module.exports = {
+    runInInstance,
+    getCurrentInstance
+};
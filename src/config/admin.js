@@ -0,0 +1,20 @@
+/**
+ * Admin authentication configuration
+ * API keys and the bearer token signing secret are loaded from the environment
+ */
+
+const { parseDuration } = require('../utils/helpers');
+
+module.exports = {
+    // Comma separated list of static API keys
+    apiKeys: (process.env.ADMIN_API_KEYS || '')
+        .split(',')
+        .map(key => key.trim())
+        .filter(Boolean),
+
+    // Secret used to sign and verify admin bearer tokens (HMAC-SHA256)
+    tokenSecret: process.env.ADMIN_TOKEN_SECRET || null,
+
+    // Default lifetime of issued bearer tokens
+    tokenTtlMs: parseDuration(process.env.ADMIN_TOKEN_TTL_MS, 12 * 60 * 60 * 1000, 1)
+};
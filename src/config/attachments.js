@@ -0,0 +1,57 @@
+/**
+ * Attachment configuration
+ * Controls where uploaded images are stored, which files are accepted and how uploads are authorized
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { parseDuration } = require('../utils/helpers');
+
+/**
+ * Parse a positive size in bytes
+ * @param {string} value - Raw environment value
+ * @param {number} fallback - Size to use when value is missing or invalid
+ * @returns {number} Size in bytes
+ */
+function parseSize(value, fallback) {
+    const size = parseInt(value, 10);
+    return Number.isFinite(size) && size > 0 ? size : fallback;
+}
+
+/**
+ * Parse a comma separated list of MIME types
+ * @param {string} value - Raw environment value
+ * @param {Array} fallback - MIME types to use when value is empty
+ * @returns {Array} Lower-case MIME types
+ */
+function parseMimeTypes(value, fallback) {
+    if (!value) return fallback;
+
+    const mimeTypes = value.split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean);
+    return mimeTypes.length > 0 ? mimeTypes : fallback;
+}
+
+module.exports = {
+    // "local" (default) keeps files on this instance's disk
+    driver: (process.env.ATTACHMENT_STORE || 'local').toLowerCase(),
+
+    // Directory the local store writes to (one sub-directory per chat or group)
+    uploadDir: path.resolve(process.env.ATTACHMENT_DIR || path.join(process.cwd(), 'uploads')),
+
+    // Whether every instance mounts the same upload directory (e.g. a network volume);
+    // required by CLUSTER_MODE=redis, where any instance may serve or delete any attachment
+    uploadDirShared: process.env.ATTACHMENT_DIR_SHARED === 'true',
+
+    // Largest accepted upload
+    maxSizeBytes: parseSize(process.env.ATTACHMENT_MAX_BYTES, 5 * 1024 * 1024),
+
+    // Accepted upload types (ATTACHMENT_MIME_TYPES, comma separated)
+    allowedMimeTypes: parseMimeTypes(process.env.ATTACHMENT_MIME_TYPES, ['image/jpeg', 'image/png', 'image/gif', 'image/webp']),
+
+    // Secret used to sign the upload/download tokens handed out on registration (HMAC-SHA256)
+    // Instances of a cluster must share it; without one every restart invalidates issued tokens
+    tokenSecret: process.env.ATTACHMENT_TOKEN_SECRET || crypto.randomBytes(32).toString('hex'),
+
+    // Lifetime of upload/download tokens
+    tokenTtlMs: parseDuration(process.env.ATTACHMENT_TOKEN_TTL_MS, 24 * 60 * 60 * 1000, 1)
+};
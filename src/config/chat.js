@@ -0,0 +1,51 @@
+/**
+ * Chat configuration
+ * Controls what one-on-one partners learn about each other, how long friend invitations last,
+ * how often typing indicators are relayed, how long recipients have to acknowledge messages,
+ * how long senders can edit or unsend them and which reactions can be added
+ */
+
+const { parseDuration } = require('../utils/helpers');
+
+/**
+ * Parse a comma separated list of reactions
+ * @param {string} value - Raw environment value
+ * @param {Array} fallback - Reactions to use when value is empty
+ * @returns {Array} Reactions
+ */
+function parseReactions(value, fallback) {
+    if (!value) return fallback;
+
+    const reactions = value.split(',').map(entry => entry.trim()).filter(Boolean);
+    return reactions.length > 0 ? reactions : fallback;
+}
+
+module.exports = {
+    // Partners only see each other's nickname until both send requestReveal
+    // Set ANONYMOUS_CHATS=false to share name, avatar and gender as soon as the chat starts
+    anonymousChats: process.env.ANONYMOUS_CHATS !== 'false',
+
+    // How long a friend has to accept an invitation to a private chat
+    inviteTtlMs: 60 * 1000,
+
+    // Repeated typing events from the same user are relayed at most once per interval
+    typingThrottleMs: 2 * 1000,
+
+    // A user who stops sending typing events is reported as having stopped after this long
+    typingTimeoutMs: 5 * 1000,
+
+    // How long a recipient's device has to acknowledge messageReceived before the message stays undelivered
+    deliveryAckTimeoutMs: 10 * 1000,
+
+    // Longest idempotency key (clientMessageId) accepted with a message
+    maxClientMessageIdLength: 64,
+
+    // How long after sending a message its sender can still edit or unsend it (0 disables both)
+    messageEditWindowMs: parseDuration(process.env.MESSAGE_EDIT_WINDOW_MS, 15 * 60 * 1000),
+
+    // Maximum length of the quoted text shown with a reply
+    replySnippetLength: 100,
+
+    // Reactions users can add to messages (MESSAGE_REACTIONS, comma separated)
+    allowedReactions: parseReactions(process.env.MESSAGE_REACTIONS, ['👍', '❤️', '😂', '😮', '😢', '🙏'])
+};
@@ -0,0 +1,25 @@
+/**
+ * Cluster configuration
+ * Controls how server instances share the matching queue, user registry and chat state
+ */
+
+const os = require('os');
+const { parseDuration } = require('../utils/helpers');
+
+module.exports = {
+    // "single" (one instance, no replication), "local" (several instances in one process sharing an
+    // in-process broker) or "redis" (multiple instances)
+    mode: (process.env.CLUSTER_MODE || 'single').toLowerCase(),
+
+    // Redis connection used for pub/sub, partner claims and the Socket.IO adapter
+    redisUrl: process.env.REDIS_URL || 'redis://localhost:6379',
+
+    // Prefix for every Redis key and channel used by the cluster
+    keyPrefix: process.env.CLUSTER_KEY_PREFIX || 'random-chat',
+
+    // Unique name of this server instance
+    instanceId: process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}`,
+
+    // How long a partner claim is held while a chat is being started
+    claimTtlMs: parseDuration(process.env.CLUSTER_CLAIM_TTL_MS, 10000, 1)
+};
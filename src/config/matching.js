@@ -0,0 +1,73 @@
+/**
+ * Matching configuration
+ * Controls how ages, interest tags, languages, regions and past partners influence partner matching
+ */
+
+const { parseDuration } = require('../utils/helpers');
+
+/**
+ * Parse a comma separated list of language codes
+ * @param {string} value - Raw environment value
+ * @param {Array} fallback - Languages to use when value is empty
+ * @returns {Array} Lowercase language codes
+ */
+function parseLanguages(value, fallback) {
+    if (!value) return fallback;
+
+    const languages = value.split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean);
+    return languages.length > 0 ? languages : fallback;
+}
+
+module.exports = {
+    // Optional requirements (tags, languages, recent partners) relax in this many equal steps over their wait
+    relaxationSteps: Number(process.env.MATCH_RELAXATION_STEPS) || 3,
+
+    // How long a user with interest tags waits before accepting anyone; until then the number of shared
+    // tags they require drops step by step from maxRequiredSharedTags (or their tag count) to one
+    // Set MATCH_TAG_FALLBACK_MS=0 to only use tags for ranking partners
+    tagFallbackMs: parseDuration(process.env.MATCH_TAG_FALLBACK_MS, 15 * 1000),
+    maxRequiredSharedTags: 3,
+
+    // Limits applied to the tags sent with startChat
+    maxTags: 10,
+    maxTagLength: 30,
+
+    // Languages users can list in their profile
+    supportedLanguages: parseLanguages(process.env.SUPPORTED_LANGUAGES, ['en', 'hi']),
+
+    // "strict" never matches users without a common language; "soft" accepts same-region partners without
+    // one after the first relaxation step of MATCH_LANGUAGE_RELAX_MS, and anyone once it is over
+    languageMode: process.env.MATCH_LANGUAGE_MODE === 'strict' ? 'strict' : 'soft',
+    languageRelaxMs: parseDuration(process.env.MATCH_LANGUAGE_RELAX_MS, 30 * 1000),
+
+    // How long two users are kept apart after their chat ends (blocked partners are never matched again)
+    // Set MATCH_RECENT_PARTNER_TTL_MS=0 to allow matching the same partner again straight away
+    recentPartnerTtlMs: parseDuration(process.env.MATCH_RECENT_PARTNER_TTL_MS, 10 * 60 * 1000),
+
+    // How long both users must have waited before any recent partner is accepted anyway; meanwhile the
+    // time they are kept apart shrinks step by step, so older partners are accepted first
+    recentPartnerRelaxMs: parseDuration(process.env.MATCH_RECENT_PARTNER_RELAX_MS, 60 * 1000),
+
+    // Points a candidate earns when ranking partners; the highest total wins and ties go to the longest wait
+    scoreWeights: {
+        commonLanguage: 100,
+        sharedTag: 20,
+        sameRegion: 10,
+        waitSecond: 1, // Per second the candidate has been waiting
+        recentPartner: -150 // Recent partner accepted after the relaxation wait
+    },
+
+    // Number of recent match wait times kept for the wait-time percentiles
+    waitTimeSamples: 1000,
+
+    // Recent matches used to estimate queue wait times
+    matchRateWindowMs: 5 * 60 * 1000,
+
+    // How often waiting users receive queueStatus updates (set QUEUE_STATUS_INTERVAL_MS=0 to only send them on joining)
+    queueStatusIntervalMs: parseDuration(process.env.QUEUE_STATUS_INTERVAL_MS, 5 * 1000),
+
+    // Youngest age a birth year may give, and the age below which users are only matched with each other
+    minimumAge: 13,
+    adultAge: 18,
+    maximumAge: 120
+};
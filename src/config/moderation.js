@@ -0,0 +1,38 @@
+/**
+ * Moderation configuration
+ * Report thresholds and escalating ban durations used for automatic bans
+ */
+
+const { parseDuration } = require('../utils/helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Parse a comma separated list of ban durations in milliseconds
+ * "permanent" entries become null (no end time)
+ * @param {string} value - Raw environment value
+ * @param {Array} fallback - Durations to use when value is empty or invalid
+ * @returns {Array} Ban durations
+ */
+function parseBanDurations(value, fallback) {
+    if (!value) return fallback;
+
+    const durations = value.split(',').map(entry => {
+        const trimmed = entry.trim().toLowerCase();
+        if (trimmed === 'permanent') return null;
+
+        const duration = Number(trimmed);
+        return Number.isFinite(duration) && duration > 0 ? duration : undefined;
+    });
+
+    return durations.length > 0 && !durations.includes(undefined) ? durations : fallback;
+}
+
+module.exports = {
+    autoBan: {
+        enabled: process.env.AUTO_BAN_ENABLED !== 'false',
+        reportWindowMs: parseDuration(process.env.AUTO_BAN_REPORT_WINDOW_MS, 24 * HOUR, 1),
+        reporterThreshold: Number(process.env.AUTO_BAN_REPORTER_THRESHOLD) || 3,
+        banDurations: parseBanDurations(process.env.AUTO_BAN_DURATIONS, [HOUR, 24 * HOUR, null])
+    }
+};
@@ -0,0 +1,15 @@
+/**
+ * Session configuration
+ * Controls how long a socket has to register its device and how long a disconnected
+ * device can take to reconnect before its chat ends
+ */
+
+const { parseDuration } = require('../utils/helpers');
+
+module.exports = {
+    // Set REGISTRATION_TIMEOUT_MS=0 to let sockets stay connected without registering
+    registrationTimeoutMs: parseDuration(process.env.REGISTRATION_TIMEOUT_MS, 10 * 1000),
+
+    // Set RECONNECT_GRACE_PERIOD_MS=0 to end chats immediately on disconnect
+    reconnectGracePeriodMs: parseDuration(process.env.RECONNECT_GRACE_PERIOD_MS, 30 * 1000)
+};
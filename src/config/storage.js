@@ -0,0 +1,14 @@
+/**
+ * Storage configuration
+ * Selects the storage adapter used by the repositories
+ */
+
+const { parseDuration } = require('../utils/helpers');
+
+module.exports = {
+    // "memory" (default, nothing survives a restart) or "mongo" (chats and groups persisted)
+    driver: (process.env.STORAGE_DRIVER || 'memory').toLowerCase(),
+
+    // Delay used to batch repeated saves of the same chat into one database write
+    flushDelayMs: parseDuration(process.env.STORAGE_FLUSH_DELAY_MS, 200)
+};
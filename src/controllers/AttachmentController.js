@@ -0,0 +1,139 @@
+/**
+ * Attachment Controller
+ * REST API for uploading images to the current chat or group and downloading them
+ *
+ * Both routes need the attachmentToken sent with deviceRegistered. Uploads are the raw file body
+ * with its Content-Type (and an optional X-File-Name header); the returned attachment ID is then
+ * passed to sendMessage or sendGroupMessage.
+ */
+
+const express = require('express');
+const AttachmentService = require('../services/attachmentService');
+const { requireAttachmentUser } = require('../middleware/attachmentAuth');
+const attachmentsConfig = require('../config/attachments');
+
+class AttachmentController {
+    constructor() {
+        this.maxNameLength = 255;
+        this.parseBody = express.raw({ type: () => true, limit: attachmentsConfig.maxSizeBytes });
+    }
+
+    /**
+     * Mount attachment routes
+     * @param {Object} app - Express app instance
+     * @param {string} basePath - Mount path for the router
+     */
+    setupRoutes(app, basePath = '/api/attachments') {
+        const router = express.Router();
+
+        router.use(requireAttachmentUser);
+        router.post('/', (req, res, next) => this.readUpload(req, res, next), (req, res) => this.uploadAttachment(req, res));
+        router.get('/:attachmentId', (req, res) => this.downloadAttachment(req, res));
+
+        app.use(basePath, router);
+    }
+
+    /**
+     * Read the upload body, answering 413 when it exceeds the size limit
+     */
+    readUpload(req, res, next) {
+        this.parseBody(req, res, (error) => {
+            if (!error) return next();
+
+            res.status(error.status || 400).json({
+                error: 'Upload failed',
+                message: error.type === 'entity.too.large' ? 'File is too large' : error.message,
+                timestamp: new Date()
+            });
+        });
+    }
+
+    /**
+     * Store an uploaded image for the user's chat or group
+     */
+    async uploadAttachment(req, res) {
+        try {
+            const attachment = await AttachmentService.createAttachment(req.userId, {
+                mimeType: req.get('content-type'),
+                name: this.parseFileName(req.get('x-file-name')),
+                data: req.body
+            });
+
+            res.status(201).json({
+                attachmentId: attachment.id,
+                mimeType: attachment.mimeType,
+                size: attachment.size,
+                name: attachment.name,
+                conversationId: attachment.conversationId,
+                timestamp: new Date()
+            });
+        } catch (error) {
+            console.error('Error uploading attachment:', error.message);
+            res.status(error.status || 500).json({
+                error: 'Upload failed',
+                message: error.message,
+                timestamp: new Date()
+            });
+        }
+    }
+
+    /**
+     * Send an attachment to a participant of its chat or group
+     * Answers 404 to everyone else, so attachment IDs of other chats cannot be probed
+     */
+    async downloadAttachment(req, res) {
+        try {
+            const opened = await AttachmentService.openAttachment(req.params.attachmentId, req.userId);
+            if (!opened) {
+                return res.status(404).json({
+                    error: 'Attachment not found',
+                    message: `No attachment ${req.params.attachmentId} in your current chat or group`,
+                    timestamp: new Date()
+                });
+            }
+
+            const { attachment, stream } = opened;
+            res.set({
+                'Content-Type': attachment.mimeType,
+                'Content-Length': attachment.size,
+                'Content-Disposition': 'inline',
+                'Cache-Control': 'private, no-store',
+                'X-Content-Type-Options': 'nosniff'
+            });
+
+            stream.on('error', (error) => {
+                console.error('Error reading attachment:', error.message);
+                res.destroy(error);
+            });
+            stream.pipe(res);
+        } catch (error) {
+            console.error('Error downloading attachment:', error.message);
+            res.status(500).json({
+                error: 'Download failed',
+                message: error.message,
+                timestamp: new Date()
+            });
+        }
+    }
+
+    /**
+     * Read the optional file name header (URI encoded to allow non-ASCII names)
+     * @param {string} header - Raw X-File-Name header
+     * @returns {string|null} File name without directories, or null
+     */
+    parseFileName(header) {
+        if (!header) return null;
+
+        let name;
+        try {
+            name = decodeURIComponent(header);
+        } catch (error) {
+            name = header;
+        }
+
+        name = name.split(/[\\/]/).pop().replace(/[\x00-\x1f\x7f]/g, '').trim();
+        return name ? name.substring(0, this.maxNameLength) : null;
+    }
+}
+
+module.exports = AttachmentController;
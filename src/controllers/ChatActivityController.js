@@ -0,0 +1,179 @@
+/**
+ * Chat Activity Controller
+ * Handles typing indicators and read receipts in one-on-one chats and group chats
+ */
+
+const ChatRepository = require('../repositories/ChatRepository');
+const GroupChatRepository = require('../repositories/GroupChatRepository');
+const UserController = require('./UserController');
+const chatConfig = require('../config/chat');
+
+class ChatActivityController {
+    /**
+     * @param {Object} io - Socket.IO server instance
+     */
+    constructor(io) {
+        this.io = io;
+        this.chatRepository = new ChatRepository();
+        this.groupChatRepository = new GroupChatRepository();
+        this.userController = new UserController();
+        this.typingStates = new Map(); // userId -> { roomId, context, publicId, lastRelayedAt, timer }
+    }
+
+    /**
+     * Tell the user's chat partner or group that they are typing
+     * Relayed at most once per throttle interval; stops by itself if the user goes quiet
+     * @param {string} userId - Typing user's ID
+     * @returns {Object} Typing result ({ relayed } false when throttled)
+     */
+    startTyping(userId) {
+        try {
+            const found = this.findConversation(userId);
+            if (!found) {
+                throw new Error('User not in any active chat or group');
+            }
+
+            const room = { roomId: found.conversation.id, context: found.context };
+            const now = Date.now();
+            let state = this.typingStates.get(userId);
+
+            // Typing moved to another chat: the old one should not keep showing it
+            if (state && state.roomId !== room.roomId) {
+                this.stopTyping(userId);
+                state = null;
+            }
+
+            const relayed = !state || now - state.lastRelayedAt >= chatConfig.typingThrottleMs;
+
+            if (state) {
+                clearTimeout(state.timer);
+            }
+
+            const publicId = this.userController.getPublicId(userId);
+
+            if (relayed) {
+                this.io.to(room.roomId).except(userId).emit('typing', {
+                    ...room.context,
+                    userId: publicId,
+                    timestamp: new Date(now)
+                });
+            }
+
+            this.typingStates.set(userId, {
+                ...room,
+                publicId,
+                lastRelayedAt: relayed ? now : state.lastRelayedAt,
+                timer: setTimeout(() => this.stopTyping(userId), chatConfig.typingTimeoutMs)
+            });
+
+            return {
+                success: true,
+                relayed
+            };
+
+        } catch (error) {
+            console.error('Error relaying typing:', error.message);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Tell the chat partner or group that the user stopped typing
+     * Does nothing if the user is not currently shown as typing
+     * @param {string} userId - User ID
+     * @returns {Object} Result ({ stopped } true if stopTyping was relayed)
+     */
+    stopTyping(userId) {
+        const state = this.typingStates.get(userId);
+        if (!state) {
+            return { success: true, stopped: false };
+        }
+
+        clearTimeout(state.timer);
+        this.typingStates.delete(userId);
+
+        this.io.to(state.roomId).except(userId).emit('stopTyping', {
+            ...state.context,
+            userId: state.publicId,
+            timestamp: new Date()
+        });
+
+        return { success: true, stopped: true };
+    }
+
+    /**
+     * Acknowledge that the user has read a message and tell its sender (messageSeen)
+     * In groups every member's first read is reported separately; repeated reads are ignored
+     * @param {string} userId - Reading user's ID
+     * @param {string} messageId - ID of the message that was read
+     * @returns {Object} Read result ({ seen } false if already read or the user's own message)
+     */
+    markMessageRead(userId, messageId) {
+        try {
+            if (typeof messageId !== 'string' || !messageId) {
+                throw new Error('Message ID is required');
+            }
+
+            const found = this.findConversation(userId);
+            if (!found) {
+                throw new Error('User not in any active chat or group');
+            }
+
+            const { conversation, repository, context } = found;
+            const message = conversation.findMessage(messageId);
+            if (!message) {
+                throw new Error('Message not found');
+            }
+
+            const seen = conversation.markMessageRead(messageId, userId);
+
+            if (seen) {
+                repository.save(conversation);
+
+                this.io.to(message.senderId).emit('messageSeen', {
+                    ...context,
+                    messageId,
+                    readerId: this.userController.getPublicId(userId),
+                    readCount: message.readBy.length,
+                    timestamp: new Date()
+                });
+            }
+
+            return {
+                success: true,
+                seen
+            };
+
+        } catch (error) {
+            console.error('Error marking message read:', error.message);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Find the active chat or group a user is talking in
+     * @param {string} userId - User ID
+     * @returns {Object|null} { conversation, repository, context: { chatId } or { groupId } } or null
+     */
+    findConversation(userId) {
+        const chat = this.chatRepository.findByParticipant(userId);
+        if (chat && chat.isActive) {
+            return { conversation: chat, repository: this.chatRepository, context: { chatId: chat.id } };
+        }
+
+        const group = this.groupChatRepository.findByMember(userId);
+        if (group) {
+            return { conversation: group, repository: this.groupChatRepository, context: { groupId: group.id } };
+        }
+
+        return null;
+    }
+}
+
+module.exports = ChatActivityController;
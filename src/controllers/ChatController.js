@@ -8,7 +8,13 @@ const Message = require('../models/Message');
 const ChatRepository = require('../repositories/ChatRepository');
 const UserController = require('./UserController');
 const MatchingService = require('../services/matchingService');
+const AttachmentService = require('../services/attachmentService');
+const PartnerHistoryService = require('../services/partnerHistoryService');
 const ProfanityFilter = require('../filters/profanityFilter');
+const { isValidClientMessageId } = require('../utils/helpers');
+const { getClusterBroker } = require('../cluster');
+const chatConfig = require('../config/chat');
+const matchingConfig = require('../config/matching');
 
 class ChatController {
     constructor(io) {
@@ -16,15 +22,18 @@ class ChatController {
         this.chatRepository = new ChatRepository();
         this.userController = new UserController();
         this.profanityFilter = new ProfanityFilter();
+        this.searchRetryTimers = new Map(); // userId -> timeout
+        this.queueStatusTimer = null;
     }
 
     /**
      * Start a new chat between two users
-     * @param {string} user1Id - First user's socket ID
-     * @param {string} user2Id - Second user's socket ID
+     * @param {string} user1Id - First user's ID
+     * @param {string} user2Id - Second user's ID
+     * @param {Object} options - Chat options ({ sharedTags } the users were matched on)
      * @returns {Object} Chat start result
      */
-    startChat(user1Id, user2Id) {
+    startChat(user1Id, user2Id, options = {}) {
         try {
             // Validate users exist and are available
             const user1 = this.userController.getUser(user1Id);
@@ -39,40 +48,36 @@ class ChatController {
             }
 
             // Create new chat
-            const chat = new Chat(user1Id, user2Id);
+            const chat = new Chat(user1Id, user2Id, chatConfig.anonymousChats);
             this.chatRepository.save(chat);
 
             // Update user statuses
             this.userController.setUserChatStatus(user1Id, true);
             this.userController.setUserChatStatus(user2Id, true);
 
-            // Join users to socket room
-            const user1Socket = this.io.sockets.sockets.get(user1Id);
-            const user2Socket = this.io.sockets.sockets.get(user2Id);
+            // Join users to socket room (works across instances with a cluster adapter)
+            this.io.in(user1Id).socketsJoin(chat.id);
+            this.io.in(user2Id).socketsJoin(chat.id);
 
-            if (user1Socket) user1Socket.join(chat.id);
-            if (user2Socket) user2Socket.join(chat.id);
-
-            // Get partner info for both users
-            const user1PartnerInfo = this.userController.getUserPartnerInfo(user2Id);
-            const user2PartnerInfo = this.userController.getUserPartnerInfo(user1Id);
+            // Get partner info for both users (only nicknames in anonymous chats)
+            const user1PartnerInfo = this.userController.getUserPartnerInfo(user2Id, chat.isRevealed());
+            const user2PartnerInfo = this.userController.getUserPartnerInfo(user1Id, chat.isRevealed());
+            const sharedTags = options.sharedTags || [];
 
             // Notify both users about chat start
-            if (user1Socket) {
-                user1Socket.emit('chatStarted', {
-                    chatId: chat.id,
-                    partnerId: user2Id,
-                    partnerInfo: user1PartnerInfo
-                });
-            }
+            this.io.to(user1Id).emit('chatStarted', {
+                chatId: chat.id,
+                partnerId: user1PartnerInfo.id,
+                partnerInfo: user1PartnerInfo,
+                sharedTags
+            });
 
-            if (user2Socket) {
-                user2Socket.emit('chatStarted', {
-                    chatId: chat.id,
-                    partnerId: user1Id,
-                    partnerInfo: user2PartnerInfo
-                });
-            }
+            this.io.to(user2Id).emit('chatStarted', {
+                chatId: chat.id,
+                partnerId: user2PartnerInfo.id,
+                partnerInfo: user2PartnerInfo,
+                sharedTags
+            });
 
             console.log(`Chat started: ${user1Id} <-> ${user2Id} (${chat.id})`);
 
@@ -93,10 +98,12 @@ class ChatController {
 
     /**
      * Find and start chat with compatible partner
+     * Partners are claimed atomically so concurrent searches (on any instance) never share one
+     * Interest tags come from the user's preferences (set by the last startChat)
      * @param {string} userId - User looking for chat
-     * @returns {Object} Match result
+     * @returns {Promise<Object>} Match result
      */
-    findAndStartChat(userId) {
+    async findAndStartChat(userId) {
         try {
             const user = this.userController.getUser(userId);
             if (!user) {
@@ -107,31 +114,73 @@ class ChatController {
                 throw new Error('User is already in chat');
             }
 
-            // Try to find compatible partner
-            const compatiblePartner = MatchingService.findCompatiblePartner(userId);
+            // Take ourselves out of the queue first so nobody else matches us mid-search
+            let searchingSince = new Date();
+            if (MatchingService.isWaiting(userId)) {
+                const ownEntry = await MatchingService.claimWaitingUser(userId);
+                if (!ownEntry) {
+                    return {
+                        success: true,
+                        matched: false,
+                        waiting: true
+                    };
+                }
 
-            if (compatiblePartner) {
-                // Remove partner from waiting list and start chat
-                MatchingService.removeFromWaitingList(compatiblePartner);
-                const result = this.startChat(userId, compatiblePartner);
+                // Keep the original place and waiting time
+                searchingSince = ownEntry.joinedAt;
+            }
 
-                return {
-                    success: true,
-                    matched: true,
-                    chatId: result.chatId,
-                    partnerId: compatiblePartner
-                };
-            } else {
-                // Add to waiting list
-                MatchingService.addToWaitingList(userId, user.preferences);
-
-                return {
-                    success: true,
-                    matched: false,
-                    waiting: true
-                };
+            this.clearSearchRetry(userId);
+
+            // Try compatible partners until one is claimed
+            const lostClaims = new Set();
+            let compatiblePartner = MatchingService.findCompatiblePartner(userId, lostClaims, searchingSince);
+
+            while (compatiblePartner) {
+                const partnerEntry = await MatchingService.claimWaitingUser(compatiblePartner);
+
+                if (partnerEntry) {
+                    const sharedTags = MatchingService.getSharedTags(user.preferences.interestTags, partnerEntry.tags);
+                    const result = this.startChat(userId, compatiblePartner, { sharedTags });
+                    if (!result.success) {
+                        // Don't strand the partner if the chat could not be started
+                        const partner = this.userController.getUser(compatiblePartner);
+                        if (partner && !partner.isInChat) {
+                            MatchingService.restoreWaitingUser(partnerEntry);
+                        }
+                        throw new Error(result.error);
+                    }
+
+                    this.clearSearchRetry(compatiblePartner);
+
+                    const matchedAt = Date.now();
+                    MatchingService.recordWaitTime(matchedAt - new Date(searchingSince).getTime());
+                    MatchingService.recordWaitTime(matchedAt - new Date(partnerEntry.joinedAt).getTime());
+
+                    return {
+                        success: true,
+                        matched: true,
+                        chatId: result.chatId,
+                        partnerId: compatiblePartner,
+                        sharedTags
+                    };
+                }
+
+                lostClaims.add(compatiblePartner);
+                compatiblePartner = MatchingService.findCompatiblePartner(userId, lostClaims, searchingSince);
             }
 
+            // Add to waiting list
+            MatchingService.addToWaitingList(userId, user.preferences, searchingSince);
+            this.scheduleSearchRetry(userId, searchingSince);
+            this.emitQueueStatus(userId);
+
+            return {
+                success: true,
+                matched: false,
+                waiting: true
+            };
+
         } catch (error) {
             console.error('Error finding chat partner:', error.message);
             return {
@@ -141,13 +190,127 @@ class ChatController {
         }
     }
 
+    /**
+     * Search again once one of a waiting user's matching requirements relaxes by a step (shared tags, language,
+     * recent partners)
+     * Nobody else may arrive to trigger a match, so the user re-runs their own search
+     * @param {string} userId - Waiting user's ID
+     * @param {Date} searchingSince - When the user started searching
+     */
+    scheduleSearchRetry(userId, searchingSince) {
+        const delay = MatchingService.getRelaxationDelay(this.userController.getUser(userId), searchingSince);
+        if (delay <= 0) return;
+
+        this.clearSearchRetry(userId);
+        this.searchRetryTimers.set(userId, setTimeout(() => {
+            this.searchRetryTimers.delete(userId);
+
+            // The user may have been matched, cancelled or disconnected meanwhile
+            if (MatchingService.isWaiting(userId)) {
+                this.findAndStartChat(userId);
+            }
+        }, delay));
+    }
+
+    /**
+     * Cancel a pending search retry
+     * @param {string} userId - User ID
+     */
+    clearSearchRetry(userId) {
+        const timer = this.searchRetryTimers.get(userId);
+        if (timer) {
+            clearTimeout(timer);
+            this.searchRetryTimers.delete(userId);
+        }
+    }
+
+    /**
+     * Leave the waiting queue without disconnecting
+     * @param {string} userId - Waiting user's ID
+     * @returns {Object} Cancel result
+     */
+    cancelSearch(userId) {
+        try {
+            if (!MatchingService.isWaiting(userId)) {
+                throw new Error('Not searching for a partner');
+            }
+
+            this.clearSearchRetry(userId);
+            MatchingService.removeFromWaitingList(userId);
+
+            console.log(`User ${userId} cancelled their search`);
+
+            return { success: true };
+
+        } catch (error) {
+            console.error('Error cancelling search:', error.message);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Send a waiting user their queue position, compatible candidates and estimated wait
+     * @param {string} userId - Waiting user's ID
+     */
+    emitQueueStatus(userId) {
+        const status = MatchingService.getQueueStatus(userId);
+        if (status) {
+            this.sendQueueStatus(userId, status);
+        }
+    }
+
+    /**
+     * Send a waiting user a queue status computed beforehand
+     * @param {string} userId - Waiting user's ID
+     * @param {Object} status - Status from MatchingService.getQueueStatuses
+     */
+    sendQueueStatus(userId, status) {
+        this.io.to(userId).emit('queueStatus', {
+            ...status,
+            timestamp: new Date()
+        });
+    }
+
+    /**
+     * Periodically send queueStatus to the users waiting on this instance
+     */
+    startQueueStatusUpdates() {
+        if (this.queueStatusTimer || matchingConfig.queueStatusIntervalMs === 0) return;
+
+        this.queueStatusTimer = setInterval(() => {
+            const userIds = MatchingService.getWaitingUsers()
+                .filter(entry => entry.instanceId === getClusterBroker().instanceId)
+                .map(entry => entry.userId);
+
+            // One pass over the queue for everyone, rather than one per waiting user
+            MatchingService.getQueueStatuses(userIds).forEach((status, userId) => this.sendQueueStatus(userId, status));
+        }, matchingConfig.queueStatusIntervalMs);
+    }
+
+    /**
+     * Stop the periodic queueStatus updates
+     */
+    stopQueueStatusUpdates() {
+        if (this.queueStatusTimer) {
+            clearInterval(this.queueStatusTimer);
+            this.queueStatusTimer = null;
+        }
+    }
+
     /**
      * Send message in chat
+     * A message resent with the same clientMessageId is not delivered again; the original is returned instead
      * @param {string} senderId - Message sender ID
      * @param {string} messageContent - Message content
-     * @returns {Object} Send result
+     * @param {string} clientMessageId - Optional idempotency key chosen by the client
+     * @param {string} replyTo - Optional ID of a message in the same chat to quote
+     * @param {string} attachmentId - Optional ID of an image the sender uploaded to this chat
+     * @returns {Object} Send result ({ messageId, content, isFiltered, timestamp, duplicate })
      */
-    sendMessage(senderId, messageContent) {
+    sendMessage(senderId, messageContent, clientMessageId = null, replyTo = null, attachmentId = null) {
         try {
             // Find user's active chat
             const chat = this.chatRepository.findByParticipant(senderId);
@@ -155,6 +318,35 @@ class ChatController {
                 throw new Error('User not in any active chat');
             }
 
+            if (clientMessageId !== null && clientMessageId !== undefined
+                && !isValidClientMessageId(clientMessageId, chatConfig.maxClientMessageIdLength)) {
+                throw new Error('Invalid client message ID');
+            }
+
+            // Resent after a lost acknowledgement: answer with the original instead of sending it twice
+            const existing = clientMessageId ? chat.findMessageByClientId(senderId, clientMessageId) : null;
+            if (existing) {
+                return this.getSendResult(existing, true);
+            }
+
+            // Replies can only quote a message of the same chat that has not been unsent
+            let quotedMessage = null;
+            if (replyTo !== null && replyTo !== undefined) {
+                quotedMessage = typeof replyTo === 'string' ? chat.findMessage(replyTo) : null;
+                if (!quotedMessage || quotedMessage.deleted) {
+                    throw new Error('Message to reply to not found');
+                }
+            }
+
+            const attachment = attachmentId !== null && attachmentId !== undefined
+                ? AttachmentService.findForMessage(attachmentId, senderId, chat.id)
+                : null;
+
+            // An image can be sent without text
+            if (attachment && (messageContent === undefined || messageContent === null)) {
+                messageContent = '';
+            }
+
             // Create message
             const message = new Message(senderId, messageContent, chat.id);
 
@@ -166,28 +358,131 @@ class ChatController {
             }
 
             // Add message to chat
-            chat.addMessage(senderId, message.content, message.timestamp);
+            message.clientMessageId = clientMessageId || null;
+            message.replyToId = quotedMessage ? quotedMessage.id : null;
+            message.attachment = attachment ? AttachmentService.getAttachmentInfo(attachment) : null;
+            chat.addMessage(message);
             this.chatRepository.save(chat);
 
             // Get sender info for display
-            const senderInfo = this.userController.getUserPartnerInfo(senderId);
+            const senderInfo = this.userController.getUserPartnerInfo(senderId, chat.isRevealed());
+            const quotedSenderInfo = quotedMessage
+                ? this.userController.getUserPartnerInfo(quotedMessage.senderId, chat.isRevealed()) || {}
+                : {};
+
+            // Send to the partner and wait for their device to acknowledge it
+            const partnerId = chat.getPartnerId(senderId);
+            this.io.to(partnerId)
+                .timeout(chatConfig.deliveryAckTimeoutMs)
+                .emit('messageReceived', message.getDisplayMessage(senderInfo, quotedMessage, quotedSenderInfo), (error, responses) => {
+                    // Any of the partner's sockets acknowledging it counts, even if another one timed out
+                    if (responses && responses.length > 0) {
+                        this.markDelivered(chat.id, message.id, partnerId);
+                    }
+                });
+
+            console.log(`Message in ${chat.id}: ${message.content}`);
 
-            // Send to chat room (excluding sender)
-            const senderSocket = this.io.sockets.sockets.get(senderId);
-            if (senderSocket) {
-                senderSocket.to(chat.id).emit('messageReceived', message.getDisplayMessage(senderInfo));
+            return this.getSendResult(message, false);
+
+        } catch (error) {
+            console.error('Error sending message:', error.message);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Build the result returned to the sender of a message
+     * @param {Message} message - Stored message
+     * @param {boolean} duplicate - Whether the message had already been sent with the same clientMessageId
+     * @returns {Object} Send result
+     */
+    getSendResult(message, duplicate) {
+        return {
+            success: true,
+            messageId: message.id,
+            content: message.content,
+            isFiltered: message.isFiltered,
+            timestamp: message.timestamp,
+            duplicate
+        };
+    }
+
+    /**
+     * Record that a message reached the partner and tell the sender (messageDelivered)
+     * @param {string} chatId - Chat ID
+     * @param {string} messageId - Message ID
+     * @param {string} recipientId - Partner's user ID
+     */
+    markDelivered(chatId, messageId, recipientId) {
+        const chat = this.chatRepository.findById(chatId);
+        if (!chat || !chat.markMessageDelivered(messageId, recipientId)) return;
+
+        this.chatRepository.save(chat);
+
+        const message = chat.findMessage(messageId);
+        this.io.to(message.senderId).emit('messageDelivered', {
+            chatId,
+            messageId,
+            recipientId: this.userController.getPublicId(recipientId),
+            deliveredCount: message.deliveredTo.length,
+            timestamp: new Date()
+        });
+    }
+
+    /**
+     * Ask to reveal full profiles to the chat partner
+     * Profiles are exchanged once both participants have asked
+     * @param {string} userId - Requesting user's ID
+     * @returns {Object} Reveal result ({ revealed } true once both asked)
+     */
+    requestReveal(userId) {
+        try {
+            const chat = this.chatRepository.findByParticipant(userId);
+            if (!chat || !chat.isActive) {
+                throw new Error('User not in any active chat');
             }
 
-            console.log(`Message in ${chat.id}: ${message.content}`);
+            if (chat.isRevealed()) {
+                throw new Error('Profiles are already revealed');
+            }
+
+            const partnerId = chat.getPartnerId(userId);
+            const revealed = chat.requestReveal(userId);
+            this.chatRepository.save(chat);
+
+            if (revealed) {
+                [userId, partnerId].forEach(participantId => {
+                    const partnerInfo = this.userController.getUserPartnerInfo(chat.getPartnerId(participantId));
+
+                    this.io.to(participantId).emit('profileRevealed', {
+                        chatId: chat.id,
+                        partnerId: partnerInfo ? partnerInfo.id : null,
+                        partnerInfo,
+                        timestamp: new Date()
+                    });
+                });
+
+                console.log(`Profiles revealed in ${chat.id}`);
+            } else {
+                this.io.to(partnerId).emit('revealRequested', {
+                    chatId: chat.id,
+                    partnerId: this.userController.getPublicId(userId),
+                    timestamp: new Date()
+                });
+            }
 
             return {
                 success: true,
-                messageId: message.id,
-                filtered: message.isFiltered
+                chatId: chat.id,
+                revealed
             };
 
         } catch (error) {
-            console.error('Error sending message:', error.message);
+            console.error('Error requesting reveal:', error.message);
             return {
                 success: false,
                 error: error.message
@@ -215,19 +510,25 @@ class ChatController {
                 this.userController.setUserChatStatus(partnerId, false);
             }
 
-            // Leave socket rooms
-            const userSocket = this.io.sockets.sockets.get(userId);
-            const partnerSocket = this.io.sockets.sockets.get(partnerId);
+            // Keep the two devices apart for a while so the next search finds someone new
+            if (partnerId) {
+                PartnerHistoryService.recordRecentPartners(
+                    this.userController.getUser(userId)?.deviceId,
+                    this.userController.getUser(partnerId)?.deviceId
+                );
+            }
 
-            if (userSocket) userSocket.leave(chat.id);
-            if (partnerSocket) {
-                partnerSocket.leave(chat.id);
-                partnerSocket.emit('chatEnded');
+            // Leave socket rooms
+            this.io.in(chat.id).socketsLeave(chat.id);
+            if (partnerId) {
+                this.io.to(partnerId).emit('chatEnded');
             }
 
-            // End chat
+            // End chat; its images expire with it
             chat.endChat();
             this.chatRepository.save(chat);
+            AttachmentService.deleteConversationAttachments(chat.id)
+                .catch((error) => console.error('Error deleting chat attachments:', error.message));
 
             console.log(`Chat ended: ${chat.id}`);
 
@@ -301,7 +602,8 @@ class ChatController {
             completedChats: completedChats.length,
             totalMessages,
             averageDuration: Math.round(avgDuration / 1000), // in seconds
-            waitingUsers: MatchingService.getWaitingUsersCount()
+            waitingUsers: MatchingService.getWaitingUsersCount(),
+            waitTime: MatchingService.getWaitTimeStats()
         };
     }
 
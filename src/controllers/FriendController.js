@@ -0,0 +1,386 @@
+/**
+ * Friend Controller
+ * Handles friendships between devices, made by mutual consent inside a one-on-one chat,
+ * and invitations that start a private chat with an online friend without going through the queue
+ */
+
+const Friendship = require('../models/Friendship');
+const ChatRepository = require('../repositories/ChatRepository');
+const ChatInviteRepository = require('../repositories/ChatInviteRepository');
+const UserController = require('./UserController');
+const MatchingService = require('../services/matchingService');
+const PartnerHistoryService = require('../services/partnerHistoryService');
+const { generateUniqueId } = require('../utils/helpers');
+const chatConfig = require('../config/chat');
+
+class FriendController {
+    /**
+     * @param {Object} io - Socket.IO server instance
+     * @param {ChatController} chatController - Chat controller that starts accepted invitations
+     */
+    constructor(io, chatController) {
+        this.io = io;
+        this.chatController = chatController;
+        this.chatRepository = new ChatRepository();
+        this.inviteRepository = new ChatInviteRepository();
+        this.userController = new UserController();
+        this.inviteTimers = new Map(); // inviteId -> timeout
+    }
+
+    /**
+     * Ask to become friends with the chat partner
+     * The friendship is stored once both participants have asked
+     * @param {string} userId - Requesting user's ID
+     * @returns {Object} Add result ({ added } true once both asked)
+     */
+    async addFriend(userId) {
+        try {
+            const chat = this.chatRepository.findByParticipant(userId);
+            if (!chat || !chat.isActive) {
+                throw new Error('User not in any active chat');
+            }
+
+            const partnerId = chat.getPartnerId(userId);
+            const user = this.userController.getUser(userId);
+            const partner = this.userController.getUser(partnerId);
+
+            if (!user || !user.deviceId || !partner || !partner.deviceId) {
+                throw new Error('Partner is no longer available');
+            }
+
+            if (await Friendship.areFriends(user.deviceId, partner.deviceId)) {
+                throw new Error('You are already friends');
+            }
+
+            const added = chat.requestFriendship(userId);
+            this.chatRepository.save(chat);
+
+            if (added) {
+                const friendship = await Friendship.addFriendship(user.deviceId, partner.deviceId, { chatId: chat.id });
+
+                [user, partner].forEach(participant => {
+                    const friend = participant === user ? partner : user;
+
+                    this.io.to(participant.id).emit('friendAdded', {
+                        chatId: chat.id,
+                        friendId: friendship._id.toString(),
+                        partnerId: friend.publicId,
+                        timestamp: new Date()
+                    });
+                });
+
+                console.log(`Devices ${user.deviceId} and ${partner.deviceId} are now friends`);
+            } else {
+                this.io.to(partnerId).emit('friendRequested', {
+                    chatId: chat.id,
+                    partnerId: user.publicId,
+                    timestamp: new Date()
+                });
+            }
+
+            return {
+                success: true,
+                chatId: chat.id,
+                added
+            };
+
+        } catch (error) {
+            console.error('Error adding friend:', error.message);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * List the user's friends with their online status
+     * Friends are identified by the friendship ID, which stays the same across sessions
+     * @param {string} userId - User ID
+     * @returns {Object} Result with friends ({ friendId, online, available, nickname, since })
+     */
+    async getFriends(userId) {
+        try {
+            const user = this.userController.getUser(userId);
+            if (!user || !user.deviceId) {
+                throw new Error('Register your device to see your friends');
+            }
+
+            const friendships = await Friendship.getFriendships(user.deviceId);
+
+            return {
+                success: true,
+                friends: friendships.map(friendship => {
+                    const friend = this.getOnlineFriend(friendship.friendDeviceId);
+
+                    return {
+                        friendId: friendship.id,
+                        online: Boolean(friend),
+                        available: Boolean(friend) && this.isAvailable(friend),
+                        nickname: friend ? friend.profile.nickname || null : null,
+                        since: friendship.since
+                    };
+                })
+            };
+
+        } catch (error) {
+            console.error('Error getting friends:', error.message);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Invite an online friend to a private chat
+     * @param {string} userId - Inviting user's ID
+     * @param {string} friendId - Friendship ID from the friends list
+     * @returns {Object} Invite result
+     */
+    async inviteFriend(userId, friendId) {
+        try {
+            const user = this.userController.getUser(userId);
+            if (!user || !user.deviceId) {
+                throw new Error('Register your device before inviting friends');
+            }
+
+            if (!this.isAvailable(user)) {
+                throw new Error('Leave your current chat or group before inviting a friend');
+            }
+
+            const friendship = await Friendship.findFriendship(friendId, user.deviceId);
+            if (!friendship) {
+                throw new Error('Friend not found');
+            }
+
+            const friend = this.getOnlineFriend(friendship.friendDeviceId);
+            if (!friend) {
+                throw new Error('Friend is offline');
+            }
+
+            this.assertCanChat(user, friend);
+
+            if (!this.isAvailable(friend)) {
+                throw new Error('Friend is busy in another chat');
+            }
+
+            if (this.inviteRepository.findBetween(userId, friend.id)) {
+                throw new Error('Invitation already sent');
+            }
+
+            const createdAt = new Date();
+            const invite = this.inviteRepository.save({
+                id: generateUniqueId('invite'),
+                fromUserId: userId,
+                toUserId: friend.id,
+                friendshipId: friendship.id,
+                createdAt,
+                expiresAt: new Date(createdAt.getTime() + chatConfig.inviteTtlMs)
+            });
+
+            this.scheduleInviteExpiry(invite);
+
+            this.io.to(friend.id).emit('friendInvite', {
+                inviteId: invite.id,
+                friendId: friendship.id,
+                nickname: user.profile.nickname || null,
+                expiresAt: invite.expiresAt,
+                timestamp: createdAt
+            });
+
+            console.log(`User ${userId} invited ${friend.id} to a private chat (${invite.id})`);
+
+            return {
+                success: true,
+                inviteId: invite.id,
+                friendId: friendship.id,
+                expiresAt: invite.expiresAt
+            };
+
+        } catch (error) {
+            console.error('Error inviting friend:', error.message);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Accept an invitation and start the private chat
+     * Both users leave the waiting queue; the chat starts exactly like a matched one (chatStarted)
+     * @param {string} userId - Invited user's ID
+     * @param {string} inviteId - Invitation ID
+     * @returns {Object} Accept result
+     */
+    acceptInvite(userId, inviteId) {
+        try {
+            const invite = this.takeInvite(userId, inviteId);
+
+            const inviter = this.userController.getUser(invite.fromUserId);
+            const user = this.userController.getUser(userId);
+
+            if (!inviter || !inviter.socketId || !this.isAvailable(inviter)) {
+                throw new Error('Friend is no longer available');
+            }
+
+            if (!user || !this.isAvailable(user)) {
+                throw new Error('Leave your current chat or group before accepting');
+            }
+
+            this.assertCanChat(inviter, user);
+
+            [invite.fromUserId, userId].forEach(participantId => {
+                this.chatController.clearSearchRetry(participantId);
+                MatchingService.removeFromWaitingList(participantId);
+            });
+
+            const result = this.chatController.startChat(invite.fromUserId, userId);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            return {
+                success: true,
+                chatId: result.chatId
+            };
+
+        } catch (error) {
+            console.error('Error accepting invite:', error.message);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Decline an invitation and tell the inviter
+     * @param {string} userId - Invited user's ID
+     * @param {string} inviteId - Invitation ID
+     * @returns {Object} Decline result
+     */
+    declineInvite(userId, inviteId) {
+        try {
+            const invite = this.takeInvite(userId, inviteId);
+
+            this.io.to(invite.fromUserId).emit('friendInviteDeclined', {
+                inviteId: invite.id,
+                friendId: invite.friendshipId,
+                timestamp: new Date()
+            });
+
+            return { success: true };
+
+        } catch (error) {
+            console.error('Error declining invite:', error.message);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Remove a pending invitation addressed to the user
+     * @param {string} userId - Invited user's ID
+     * @param {string} inviteId - Invitation ID
+     * @returns {Object} The removed invitation
+     */
+    takeInvite(userId, inviteId) {
+        const invite = typeof inviteId === 'string' ? this.inviteRepository.findById(inviteId) : null;
+        if (!invite || invite.toUserId !== userId) {
+            throw new Error('Invitation not found');
+        }
+
+        this.removeInvite(invite.id);
+
+        if (invite.expiresAt <= new Date()) {
+            throw new Error('Invitation has expired');
+        }
+
+        return invite;
+    }
+
+    /**
+     * Expire an invitation if it is still pending when its time is up
+     * @param {Object} invite - Invitation
+     */
+    scheduleInviteExpiry(invite) {
+        this.inviteTimers.set(invite.id, setTimeout(() => {
+            this.inviteTimers.delete(invite.id);
+            if (!this.inviteRepository.findById(invite.id)) return;
+
+            this.inviteRepository.delete(invite.id);
+            [invite.fromUserId, invite.toUserId].forEach(participantId => {
+                this.io.to(participantId).emit('friendInviteExpired', {
+                    inviteId: invite.id,
+                    friendId: invite.friendshipId,
+                    timestamp: new Date()
+                });
+            });
+        }, invite.expiresAt.getTime() - Date.now()));
+    }
+
+    /**
+     * Delete an invitation and its expiry timer
+     * @param {string} inviteId - Invitation ID
+     */
+    removeInvite(inviteId) {
+        const timer = this.inviteTimers.get(inviteId);
+        if (timer) {
+            clearTimeout(timer);
+            this.inviteTimers.delete(inviteId);
+        }
+        this.inviteRepository.delete(inviteId);
+    }
+
+    /**
+     * Drop every invitation a user sent or received (e.g. when they leave)
+     * @param {string} userId - User ID
+     * @returns {number} Number of invitations removed
+     */
+    removeUserInvites(userId) {
+        const invites = this.inviteRepository.findByUser(userId);
+        invites.forEach(invite => this.removeInvite(invite.id));
+        return invites.length;
+    }
+
+    /**
+     * Get a friend's user if their device is connected
+     * @param {string} deviceId - Friend's device ID
+     * @returns {User|null} Connected user or null if offline
+     */
+    getOnlineFriend(deviceId) {
+        const friend = this.userController.getUserByDevice(deviceId);
+        return friend && friend.socketId ? friend : null;
+    }
+
+    /**
+     * Make sure two friends may chat privately
+     * A friendship does not lift the matcher's rules: minors only chat with minors, and a block or
+     * report by either side keeps the two apart
+     * @param {User} user - First user
+     * @param {User} friend - Second user
+     */
+    assertCanChat(user, friend) {
+        const sameAgeGroup = MatchingService.getAgeGroup(user.profile) === MatchingService.getAgeGroup(friend.profile);
+        const blocked = PartnerHistoryService.getPartnerStatus(user.deviceId, friend.deviceId) === 'blocked';
+
+        if (!sameAgeGroup || blocked) {
+            throw new Error('You cannot chat with this friend');
+        }
+    }
+
+    /**
+     * Check whether a user is free to start a private chat
+     * @param {User} user - User
+     * @returns {boolean} True if the user is not in a chat or group
+     */
+    isAvailable(user) {
+        return !user.isInChat && !user.isInGroup;
+    }
+}
+
+module.exports = FriendController;
@@ -7,7 +7,11 @@ const GroupChat = require('../models/GroupChat');
 const Message = require('../models/Message');
 const GroupChatRepository = require('../repositories/GroupChatRepository');
 const UserController = require('./UserController');
+const MatchingService = require('../services/matchingService');
+const AttachmentService = require('../services/attachmentService');
 const ProfanityFilter = require('../filters/profanityFilter');
+const { isValidClientMessageId } = require('../utils/helpers');
+const chatConfig = require('../config/chat');
 
 class GroupChatController {
     constructor(io) {
@@ -39,10 +43,11 @@ class GroupChatController {
                 this.leaveGroupChat(userId);
             }
 
-            // Find available group or create new one
-            let group = this.findAvailableGroup();
+            // Find available group or create new one (minors and adults never share a group)
+            const ageGroup = MatchingService.getAgeGroup(user.profile);
+            let group = this.findAvailableGroup(ageGroup);
             if (!group) {
-                group = this.createNewGroup();
+                group = this.createNewGroup(ageGroup);
             }
 
             // Add user to group
@@ -57,11 +62,8 @@ class GroupChatController {
             // Save group
             this.groupChatRepository.save(group);
 
-            // Join socket room
-            const userSocket = this.io.sockets.sockets.get(userId);
-            if (userSocket) {
-                userSocket.join(group.id);
-            }
+            // Join socket room (works across instances with a cluster adapter)
+            this.io.in(userId).socketsJoin(group.id);
 
             // Get user info for announcement
             const userInfo = this.userController.getUserPartnerInfo(userId);
@@ -69,21 +71,19 @@ class GroupChatController {
             // Notify group about new member
             this.io.to(group.id).emit('userJoinedGroup', {
                 groupId: group.id,
-                userId: userId,
+                userId: userInfo.id,
                 userInfo: userInfo,
                 memberCount: group.getMemberCount(),
                 timestamp: new Date()
             });
 
             // Send group info to new member
-            if (userSocket) {
-                userSocket.emit('groupJoined', {
-                    groupId: group.id,
-                    memberCount: group.getMemberCount(),
-                    maxMembers: group.maxMembers,
-                    groupInfo: group.getGroupInfo()
-                });
-            }
+            this.io.to(userId).emit('groupJoined', {
+                groupId: group.id,
+                memberCount: group.getMemberCount(),
+                maxMembers: group.maxMembers,
+                groupInfo: group.getGroupInfo()
+            });
 
             console.log(`User ${userId} joined group ${group.id} (${group.getMemberCount()}/${group.maxMembers})`);
 
@@ -125,14 +125,11 @@ class GroupChatController {
             this.userController.setUserGroupStatus(userId, false);
 
             // Leave socket room
-            const userSocket = this.io.sockets.sockets.get(userId);
-            if (userSocket) {
-                userSocket.leave(group.id);
-                userSocket.emit('groupLeft', {
-                    groupId: group.id,
-                    timestamp: new Date()
-                });
-            }
+            this.io.in(userId).socketsLeave(group.id);
+            this.io.to(userId).emit('groupLeft', {
+                groupId: group.id,
+                timestamp: new Date()
+            });
 
             // Get user info for announcement
             const userInfo = this.userController.getUserPartnerInfo(userId);
@@ -141,7 +138,7 @@ class GroupChatController {
             if (group.getMemberCount() > 0) {
                 this.io.to(group.id).emit('userLeftGroup', {
                     groupId: group.id,
-                    userId: userId,
+                    userId: userInfo ? userInfo.id : null,
                     userInfo: userInfo,
                     memberCount: group.getMemberCount(),
                     timestamp: new Date()
@@ -152,6 +149,7 @@ class GroupChatController {
             } else {
                 // Delete empty group
                 this.groupChatRepository.delete(group.id);
+                this.deleteAttachments(group.id);
                 console.log(`Empty group ${group.id} deleted`);
             }
 
@@ -174,17 +172,50 @@ class GroupChatController {
 
     /**
      * Send message in group chat
+     * A message resent with the same clientMessageId is not delivered again; the original is returned instead
      * @param {string} senderId - Message sender ID
      * @param {string} messageContent - Message content
-     * @returns {Object} Send result
+     * @param {string} clientMessageId - Optional idempotency key chosen by the client
+     * @param {string} replyTo - Optional ID of a message in the same group to quote
+     * @param {string} attachmentId - Optional ID of an image the sender uploaded to this group
+     * @returns {Object} Send result ({ messageId, groupId, content, isFiltered, timestamp, duplicate })
      */
-    sendGroupMessage(senderId, messageContent) {
+    sendGroupMessage(senderId, messageContent, clientMessageId = null, replyTo = null, attachmentId = null) {
         try {
             const group = this.groupChatRepository.findByMember(senderId);
             if (!group) {
                 throw new Error('User not in any group chat');
             }
 
+            if (clientMessageId !== null && clientMessageId !== undefined
+                && !isValidClientMessageId(clientMessageId, chatConfig.maxClientMessageIdLength)) {
+                throw new Error('Invalid client message ID');
+            }
+
+            // Resent after a lost acknowledgement: answer with the original instead of sending it twice
+            const existing = clientMessageId ? group.findMessageByClientId(senderId, clientMessageId) : null;
+            if (existing) {
+                return this.getSendResult(existing, true);
+            }
+
+            // Replies can only quote a message of the same group that has not been unsent
+            let quotedMessage = null;
+            if (replyTo !== null && replyTo !== undefined) {
+                quotedMessage = typeof replyTo === 'string' ? group.findMessage(replyTo) : null;
+                if (!quotedMessage || quotedMessage.deleted) {
+                    throw new Error('Message to reply to not found');
+                }
+            }
+
+            const attachment = attachmentId !== null && attachmentId !== undefined
+                ? AttachmentService.findForMessage(attachmentId, senderId, group.id)
+                : null;
+
+            // An image can be sent without text
+            if (attachment && (messageContent === undefined || messageContent === null)) {
+                messageContent = '';
+            }
+
             // Create message
             const message = new Message(senderId, messageContent, null, group.id);
 
@@ -196,30 +227,39 @@ class GroupChatController {
             }
 
             // Add message to group
-            const messageData = group.addMessage(senderId, message.content, message.timestamp);
+            message.clientMessageId = clientMessageId || null;
+            message.replyToId = quotedMessage ? quotedMessage.id : null;
+            message.attachment = attachment ? AttachmentService.getAttachmentInfo(attachment) : null;
+            group.addMessage(message);
             this.groupChatRepository.save(group);
 
             // Get sender info for display
             const senderInfo = this.userController.getUserPartnerInfo(senderId);
+            const quotedSenderInfo = quotedMessage
+                ? this.userController.getUserPartnerInfo(quotedMessage.senderId) || {}
+                : {};
+            const displayMessage = {
+                ...message.getDisplayMessage(senderInfo, quotedMessage, quotedSenderInfo),
+                groupId: group.id,
+                memberCount: group.getMemberCount()
+            };
 
-            // Send to group (excluding sender)
-            const senderSocket = this.io.sockets.sockets.get(senderId);
-            if (senderSocket) {
-                senderSocket.to(group.id).emit('groupMessageReceived', {
-                    ...message.getDisplayMessage(senderInfo),
-                    groupId: group.id,
-                    memberCount: group.getMemberCount()
+            // Send to each other member separately so every device's acknowledgement is tracked
+            Array.from(group.members)
+                .filter(memberId => memberId !== senderId)
+                .forEach(memberId => {
+                    this.io.to(memberId)
+                        .timeout(chatConfig.deliveryAckTimeoutMs)
+                        .emit('groupMessageReceived', displayMessage, (error, responses) => {
+                            if (responses && responses.length > 0) {
+                                this.markDelivered(group.id, message.id, memberId);
+                            }
+                        });
                 });
-            }
 
             console.log(`Group message in ${group.id}: ${message.content}`);
 
-            return {
-                success: true,
-                messageId: message.id,
-                groupId: group.id,
-                filtered: message.isFiltered
-            };
+            return this.getSendResult(message, false);
 
         } catch (error) {
             console.error('Error sending group message:', error.message);
@@ -230,21 +270,63 @@ class GroupChatController {
         }
     }
 
+    /**
+     * Build the result returned to the sender of a group message
+     * @param {Message} message - Stored message
+     * @param {boolean} duplicate - Whether the message had already been sent with the same clientMessageId
+     * @returns {Object} Send result
+     */
+    getSendResult(message, duplicate) {
+        return {
+            success: true,
+            messageId: message.id,
+            groupId: message.groupId,
+            content: message.content,
+            isFiltered: message.isFiltered,
+            timestamp: message.timestamp,
+            duplicate
+        };
+    }
+
+    /**
+     * Record that a group message reached a member and tell the sender (messageDelivered)
+     * @param {string} groupId - Group ID
+     * @param {string} messageId - Message ID
+     * @param {string} recipientId - Receiving member's user ID
+     */
+    markDelivered(groupId, messageId, recipientId) {
+        const group = this.groupChatRepository.findById(groupId);
+        if (!group || !group.markMessageDelivered(messageId, recipientId)) return;
+
+        this.groupChatRepository.save(group);
+
+        const message = group.findMessage(messageId);
+        this.io.to(message.senderId).emit('messageDelivered', {
+            groupId,
+            messageId,
+            recipientId: this.userController.getPublicId(recipientId),
+            deliveredCount: message.deliveredTo.length,
+            timestamp: new Date()
+        });
+    }
+
     /**
      * Find available group with space
+     * @param {string} ageGroup - Age group of the joining user ('minor', 'adult' or 'unknown')
      * @returns {GroupChat|null} Available group or null
      */
-    findAvailableGroup() {
+    findAvailableGroup(ageGroup = 'adult') {
         const groups = this.groupChatRepository.findAll();
-        return groups.find(group => group.isActive && group.hasSpace()) || null;
+        return groups.find(group => group.isActive && group.hasSpace() && group.ageGroup === ageGroup) || null;
     }
 
     /**
      * Create new group chat
+     * @param {string} ageGroup - Age group the group is open to ('minor', 'adult' or 'unknown')
      * @returns {GroupChat} New group instance
      */
-    createNewGroup() {
-        const group = new GroupChat(this.maxGroupSize);
+    createNewGroup(ageGroup = 'adult') {
+        const group = new GroupChat(this.maxGroupSize, ageGroup);
         this.groupChatRepository.save(group);
         console.log(`New group created: ${group.id}`);
         return group;
@@ -296,6 +378,15 @@ class GroupChatController {
         return this.groupChatRepository.findByMember(userId);
     }
 
+    /**
+     * Delete the images uploaded to a group that no longer exists
+     * @param {string} groupId - Group ID
+     */
+    deleteAttachments(groupId) {
+        AttachmentService.deleteConversationAttachments(groupId)
+            .catch((error) => console.error('Error deleting group attachments:', error.message));
+    }
+
     /**
      * Clean up empty groups (for maintenance)
      * @returns {number} Number of cleaned up groups
@@ -306,6 +397,7 @@ class GroupChatController {
 
         emptyGroups.forEach(group => {
             this.groupChatRepository.delete(group.id);
+            this.deleteAttachments(group.id);
         });
 
         console.log(`Cleaned up ${emptyGroups.length} empty groups`);
@@ -0,0 +1,261 @@
+/**
+ * Message Controller
+ * Handles changes to messages already sent in one-on-one and group chats: editing, unsending and reactions
+ */
+
+const ChatRepository = require('../repositories/ChatRepository');
+const GroupChatRepository = require('../repositories/GroupChatRepository');
+const UserController = require('./UserController');
+const AttachmentService = require('../services/attachmentService');
+const ProfanityFilter = require('../filters/profanityFilter');
+const chatConfig = require('../config/chat');
+
+class MessageController {
+    /**
+     * @param {Object} io - Socket.IO server instance
+     */
+    constructor(io) {
+        this.io = io;
+        this.chatRepository = new ChatRepository();
+        this.groupChatRepository = new GroupChatRepository();
+        this.userController = new UserController();
+        this.profanityFilter = new ProfanityFilter();
+    }
+
+    /**
+     * Edit a message the user sent and tell the chat or group (messageEdited)
+     * The new content is filtered again, exactly like a new message
+     * @param {string} userId - Sender's user ID
+     * @param {string} messageId - Message ID
+     * @param {string} content - New message content
+     * @returns {Object} Edit result ({ messageId, content, isFiltered, editedAt })
+     */
+    editMessage(userId, messageId, content) {
+        try {
+            if (typeof content !== 'string' || !content.trim()) {
+                throw new Error('Message content is required');
+            }
+
+            const { conversation, repository, context, message } = this.findOwnMessage(userId, messageId, 'edit');
+
+            message.edit(content);
+
+            const filteredContent = this.profanityFilter.filterMessage(content);
+            if (filteredContent !== content) {
+                message.applyFilter(filteredContent, 'profanity');
+                console.log(`Profanity filtered in edit of ${messageId} from ${userId}: "${content}" -> "${filteredContent}"`);
+            }
+
+            repository.save(conversation);
+
+            this.io.to(conversation.id).emit('messageEdited', {
+                ...context,
+                messageId,
+                content: message.content,
+                isFiltered: message.isFiltered,
+                editedAt: message.editedAt
+            });
+
+            return {
+                success: true,
+                messageId,
+                content: message.content,
+                isFiltered: message.isFiltered,
+                editedAt: message.editedAt
+            };
+
+        } catch (error) {
+            console.error('Error editing message:', error.message);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Unsend a message the user sent and tell the chat or group (messageDeleted)
+     * The content and attachment are dropped; the message stays in the history as deleted so its ID keeps resolving
+     * @param {string} userId - Sender's user ID
+     * @param {string} messageId - Message ID
+     * @returns {Object} Delete result
+     */
+    deleteMessage(userId, messageId) {
+        try {
+            const { conversation, repository, context, message } = this.findOwnMessage(userId, messageId, 'unsend');
+            const attachment = message.attachment;
+
+            message.delete();
+            repository.save(conversation);
+
+            // The attachment goes with the message, so it can no longer be downloaded
+            if (attachment) {
+                AttachmentService.deleteAttachment(attachment.id).catch((error) => {
+                    console.error(`Failed to delete attachment ${attachment.id}:`, error.message);
+                });
+            }
+
+            this.io.to(conversation.id).emit('messageDeleted', {
+                ...context,
+                messageId,
+                deletedAt: message.deletedAt
+            });
+
+            return {
+                success: true,
+                messageId
+            };
+
+        } catch (error) {
+            console.error('Error deleting message:', error.message);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Add a reaction to a message in the user's chat or group and share the new counts (reactionsUpdated)
+     * @param {string} userId - Reacting user's ID
+     * @param {string} messageId - Message ID
+     * @param {string} reaction - Reaction from the allow-list
+     * @returns {Object} Result ({ updated } false if the user had already added it)
+     */
+    addReaction(userId, messageId, reaction) {
+        try {
+            return this.updateReaction(userId, messageId, reaction, true);
+        } catch (error) {
+            console.error('Error adding reaction:', error.message);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Remove a reaction the user added and share the new counts (reactionsUpdated)
+     * @param {string} userId - Reacting user's ID
+     * @param {string} messageId - Message ID
+     * @param {string} reaction - Reaction to remove
+     * @returns {Object} Result ({ updated } false if the user had not added it)
+     */
+    removeReaction(userId, messageId, reaction) {
+        try {
+            return this.updateReaction(userId, messageId, reaction, false);
+        } catch (error) {
+            console.error('Error removing reaction:', error.message);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Add or remove a user's reaction and broadcast the message's counts if anything changed
+     * @param {string} userId - Reacting user's ID
+     * @param {string} messageId - Message ID
+     * @param {string} reaction - Reaction
+     * @param {boolean} add - True to add, false to remove
+     * @returns {Object} Result ({ updated, reactions })
+     */
+    updateReaction(userId, messageId, reaction, add) {
+        if (!chatConfig.allowedReactions.includes(reaction)) {
+            throw new Error('Reaction not allowed');
+        }
+
+        const { conversation, repository, context, message } = this.findConversationMessage(userId, messageId);
+
+        const updated = add ? message.addReaction(userId, reaction) : message.removeReaction(userId, reaction);
+        const reactions = message.getReactionCounts();
+
+        if (updated) {
+            repository.save(conversation);
+
+            this.io.to(conversation.id).emit('reactionsUpdated', {
+                ...context,
+                messageId,
+                reactions,
+                userId: this.userController.getPublicId(userId),
+                reaction,
+                action: add ? 'added' : 'removed',
+                timestamp: new Date()
+            });
+        }
+
+        return {
+            success: true,
+            updated,
+            reactions
+        };
+    }
+
+    /**
+     * Find a message the user may still change in their current chat or group
+     * @param {string} userId - Sender's user ID
+     * @param {string} messageId - Message ID
+     * @param {string} action - What the user is trying to do (for error messages)
+     * @returns {Object} { conversation, repository, context, message }
+     */
+    findOwnMessage(userId, messageId, action) {
+        const found = this.findConversationMessage(userId, messageId);
+        const message = found.message;
+
+        if (message.senderId !== userId) {
+            throw new Error(`You can only ${action} your own messages`);
+        }
+
+        if (message.getAge() >= chatConfig.messageEditWindowMs) {
+            throw new Error(`This message can no longer be ${action === 'edit' ? 'edited' : 'unsent'}`);
+        }
+
+        return found;
+    }
+
+    /**
+     * Find a message that has not been unsent in the user's current chat or group
+     * @param {string} userId - User ID
+     * @param {string} messageId - Message ID
+     * @returns {Object} { conversation, repository, context, message }
+     */
+    findConversationMessage(userId, messageId) {
+        if (typeof messageId !== 'string' || !messageId) {
+            throw new Error('Message ID is required');
+        }
+
+        const found = this.findConversation(userId);
+        if (!found) {
+            throw new Error('User not in any active chat or group');
+        }
+
+        const message = found.conversation.findMessage(messageId);
+        if (!message || message.deleted) {
+            throw new Error('Message not found');
+        }
+
+        return { ...found, message };
+    }
+
+    /**
+     * Find the active chat or group a user is talking in
+     * @param {string} userId - User ID
+     * @returns {Object|null} { conversation, repository, context: { chatId } or { groupId } } or null
+     */
+    findConversation(userId) {
+        const chat = this.chatRepository.findByParticipant(userId);
+        if (chat && chat.isActive) {
+            return { conversation: chat, repository: this.chatRepository, context: { chatId: chat.id } };
+        }
+
+        const group = this.groupChatRepository.findByMember(userId);
+        if (group) {
+            return { conversation: group, repository: this.groupChatRepository, context: { groupId: group.id } };
+        }
+
+        return null;
+    }
+}
+
+module.exports = MessageController;
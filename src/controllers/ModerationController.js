@@ -0,0 +1,266 @@
+/**
+ * Moderation Controller
+ * Admin REST API for device bans, reports and login history
+ */
+
+const express = require('express');
+const UserData = require('../models/UserData');
+const Report = require('../models/Report');
+const LoginLogs = require('../models/LoginLogs');
+const BanService = require('../services/banService');
+
+class ModerationController {
+    constructor() {
+        this.defaultPageSize = 20;
+        this.maxPageSize = 100;
+    }
+
+    /**
+     * Mount moderation routes
+     * @param {Object} app - Express app instance
+     * @param {string} basePath - Mount path for the router
+     */
+    setupRoutes(app, basePath = '/api/admin/moderation') {
+        const router = express.Router();
+
+        router.get('/bans', (req, res) => this.listBans(req, res));
+        router.get('/devices/:deviceId', (req, res) => this.getDevice(req, res));
+        router.post('/devices/:deviceId/ban', (req, res) => this.banDevice(req, res));
+        router.post('/devices/:deviceId/unban', (req, res) => this.unbanDevice(req, res));
+        router.get('/devices/:deviceId/reports', (req, res) => this.getDeviceReports(req, res));
+        router.get('/devices/:deviceId/logins', (req, res) => this.getLoginHistory(req, res));
+
+        app.use(basePath, router);
+    }
+
+    /**
+     * List currently banned devices
+     */
+    async listBans(req, res) {
+        try {
+            const { page, limit, skip } = this.parsePagination(req.query);
+            const { users, total } = await UserData.getBannedUsers(limit, skip);
+
+            res.json({
+                bans: users.map(user => this.formatDevice(user)),
+                pagination: this.buildPagination(page, limit, total),
+                timestamp: new Date()
+            });
+        } catch (error) {
+            console.error('Error listing bans:', error);
+            res.status(500).json({
+                error: 'Failed to list bans',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Get a device's account and ban status
+     */
+    async getDevice(req, res) {
+        try {
+            const userData = await UserData.findOne({ deviceId: req.params.deviceId }).lean();
+            if (!userData) {
+                return this.sendDeviceNotFound(req, res);
+            }
+
+            res.json({
+                device: this.formatDevice(userData),
+                timestamp: new Date()
+            });
+        } catch (error) {
+            res.status(500).json({
+                error: 'Failed to get device',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Ban a device
+     * Body: { durationMinutes?: number, permanent?: boolean, reason?: string }
+     */
+    async banDevice(req, res) {
+        try {
+            const body = req.body || {};
+            const durationMinutes = Number(body.durationMinutes);
+            const permanent = body.permanent === true;
+
+            if (!permanent && !(durationMinutes > 0)) {
+                return res.status(400).json({
+                    error: 'Invalid ban duration',
+                    message: 'Provide a positive durationMinutes or set permanent to true'
+                });
+            }
+
+            const banDuration = permanent ? null : durationMinutes * 60 * 1000;
+            const reason = typeof body.reason === 'string' ? body.reason.trim() : 'Banned by admin';
+
+            const userData = await BanService.banDevice(req.params.deviceId, banDuration, reason);
+            if (!userData) {
+                return this.sendDeviceNotFound(req, res);
+            }
+
+            console.log(`Admin ban issued for device ${req.params.deviceId}: ${permanent ? 'permanent' : `${durationMinutes} minutes`}`);
+
+            res.json({
+                message: 'Device banned successfully',
+                device: this.formatDevice(userData.toObject()),
+                timestamp: new Date()
+            });
+        } catch (error) {
+            console.error('Error banning device:', error);
+            res.status(500).json({
+                error: 'Failed to ban device',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Lift a device ban
+     */
+    async unbanDevice(req, res) {
+        try {
+            const userData = await BanService.unbanDevice(req.params.deviceId);
+            if (!userData) {
+                return this.sendDeviceNotFound(req, res);
+            }
+
+            console.log(`Admin unban issued for device ${req.params.deviceId}`);
+
+            res.json({
+                message: 'Device unbanned successfully',
+                device: this.formatDevice(userData.toObject()),
+                timestamp: new Date()
+            });
+        } catch (error) {
+            console.error('Error unbanning device:', error);
+            res.status(500).json({
+                error: 'Failed to unban device',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Get reports filed against a device (newest first)
+     */
+    async getDeviceReports(req, res) {
+        try {
+            const deviceReports = await Report.getDeviceReports(req.params.deviceId);
+            const reports = deviceReports ? [...deviceReports.reports] : [];
+
+            reports.sort((a, b) => new Date(b.reportTime) - new Date(a.reportTime));
+
+            res.json({
+                deviceId: req.params.deviceId,
+                totalReports: reports.length,
+                distinctReporters: new Set(reports.map(report => report.reporterDeviceId).filter(Boolean)).size,
+                reports,
+                timestamp: new Date()
+            });
+        } catch (error) {
+            res.status(500).json({
+                error: 'Failed to get device reports',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Page through a device's login history with summary stats
+     */
+    async getLoginHistory(req, res) {
+        try {
+            const { page, limit, skip } = this.parsePagination(req.query);
+            const deviceId = req.params.deviceId;
+
+            const [history, stats] = await Promise.all([
+                LoginLogs.getLoginHistory(deviceId, limit, skip),
+                LoginLogs.getLoginStats(deviceId)
+            ]);
+
+            const totalLogins = stats ? stats.totalLogins : 0;
+
+            res.json({
+                deviceId,
+                stats,
+                logins: history,
+                pagination: this.buildPagination(page, limit, totalLogins),
+                timestamp: new Date()
+            });
+        } catch (error) {
+            res.status(500).json({
+                error: 'Failed to get login history',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Parse page and limit query parameters
+     * @param {Object} query - Request query
+     * @returns {Object} Page, limit and skip values
+     */
+    parsePagination(query) {
+        const page = Math.max(parseInt(query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(query.limit, 10) || this.defaultPageSize, 1), this.maxPageSize);
+
+        return {
+            page,
+            limit,
+            skip: (page - 1) * limit
+        };
+    }
+
+    /**
+     * Build pagination metadata
+     * @param {number} page - Current page
+     * @param {number} limit - Page size
+     * @param {number} total - Total number of items
+     * @returns {Object} Pagination metadata
+     */
+    buildPagination(page, limit, total) {
+        return {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit)
+        };
+    }
+
+    /**
+     * Format a user data record for admin responses
+     * @param {Object} userData - Plain UserData record
+     * @returns {Object} Device summary with ban status
+     */
+    formatDevice(userData) {
+        return {
+            deviceId: userData.deviceId,
+            loginTime: userData.loginTime,
+            logoutTime: userData.logoutTime,
+            activityTime: userData.activityTime,
+            created: userData.created,
+            banCount: userData.banCount || 0,
+            lastBannedAt: userData.lastBannedAt || null,
+            banTimeStart: userData.banTimeStart,
+            banTimeEnd: userData.banTimeEnd,
+            ban: BanService.getBanStatus(UserData.hydrate(userData))
+        };
+    }
+
+    /**
+     * Send device not found response
+     */
+    sendDeviceNotFound(req, res) {
+        res.status(404).json({
+            error: 'Device not found',
+            message: `No user data found for device ${req.params.deviceId}`,
+            timestamp: new Date()
+        });
+    }
+}
+
+module.exports = ModerationController;
@@ -0,0 +1,172 @@
+/**
+ * Report Controller
+ * Handles user reports and blocks against chat partners and group members
+ */
+
+const Report = require('../models/Report');
+const ChatRepository = require('../repositories/ChatRepository');
+const GroupChatRepository = require('../repositories/GroupChatRepository');
+const UserController = require('./UserController');
+const AutoBanService = require('../services/autoBanService');
+const PartnerHistoryService = require('../services/partnerHistoryService');
+const { sanitizeInput } = require('../utils/helpers');
+
+class ReportController {
+    constructor() {
+        this.chatRepository = new ChatRepository();
+        this.groupChatRepository = new GroupChatRepository();
+        this.userController = new UserController();
+        this.maxReportLength = 500;
+    }
+
+    /**
+     * Report the current chat partner or a named group member
+     * @param {string} reporterId - Reporting user's ID
+     * @param {Object} data - Report data ({ reason, targetUserId }) where targetUserId is a public ID
+     * @returns {Object} Report result
+     */
+    async reportPartner(reporterId, data = {}) {
+        try {
+            const reportText = typeof data.reason === 'string' ? data.reason.trim() : '';
+            if (!reportText) {
+                throw new Error('Report reason is required');
+            }
+
+            if (reportText.length > this.maxReportLength) {
+                throw new Error(`Report reason must be ${this.maxReportLength} characters or less`);
+            }
+
+            const reporter = this.userController.getUser(reporterId);
+            if (!reporter || !reporter.deviceId) {
+                throw new Error('Register your device before reporting');
+            }
+
+            const target = this.resolveReportTarget(reporterId, data.targetUserId);
+
+            const reportedUser = this.userController.getUser(target.reportedUserId);
+            if (!reportedUser || !reportedUser.deviceId) {
+                throw new Error('Reported user is no longer available');
+            }
+
+            await Report.addReport(reportedUser.deviceId, sanitizeInput(reportText), {
+                reporterDeviceId: reporter.deviceId,
+                chatId: target.chatId,
+                chatType: target.chatType
+            });
+
+            console.log(`Report filed against device ${reportedUser.deviceId} by ${reporter.deviceId} in ${target.chatId}`);
+
+            // Never match the reporter with the reported user again
+            PartnerHistoryService.blockDevice(reporter.deviceId, reportedUser.deviceId).catch(error => {
+                console.error(`Failed to store block: ${error.message}`);
+            });
+
+            // Apply the automatic ban policy without holding up the reporter
+            AutoBanService.evaluateDevice(reportedUser.deviceId).catch(error => {
+                console.error(`Failed to evaluate auto-ban policy: ${error.message}`);
+            });
+
+            return {
+                success: true,
+                reportedUserId: target.reportedUserId,
+                reportedPublicId: reportedUser.publicId,
+                reportedDeviceId: reportedUser.deviceId,
+                chatId: target.chatId,
+                chatType: target.chatType
+            };
+
+        } catch (error) {
+            console.error('Error reporting partner:', error.message);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Block the current chat partner or a named group member from ever being matched with the user
+     * @param {string} userId - Blocking user's ID
+     * @param {Object} data - Block data ({ targetUserId }) where targetUserId is a public ID
+     * @returns {Object} Block result
+     */
+    async blockPartner(userId, data = {}) {
+        try {
+            const user = this.userController.getUser(userId);
+            if (!user || !user.deviceId) {
+                throw new Error('Register your device before blocking');
+            }
+
+            const target = this.resolveReportTarget(userId, data.targetUserId, 'block');
+
+            const blockedUser = this.userController.getUser(target.reportedUserId);
+            if (!blockedUser || !blockedUser.deviceId) {
+                throw new Error('Blocked user is no longer available');
+            }
+
+            try {
+                await PartnerHistoryService.blockDevice(user.deviceId, blockedUser.deviceId);
+            } catch (error) {
+                // The block still applies until the server restarts
+                console.error(`Failed to store block: ${error.message}`);
+            }
+
+            console.log(`Device ${user.deviceId} blocked ${blockedUser.deviceId} in ${target.chatId}`);
+
+            return {
+                success: true,
+                blockedUserId: target.reportedUserId,
+                blockedPublicId: blockedUser.publicId,
+                chatId: target.chatId,
+                chatType: target.chatType
+            };
+
+        } catch (error) {
+            console.error('Error blocking partner:', error.message);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Resolve who is being reported (or blocked) from the user's current chat or group
+     * @param {string} reporterId - Reporting user's ID
+     * @param {string} targetUserId - Public ID of the group member to report (group chats only)
+     * @param {string} action - Action named in error messages ('report' or 'block')
+     * @returns {Object} Target with reportedUserId, chatId and chatType
+     */
+    resolveReportTarget(reporterId, targetUserId, action = 'report') {
+        const chat = this.chatRepository.findByParticipant(reporterId);
+        if (chat) {
+            return {
+                reportedUserId: chat.getPartnerId(reporterId),
+                chatId: chat.id,
+                chatType: 'chat'
+            };
+        }
+
+        const group = this.groupChatRepository.findByMember(reporterId);
+        if (group) {
+            if (!targetUserId) {
+                throw new Error(`Specify which group member to ${action}`);
+            }
+
+            const targetUser = this.userController.getUserByPublicId(targetUserId);
+            if (!targetUser || targetUser.id === reporterId || !group.hasMember(targetUser.id)) {
+                throw new Error(`${action === 'block' ? 'Blocked' : 'Reported'} user is not a member of your group`);
+            }
+
+            return {
+                reportedUserId: targetUser.id,
+                chatId: group.id,
+                chatType: 'group'
+            };
+        }
+
+        throw new Error('Not in any active chat or group');
+    }
+}
+
+module.exports = ReportController;
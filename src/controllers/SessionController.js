@@ -0,0 +1,299 @@
+/**
+ * Session Controller
+ * Keeps a disconnected user's chat and group open for a grace period
+ * and re-attaches them when the user's device registers again on a new socket
+ */
+
+const ChatRepository = require('../repositories/ChatRepository');
+const GroupChatRepository = require('../repositories/GroupChatRepository');
+const SessionRepository = require('../repositories/SessionRepository');
+const UserController = require('./UserController');
+const sessionConfig = require('../config/session');
+const { getClusterBroker } = require('../cluster');
+
+class SessionController {
+    constructor(io) {
+        this.io = io;
+        this.chatRepository = new ChatRepository();
+        this.groupChatRepository = new GroupChatRepository();
+        this.sessionRepository = new SessionRepository();
+        this.userController = new UserController();
+        this.gracePeriodMs = sessionConfig.reconnectGracePeriodMs;
+        this.expiryTimers = new Map(); // userId -> timeout
+    }
+
+    /**
+     * Suspend a disconnected user's chat and group instead of ending them
+     * @param {string} userId - Disconnected user's ID
+     * @param {string} socketId - Socket that disconnected
+     * @param {Function} onExpire - Called with the session if the user does not come back in time
+     * @returns {Object} Suspend result
+     */
+    suspendSession(userId, socketId, onExpire) {
+        try {
+            if (this.gracePeriodMs <= 0) {
+                return { success: true, suspended: false };
+            }
+
+            const chat = this.chatRepository.findByParticipant(userId);
+            const group = this.groupChatRepository.findByMember(userId);
+
+            if (!chat && !group) {
+                return { success: true, suspended: false };
+            }
+
+            const disconnectedAt = new Date();
+            const session = {
+                userId,
+                socketId,
+                chatId: chat ? chat.id : null,
+                groupId: group ? group.id : null,
+                instanceId: getClusterBroker().instanceId,
+                disconnectedAt,
+                expiresAt: new Date(disconnectedAt.getTime() + this.gracePeriodMs)
+            };
+
+            this.sessionRepository.save(session);
+
+            const publicId = this.userController.getPublicId(userId);
+
+            if (chat) {
+                this.io.to(chat.getPartnerId(userId)).emit('partnerDisconnected', {
+                    chatId: chat.id,
+                    partnerId: publicId,
+                    gracePeriodMs: this.gracePeriodMs,
+                    expiresAt: session.expiresAt,
+                    timestamp: disconnectedAt
+                });
+            }
+
+            if (group) {
+                this.io.to(group.id).except(userId).emit('groupMemberDisconnected', {
+                    groupId: group.id,
+                    userId: publicId,
+                    gracePeriodMs: this.gracePeriodMs,
+                    expiresAt: session.expiresAt,
+                    timestamp: disconnectedAt
+                });
+            }
+
+            this.clearExpiryTimer(userId);
+            this.expiryTimers.set(userId, setTimeout(() => {
+                this.expireSession(userId, socketId, onExpire);
+            }, this.gracePeriodMs));
+
+            console.log(`Session suspended for user ${userId} (Socket: ${socketId}) for ${this.gracePeriodMs}ms`);
+
+            return {
+                success: true,
+                suspended: true,
+                expiresAt: session.expiresAt
+            };
+
+        } catch (error) {
+            console.error('Error suspending session:', error.message);
+            return {
+                success: false,
+                suspended: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * End a suspended session whose grace period ran out
+     * @param {string} userId - Internal user ID
+     * @param {string} socketId - Socket the session was suspended for
+     * @param {Function} onExpire - Expiry callback
+     */
+    expireSession(userId, socketId, onExpire) {
+        this.expiryTimers.delete(userId);
+
+        // The session was resumed (possibly on another instance) or suspended again for a newer socket
+        const session = this.sessionRepository.findByUser(userId);
+        if (!session || session.socketId !== socketId) return;
+
+        this.sessionRepository.delete(userId);
+        console.log(`Session expired for user ${userId} (Socket: ${socketId})`);
+
+        if (onExpire) {
+            onExpire(session);
+        }
+    }
+
+    /**
+     * Drop a suspended session without resuming it (e.g. the user was removed)
+     * @param {string} userId - Internal user ID
+     */
+    cancelSession(userId) {
+        this.clearExpiryTimer(userId);
+        this.sessionRepository.delete(userId);
+    }
+
+    /**
+     * Re-attach a user's chat and group to their current socket
+     * Called after the user's device registers; works both after a suspension
+     * and when a still-connected socket was replaced by a new one
+     * @param {string} userId - Internal user ID
+     * @returns {Object} Resume result
+     */
+    resumeSession(userId) {
+        try {
+            const session = this.sessionRepository.findByUser(userId);
+            if (session) {
+                this.cancelSession(userId);
+            }
+
+            const chat = this.chatRepository.findByParticipant(userId);
+            const group = this.groupChatRepository.findByMember(userId);
+
+            if (!chat && !group) {
+                return { success: true, resumed: false };
+            }
+
+            // Only replay what was sent while the user was known to be away
+            const disconnectedAt = session ? session.disconnectedAt : null;
+
+            const result = {
+                success: true,
+                resumed: true,
+                disconnectedAt
+            };
+
+            if (chat) {
+                result.chat = this.resumeChat(chat, userId, disconnectedAt);
+            }
+
+            if (group) {
+                result.group = this.resumeGroup(group, userId, disconnectedAt);
+            }
+
+            console.log(`Session resumed for user ${userId}`);
+
+            return result;
+
+        } catch (error) {
+            console.error('Error resuming session:', error.message);
+            return {
+                success: false,
+                resumed: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Put the user's socket back in the chat room and tell the partner
+     * @param {Chat} chat - Active chat
+     * @param {string} userId - Internal user ID
+     * @param {Date|null} disconnectedAt - When the user disconnected (null if they never did)
+     * @returns {Object} Chat state for the resumed user
+     */
+    resumeChat(chat, userId, disconnectedAt) {
+        this.io.in(userId).socketsJoin(chat.id);
+
+        const partnerId = chat.getPartnerId(userId);
+        const partnerInfo = this.userController.getUserPartnerInfo(partnerId, chat.isRevealed());
+
+        if (disconnectedAt) {
+            this.io.to(partnerId).emit('partnerReconnected', {
+                chatId: chat.id,
+                partnerId: this.userController.getPublicId(userId),
+                timestamp: new Date()
+            });
+        }
+
+        return {
+            chatId: chat.id,
+            partnerId: partnerInfo ? partnerInfo.id : null,
+            partnerInfo,
+            missedMessages: disconnectedAt
+                ? this.formatMissedMessages(chat, disconnectedAt, userId, { chatId: chat.id }, chat.isRevealed())
+                : []
+        };
+    }
+
+    /**
+     * Put the user's socket back in the group room and tell the other members
+     * @param {GroupChat} group - Active group
+     * @param {string} userId - Internal user ID
+     * @param {Date|null} disconnectedAt - When the user disconnected (null if they never did)
+     * @returns {Object} Group state for the resumed user
+     */
+    resumeGroup(group, userId, disconnectedAt) {
+        this.io.in(userId).socketsJoin(group.id);
+
+        if (disconnectedAt) {
+            this.io.to(group.id).except(userId).emit('groupMemberReconnected', {
+                groupId: group.id,
+                userId: this.userController.getPublicId(userId),
+                memberCount: group.getMemberCount(),
+                timestamp: new Date()
+            });
+        }
+
+        return {
+            groupId: group.id,
+            groupInfo: group.getGroupInfo(),
+            missedMessages: disconnectedAt
+                ? this.formatMissedMessages(group, disconnectedAt, userId, { groupId: group.id })
+                : []
+        };
+    }
+
+    /**
+     * Format messages sent since a time the way they were delivered live, skipping the user's own and unsent ones
+     * @param {Chat|GroupChat} conversation - Chat or group the messages belong to
+     * @param {Date} since - Only messages sent after this time
+     * @param {string} recipientId - User the messages are replayed to
+     * @param {Object} context - Extra fields ({ chatId } or { groupId })
+     * @param {boolean} revealed - Whether senders' full profiles are shared (false in anonymous chats)
+     * @returns {Array} Display messages
+     */
+    formatMissedMessages(conversation, since, recipientId, context, revealed = true) {
+        return conversation.getMessagesSince(since)
+            .filter(message => message.senderId !== recipientId && !message.deleted)
+            .map(message => {
+                const senderInfo = this.userController.getUserPartnerInfo(message.senderId, revealed) || {};
+                const quotedMessage = message.replyToId ? conversation.findMessage(message.replyToId) : null;
+                const quotedSenderInfo = quotedMessage
+                    ? this.userController.getUserPartnerInfo(quotedMessage.senderId, revealed) || {}
+                    : {};
+
+                return {
+                    ...message.getDisplayMessage(senderInfo, quotedMessage, quotedSenderInfo),
+                    ...context
+                };
+            });
+    }
+
+    /**
+     * Cancel a pending expiry
+     * @param {string} userId - Internal user ID
+     */
+    clearExpiryTimer(userId) {
+        const timer = this.expiryTimers.get(userId);
+        if (timer) {
+            clearTimeout(timer);
+            this.expiryTimers.delete(userId);
+        }
+    }
+
+    /**
+     * Cancel every pending expiry (the server is shutting down; the sessions stay stored)
+     */
+    clearExpiryTimers() {
+        this.expiryTimers.forEach(timer => clearTimeout(timer));
+        this.expiryTimers.clear();
+    }
+
+    /**
+     * Get suspended session count (for stats)
+     * @returns {number} Number of suspended sessions
+     */
+    getSuspendedSessionsCount() {
+        return this.sessionRepository.count();
+    }
+}
+
+module.exports = SessionController;
@@ -5,7 +5,16 @@
 
 const User = require('../models/User');
 const UserRepository = require('../repositories/UserRepository');
-const { isValidGender, isValidPreference, sanitizeInput } = require('../utils/helpers');
+const { getClusterBroker } = require('../cluster');
+const matchingConfig = require('../config/matching');
+const {
+    isValidGender,
+    isValidPreference,
+    isValidLanguage,
+    isValidRegion,
+    normalizeTags,
+    sanitizeInput
+} = require('../utils/helpers');
 
 class UserController {
     constructor() {
@@ -13,41 +22,123 @@ class UserController {
     }
 
     /**
-     * Create a new user
+     * Get or create the user for a registered device and bind it to a socket
      * @param {string} socketId - Socket connection ID
-     * @returns {User} Created user instance
+     * @param {string} deviceId - Registered device ID
+     * @returns {Object} { user, previousSocketId } where previousSocketId is a socket the user was still bound to
      */
-    createUser(socketId) {
-        const user = new User(socketId);
+    connectUser(socketId, deviceId) {
+        const userId = User.idForDevice(deviceId);
+        let user = this.userRepository.findById(userId);
+
+        const previousSocketId = user && user.socketId !== socketId ? user.socketId : null;
+
+        if (!user) {
+            user = new User(userId);
+            user.deviceId = deviceId;
+        }
+
+        user.socketId = socketId;
+        user.instanceId = getClusterBroker().instanceId;
+        user.connectedAt = new Date();
+
+        this.userRepository.save(user);
+        this.userRepository.bindSocket(socketId, userId);
+
+        return { user, previousSocketId };
+    }
+
+    /**
+     * Unbind a disconnected socket from its user
+     * @param {string} socketId - Socket connection ID
+     * @returns {User|null} The user if this was their current socket, null if unbound or replaced by a newer socket
+     */
+    disconnectSocket(socketId) {
+        const user = this.userRepository.findBySocketId(socketId);
+        this.userRepository.unbindSocket(socketId);
+
+        if (!user || user.socketId !== socketId) return null;
+
+        user.socketId = null;
         this.userRepository.save(user);
         return user;
     }
 
     /**
-     * Get user by socket ID
+     * Get user by ID
+     * @param {string} userId - Internal user ID
+     * @returns {User|null} User instance or null if not found
+     */
+    getUser(userId) {
+        return this.userRepository.findById(userId);
+    }
+
+    /**
+     * Get the ID of the user bound to a socket
      * @param {string} socketId - Socket connection ID
+     * @returns {string|null} Internal user ID or null if the socket is not registered
+     */
+    getUserIdBySocket(socketId) {
+        const user = this.userRepository.findBySocketId(socketId);
+        return user ? user.id : null;
+    }
+
+    /**
+     * Get the user for a registered device
+     * @param {string} deviceId - Registered device ID
+     * @returns {User|null} User instance or null if not found
+     */
+    getUserByDevice(deviceId) {
+        return this.userRepository.findById(User.idForDevice(deviceId));
+    }
+
+    /**
+     * Get user by public ID
+     * @param {string} publicId - Public user ID
      * @returns {User|null} User instance or null if not found
      */
-    getUser(socketId) {
-        return this.userRepository.findById(socketId);
+    getUserByPublicId(publicId) {
+        if (!publicId || typeof publicId !== 'string') return null;
+        return this.userRepository.findByPublicId(publicId);
+    }
+
+    /**
+     * Get the public ID of a user
+     * @param {string} userId - Internal user ID
+     * @returns {string|null} Public ID or null if user not found
+     */
+    getPublicId(userId) {
+        const user = this.userRepository.findById(userId);
+        return user ? user.publicId : null;
     }
 
     /**
      * Update user profile
-     * @param {string} socketId - Socket connection ID
+     * @param {string} userId - Internal user ID
      * @param {Object} profileData - Profile data to update
      * @returns {Object} Updated profile or null if user not found
      */
-    updateUserProfile(socketId, profileData) {
-        const user = this.userRepository.findById(socketId);
+    updateUserProfile(userId, profileData) {
+        const user = this.userRepository.findById(userId);
         if (!user) return null;
 
+        // A locked birth year is left as it is
+        const canSetBirthYear = this.isValidBirthYear(profileData.birthYear)
+            && !this.getBirthYearChangeError(userId, profileData.birthYear);
+
         // Sanitize input data
         const sanitizedData = {
             name: profileData.name ? sanitizeInput(profileData.name.trim()) : undefined,
             gender: profileData.gender && isValidGender(profileData.gender) ? profileData.gender : undefined,
             avatar: profileData.avatar ? sanitizeInput(profileData.avatar) : undefined,
-            nickname: profileData.nickname ? sanitizeInput(profileData.nickname.trim()) : undefined
+            nickname: profileData.nickname ? sanitizeInput(profileData.nickname.trim()) : undefined,
+            languages: Array.isArray(profileData.languages)
+                ? normalizeTags(profileData.languages.filter(language => isValidLanguage(language, matchingConfig.supportedLanguages)))
+                : undefined,
+            region: profileData.region !== undefined
+                ? (isValidRegion(profileData.region) ? profileData.region.trim().toUpperCase() : null)
+                : undefined,
+            birthYear: canSetBirthYear ? Number(profileData.birthYear) : undefined
         };
 
         // Remove undefined values
@@ -63,14 +154,52 @@ class UserController {
         return updatedProfile;
     }
 
+    /**
+     * Check whether a user may set their birth year
+     * The birth year decides who the user can be matched with, so it can only be set once, and not while
+     * the user is in a chat or group whose members were picked for the age group they had when it started
+     * @param {string} userId - Internal user ID
+     * @param {*} birthYear - Requested birth year (undefined if not being changed)
+     * @returns {string|null} Error message or null if allowed
+     */
+    getBirthYearChangeError(userId, birthYear) {
+        const user = this.userRepository.findById(userId);
+        if (!user || birthYear === undefined) return null;
+
+        if (user.profile.birthYear !== null && user.profile.birthYear !== undefined) {
+            return Number(birthYear) === user.profile.birthYear ? null : 'Birth year cannot be changed once set';
+        }
+
+        if (user.isInChat || user.isInGroup) {
+            return 'Birth year cannot be set during a chat or group chat';
+        }
+
+        return null;
+    }
+
+    /**
+     * Restore the birth year a device set in an earlier session
+     * @param {string} userId - Internal user ID
+     * @param {number|null} birthYear - Stored birth year
+     * @returns {boolean} True if the profile was updated
+     */
+    restoreBirthYear(userId, birthYear) {
+        const user = this.userRepository.findById(userId);
+        if (!user || !birthYear || user.profile.birthYear === birthYear) return false;
+
+        user.profile.birthYear = birthYear;
+        this.userRepository.save(user);
+        return true;
+    }
+
     /**
      * Update user preferences
-     * @param {string} socketId - Socket connection ID
+     * @param {string} userId - Internal user ID
      * @param {Object} preferences - Preferences to update
      * @returns {Object} Updated preferences or null if user not found
      */
-    updateUserPreferences(socketId, preferences) {
-        const user = this.userRepository.findById(socketId);
+    updateUserPreferences(userId, preferences) {
+        const user = this.userRepository.findById(userId);
         if (!user) return null;
 
         // Validate preferences
@@ -79,6 +208,17 @@ class UserController {
             validatedPreferences.preferredGender = preferences.preferredGender;
         }
 
+        // Age limits can be cleared with null
+        ['minAge', 'maxAge'].forEach(key => {
+            if (preferences[key] === null || this.isValidAge(preferences[key])) {
+                validatedPreferences[key] = preferences[key] === null ? null : Number(preferences[key]);
+            }
+        });
+
+        if (preferences.interestTags !== undefined) {
+            validatedPreferences.interestTags = normalizeTags(preferences.interestTags, matchingConfig.maxTags, matchingConfig.maxTagLength);
+        }
+
         const updatedPreferences = user.updatePreferences(validatedPreferences);
         this.userRepository.save(user);
 
@@ -87,12 +227,12 @@ class UserController {
 
     /**
      * Set user chat status
-     * @param {string} socketId - Socket connection ID
+     * @param {string} userId - Internal user ID
      * @param {boolean} inChat - Whether user is in chat
      * @returns {boolean} True if updated successfully
      */
-    setUserChatStatus(socketId, inChat) {
-        const user = this.userRepository.findById(socketId);
+    setUserChatStatus(userId, inChat) {
+        const user = this.userRepository.findById(userId);
         if (!user) return false;
 
         user.setInChat(inChat);
@@ -102,12 +242,12 @@ class UserController {
 
     /**
      * Set user group status
-     * @param {string} socketId - Socket connection ID
+     * @param {string} userId - Internal user ID
      * @param {boolean} inGroup - Whether user is in group
      * @returns {boolean} True if updated successfully
      */
-    setUserGroupStatus(socketId, inGroup) {
-        const user = this.userRepository.findById(socketId);
+    setUserGroupStatus(userId, inGroup) {
+        const user = this.userRepository.findById(userId);
         if (!user) return false;
 
         user.setInGroup(inGroup);
@@ -117,11 +257,11 @@ class UserController {
 
     /**
      * Get user profile data
-     * @param {string} socketId - Socket connection ID
+     * @param {string} userId - Internal user ID
      * @returns {Object|null} Profile and preferences data
      */
-    getUserProfileData(socketId) {
-        const user = this.userRepository.findById(socketId);
+    getUserProfileData(userId) {
+        const user = this.userRepository.findById(userId);
         if (!user) return null;
 
         return {
@@ -132,14 +272,15 @@ class UserController {
 
     /**
      * Get user partner info
-     * @param {string} socketId - Socket connection ID
+     * @param {string} userId - Internal user ID
+     * @param {boolean} revealed - Whether to share the full profile (false shares only the nickname)
      * @returns {Object|null} Partner info or null if user not found
      */
-    getUserPartnerInfo(socketId) {
-        const user = this.userRepository.findById(socketId);
+    getUserPartnerInfo(userId, revealed = true) {
+        const user = this.userRepository.findById(userId);
         if (!user) return null;
 
-        return user.getPartnerInfo();
+        return revealed ? user.getPartnerInfo() : user.getAnonymousPartnerInfo();
     }
 
     /**
@@ -161,11 +302,11 @@ class UserController {
 
     /**
      * Delete user
-     * @param {string} socketId - Socket connection ID
+     * @param {string} userId - Internal user ID
      * @returns {boolean} True if deleted successfully
      */
-    deleteUser(socketId) {
-        return this.userRepository.delete(socketId);
+    deleteUser(userId) {
+        return this.userRepository.delete(userId);
     }
 
     /**
@@ -211,11 +352,57 @@ class UserController {
             errors.push('Invalid gender preference');
         }
 
+        if (userData.languages !== undefined && (!Array.isArray(userData.languages) ||
+            !userData.languages.every(language => isValidLanguage(language, matchingConfig.supportedLanguages)))) {
+            errors.push(`Languages must be a list of: ${matchingConfig.supportedLanguages.join(', ')}`);
+        }
+
+        if (userData.region && !isValidRegion(userData.region)) {
+            errors.push('Region must be a two-letter country code');
+        }
+
+        if (userData.birthYear !== undefined && !this.isValidBirthYear(userData.birthYear)) {
+            errors.push(`Birth year must make you between ${matchingConfig.minimumAge} and ${matchingConfig.maximumAge} years old`);
+        }
+
+        ['minAge', 'maxAge'].forEach(key => {
+            if (userData[key] !== undefined && userData[key] !== null && !this.isValidAge(userData[key])) {
+                errors.push(`${key} must be a whole number between ${matchingConfig.minimumAge} and ${matchingConfig.maximumAge}`);
+            }
+        });
+
+        if (this.isValidAge(userData.minAge) && this.isValidAge(userData.maxAge) && Number(userData.minAge) > Number(userData.maxAge)) {
+            errors.push('minAge cannot be greater than maxAge');
+        }
+
         return {
             isValid: errors.length === 0,
             errors
         };
     }
+
+    /**
+     * Check whether an age is within the allowed range
+     * @param {*} age - Age to check
+     * @returns {boolean} True if valid age
+     */
+    isValidAge(age) {
+        const value = Number(age);
+        return age !== null && age !== '' && Number.isInteger(value) &&
+            value >= matchingConfig.minimumAge && value <= matchingConfig.maximumAge;
+    }
+
+    /**
+     * Check whether a birth year gives an allowed age
+     * @param {*} birthYear - Birth year to check
+     * @returns {boolean} True if valid birth year
+     */
+    isValidBirthYear(birthYear) {
+        const year = Number(birthYear);
+        if (birthYear === null || birthYear === '' || !Number.isInteger(year)) return false;
+
+        return this.isValidAge(new Date().getFullYear() - year);
+    }
 }
 
 module.exports = UserController;
\ No newline at end of file
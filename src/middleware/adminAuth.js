@@ -0,0 +1,112 @@
+/**
+ * Admin authentication
+ * Verifies API keys and signed bearer tokens for admin HTTP routes and privileged socket events
+ */
+
+const adminConfig = require('../config/admin');
+const { safeEqual, createSignedToken, verifySignedToken } = require('../utils/signedToken');
+
+/**
+ * Create a signed admin bearer token
+ * @param {string} subject - Who the token is issued to
+ * @param {number} ttlMs - Token lifetime in milliseconds
+ * @returns {string} Signed token
+ */
+function createAdminToken(subject = 'admin', ttlMs = adminConfig.tokenTtlMs) {
+    if (!adminConfig.tokenSecret) {
+        throw new Error('ADMIN_TOKEN_SECRET is not configured');
+    }
+
+    return createSignedToken(adminConfig.tokenSecret, subject, ttlMs);
+}
+
+/**
+ * Verify a signed admin bearer token
+ * @param {string} token - Token to verify
+ * @returns {Object|null} Token payload or null if invalid or expired
+ */
+function verifyAdminToken(token) {
+    return verifySignedToken(adminConfig.tokenSecret, token);
+}
+
+/**
+ * Verify an admin credential (API key or signed bearer token)
+ * @param {string} credential - Credential to verify
+ * @returns {Object|null} Admin identity or null if not authorized
+ */
+function verifyAdminCredential(credential) {
+    if (!credential || typeof credential !== 'string') return null;
+
+    if (adminConfig.apiKeys.some(key => safeEqual(key, credential))) {
+        return { subject: 'api-key', method: 'apiKey' };
+    }
+
+    const tokenData = verifyAdminToken(credential);
+    if (tokenData) {
+        return { subject: tokenData.sub, method: 'token', expiresAt: new Date(tokenData.exp) };
+    }
+
+    return null;
+}
+
+/**
+ * Read the admin credential from an HTTP request
+ * Accepts "Authorization: Bearer <key or token>" or "X-API-Key: <key>"
+ * @param {Object} req - Express request
+ * @returns {string|null} Credential or null
+ */
+function getRequestCredential(req) {
+    const authorization = req.get('authorization');
+    if (authorization && authorization.startsWith('Bearer ')) {
+        return authorization.slice(7).trim();
+    }
+
+    return req.get('x-api-key') || null;
+}
+
+/**
+ * Express middleware protecting admin routes
+ */
+function requireAdmin(req, res, next) {
+    const admin = verifyAdminCredential(getRequestCredential(req));
+
+    if (!admin) {
+        console.warn(`Unauthorized admin request: ${req.method} ${req.originalUrl} from ${req.ip}`);
+        return res.status(401).json({
+            error: 'Unauthorized',
+            message: 'Valid admin credentials are required',
+            timestamp: new Date()
+        });
+    }
+
+    req.admin = admin;
+    next();
+}
+
+/**
+ * Check whether a socket is authorized for privileged events
+ * Uses the handshake auth ({ adminToken }) or an adminToken in the event payload
+ * @param {Object} socket - Socket.IO socket instance
+ * @param {Object} data - Event payload (optional)
+ * @returns {Object|null} Admin identity or null
+ */
+function authorizeSocket(socket, data = null) {
+    const credential = (data && data.adminToken) || socket.handshake.auth?.adminToken;
+    return verifyAdminCredential(credential);
+}
+
+/**
+ * Check whether any admin credentials are configured
+ * @returns {boolean} True if admin access is possible
+ */
+function isAdminAuthConfigured() {
+    return adminConfig.apiKeys.length > 0 || Boolean(adminConfig.tokenSecret);
+}
+
+module.exports = {
+    requireAdmin,
+    authorizeSocket,
+    verifyAdminCredential,
+    createAdminToken,
+    isAdminAuthConfigured
+};
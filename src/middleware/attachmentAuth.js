@@ -0,0 +1,70 @@
+/**
+ * Attachment authentication
+ * Signs the per-user tokens handed out on device registration and checks them on the attachment routes
+ */
+
+const attachmentsConfig = require('../config/attachments');
+const UserRepository = require('../repositories/UserRepository');
+const { createSignedToken, verifySignedToken } = require('../utils/signedToken');
+
+/**
+ * Create an attachment token for a user
+ * The token names the user by their public ID, so it never exposes the internal one
+ * @param {string} publicId - User's public ID
+ * @param {number} ttlMs - Token lifetime in milliseconds
+ * @returns {string} Signed token
+ */
+function createAttachmentToken(publicId, ttlMs = attachmentsConfig.tokenTtlMs) {
+    return createSignedToken(attachmentsConfig.tokenSecret, publicId, ttlMs);
+}
+
+/**
+ * Verify an attachment token
+ * @param {string} token - Token to verify
+ * @returns {string|null} Public user ID or null if invalid or expired
+ */
+function verifyAttachmentToken(token) {
+    const data = verifySignedToken(attachmentsConfig.tokenSecret, token);
+    return data ? data.sub : null;
+}
+
+/**
+ * Read the attachment token from an HTTP request
+ * Accepts "Authorization: Bearer <token>" or a ?token= query parameter (for <img src>)
+ * @param {Object} req - Express request
+ * @returns {string|null} Token or null
+ */
+function getRequestToken(req) {
+    const authorization = req.get('authorization');
+    if (authorization && authorization.startsWith('Bearer ')) {
+        return authorization.slice(7).trim();
+    }
+
+    return typeof req.query.token === 'string' ? req.query.token : null;
+}
+
+/**
+ * Express middleware identifying the user behind an attachment request
+ * Sets req.userId to the internal ID of a currently registered user
+ */
+function requireAttachmentUser(req, res, next) {
+    const publicId = verifyAttachmentToken(getRequestToken(req));
+    const user = publicId ? new UserRepository().findByPublicId(publicId) : null;
+
+    if (!user) {
+        return res.status(401).json({
+            error: 'Unauthorized',
+            message: 'A valid attachment token is required',
+            timestamp: new Date()
+        });
+    }
+
+    req.userId = user.id;
+    next();
+}
+
+module.exports = {
+    requireAttachmentUser,
+    createAttachmentToken,
+    verifyAttachmentToken
+};
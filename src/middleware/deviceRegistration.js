@@ -0,0 +1,45 @@
+/**
+ * Device registration gate
+ * Socket middleware that drops events from sockets that have not registered their device
+ */
+
+// Events a socket may send before (or without) registering its device
+const PUBLIC_EVENTS = new Set([
+    'registerDevice',
+    'getActiveUsers',
+    'getStats',
+    'getGroupStats'
+]);
+
+/**
+ * Check whether an event can be sent without a registered device
+ * @param {string} event - Event name
+ * @returns {boolean} True if the event is public
+ */
+function isPublicEvent(event) {
+    return PUBLIC_EVENTS.has(event);
+}
+
+/**
+ * Create a socket middleware (for socket.use) that only lets registered sockets through
+ * Rejected events never reach their handlers
+ * @param {Object} socket - Socket.IO socket instance
+ * @param {Function} isRegistered - Called with the socket, returns true once its device is registered
+ * @param {Function} onRejected - Called with the socket and event name when an event is dropped
+ * @returns {Function} Socket middleware
+ */
+function requireRegisteredDevice(socket, isRegistered, onRejected) {
+    return ([event], next) => {
+        if (isPublicEvent(event) || isRegistered(socket)) {
+            next();
+            return;
+        }
+
+        onRejected(socket, event);
+    };
+}
+
+module.exports = {
+    requireRegisteredDevice,
+    isPublicEvent
+};
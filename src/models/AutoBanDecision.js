@@ -0,0 +1,79 @@
+/**
+ * AutoBanDecision Model
+ * Stores the automatic bans issued by the report policy so admins can review them after a restart
+ */
+
+const mongoose = require('mongoose');
+
+const autoBanDecisionSchema = new mongoose.Schema({
+    deviceId: {
+        type: String,
+        required: true,
+        trim: true,
+        index: true
+    },
+    distinctReporters: {
+        type: Number,
+        required: true
+    },
+    threshold: {
+        type: Number,
+        required: true
+    },
+    windowMs: {
+        type: Number,
+        required: true
+    },
+    escalationLevel: {
+        type: Number,
+        required: true
+    },
+    banDuration: {
+        type: Number,
+        default: null // null = permanent
+    },
+    isPermanent: {
+        type: Boolean,
+        default: false
+    },
+    decidedAt: {
+        type: Date,
+        required: true,
+        default: Date.now
+    }
+}, {
+    timestamps: true, // Adds createdAt and updatedAt
+    collection: 'auto_ban_decisions'
+});
+
+// Static method to record an automatic ban decision
+autoBanDecisionSchema.statics.recordDecision = async function(decision) {
+    try {
+        const autoBanDecision = new this(decision);
+
+        await autoBanDecision.save();
+        return autoBanDecision;
+    } catch (error) {
+        throw new Error(`Failed to record auto-ban decision: ${error.message}`);
+    }
+};
+
+// Static method to get the most recent decisions (newest first)
+autoBanDecisionSchema.statics.getRecentDecisions = async function(limit = 50) {
+    try {
+        return await this.find({})
+            .sort({ decidedAt: -1 })
+            .limit(limit)
+            .select('-_id -__v -createdAt -updatedAt')
+            .lean();
+    } catch (error) {
+        throw new Error(`Failed to get auto-ban decisions: ${error.message}`);
+    }
+};
+
+// Create indexes for better performance
+autoBanDecisionSchema.index({ decidedAt: -1 });
+
+const AutoBanDecision = mongoose.model('AutoBanDecision', autoBanDecisionSchema);
+
+module.exports = AutoBanDecision;
@@ -3,8 +3,10 @@
  * Represents a one-on-one chat session between two users
  */
 
+const Message = require('./Message');
+
 class Chat {
-    constructor(user1Id, user2Id) {
+    constructor(user1Id, user2Id, anonymous = false) {
         this.id = this.generateChatId();
         this.user1Id = user1Id;
         this.user2Id = user2Id;
@@ -12,6 +14,9 @@ class Chat {
         this.endedAt = null;
         this.isActive = true;
         this.messages = [];
+        this.anonymous = anonymous; // Partners only see each other's nickname until both ask to reveal
+        this.revealRequests = []; // Users who asked to reveal profiles
+        this.friendRequests = []; // Users who asked to become friends
     }
 
     /**
@@ -24,27 +29,12 @@ class Chat {
 
     /**
      * Add message to chat
-     * @param {string} senderId - ID of message sender
-     * @param {string} message - Message content
-     * @param {Date} timestamp - Message timestamp
-     */
-    addMessage(senderId, message, timestamp = new Date()) {
-        const messageData = {
-            id: this.generateMessageId(),
-            senderId,
-            message,
-            timestamp
-        };
-        this.messages.push(messageData);
-        return messageData;
-    }
-
-    /**
-     * Generate unique message ID
-     * @returns {string} Unique message ID
+     * @param {Message} message - Message sent by a participant
+     * @returns {Message} The added message
      */
-    generateMessageId() {
-        return 'msg_' + Math.random().toString(36).substring(2, 11);
+    addMessage(message) {
+        this.messages.push(message);
+        return message;
     }
 
     /**
@@ -67,6 +57,114 @@ class Chat {
         return userId === this.user1Id || userId === this.user2Id;
     }
 
+    /**
+     * Record a participant's request to reveal profiles
+     * @param {string} userId - Requesting user's ID
+     * @returns {boolean} True if both participants have now asked
+     */
+    requestReveal(userId) {
+        if (!this.revealRequests.includes(userId)) {
+            this.revealRequests.push(userId);
+        }
+        return this.isRevealed();
+    }
+
+    /**
+     * Check whether participants can see each other's full profile
+     * @returns {boolean} True if the chat is not anonymous or both participants asked to reveal
+     */
+    isRevealed() {
+        return !this.anonymous || this.hasMutualRequest(this.revealRequests);
+    }
+
+    /**
+     * Record a participant's request to become friends
+     * @param {string} userId - Requesting user's ID
+     * @returns {boolean} True if both participants have now asked
+     */
+    requestFriendship(userId) {
+        if (!this.friendRequests.includes(userId)) {
+            this.friendRequests.push(userId);
+        }
+        return this.hasMutualRequest(this.friendRequests);
+    }
+
+    /**
+     * Check whether both participants are in a list of requests
+     * @param {Array} requests - User IDs who made the request
+     * @returns {boolean} True if both participants made it
+     */
+    hasMutualRequest(requests) {
+        return requests.includes(this.user1Id) && requests.includes(this.user2Id);
+    }
+
+    /**
+     * Find a message by ID
+     * @param {string} messageId - Message ID
+     * @returns {Message|null} Message or null if not found
+     */
+    findMessage(messageId) {
+        return this.messages.find(message => message.id === messageId) || null;
+    }
+
+    /**
+     * Find a message a user sent with a client-supplied idempotency key
+     * @param {string} senderId - Sender's user ID
+     * @param {string} clientMessageId - Key the client sent the message with
+     * @returns {Message|null} Message or null if not found
+     */
+    findMessageByClientId(senderId, clientMessageId) {
+        return this.messages.find(message =>
+            message.senderId === senderId && message.clientMessageId === clientMessageId) || null;
+    }
+
+    /**
+     * Record that a message reached the partner's device
+     * @param {string} messageId - Message ID
+     * @param {string} userId - Receiving participant's ID
+     * @returns {boolean} True if the message was not delivered to this participant before
+     */
+    markMessageDelivered(messageId, userId) {
+        return this.addReceipt(messageId, userId, 'deliveredTo');
+    }
+
+    /**
+     * Record that a participant has read their partner's message
+     * @param {string} messageId - Message ID
+     * @param {string} userId - Reading participant's ID
+     * @returns {boolean} True if the message was not read by this participant before
+     */
+    markMessageRead(messageId, userId) {
+        return this.addReceipt(messageId, userId, 'readBy');
+    }
+
+    /**
+     * Add a participant to one of a message's receipt lists, never for the sender's own message
+     * @param {string} messageId - Message ID
+     * @param {string} userId - Participant's ID
+     * @param {string} receipt - Receipt list ('deliveredTo' or 'readBy')
+     * @returns {boolean} True if the participant was added
+     */
+    addReceipt(messageId, userId, receipt) {
+        const message = this.findMessage(messageId);
+        if (!message || message.senderId === userId) return false;
+
+        message[receipt] = message[receipt] || [];
+        if (message[receipt].includes(userId)) return false;
+
+        message[receipt].push(userId);
+        return true;
+    }
+
+    /**
+     * Get messages sent after a point in time
+     * @param {Date} since - Only return messages newer than this
+     * @returns {Array} Messages (oldest first)
+     */
+    getMessagesSince(since) {
+        return this.messages.filter(message => new Date(message.timestamp) > since);
+    }
+
     /**
      * End the chat session
      */
@@ -100,6 +198,42 @@ class Chat {
         };
     }
 
+    /**
+     * Get full chat state for persistence (including messages)
+     * @returns {Object} Chat record
+     */
+    toRecord() {
+        return {
+            id: this.id,
+            user1Id: this.user1Id,
+            user2Id: this.user2Id,
+            startedAt: this.startedAt,
+            endedAt: this.endedAt,
+            isActive: this.isActive,
+            messages: this.messages.map(message => message.toRecord()),
+            anonymous: this.anonymous,
+            revealRequests: this.revealRequests,
+            friendRequests: this.friendRequests
+        };
+    }
+
+    /**
+     * Restore a chat from a persisted record
+     * @param {Object} record - Chat record
+     * @returns {Chat} Chat instance
+     */
+    static fromRecord(record) {
+        const chat = new Chat(record.user1Id, record.user2Id, Boolean(record.anonymous));
+        chat.id = record.id;
+        chat.startedAt = new Date(record.startedAt);
+        chat.endedAt = record.endedAt ? new Date(record.endedAt) : null;
+        chat.isActive = record.isActive;
+        chat.messages = (record.messages || []).map(message => Message.fromRecord(message));
+        chat.revealRequests = record.revealRequests || [];
+        chat.friendRequests = record.friendRequests || [];
+        return chat;
+    }
+
     /**
      * Serialize chat data
      * @returns {Object} Serialized chat data
@@ -0,0 +1,127 @@
+/**
+ * ChatSession Model
+ * Persists one-on-one and group chat sessions with their message history
+ */
+
+const mongoose = require('mongoose');
+
+const chatSessionSchema = new mongoose.Schema({
+    sessionId: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true
+    },
+    type: {
+        type: String,
+        enum: ['chat', 'group'],
+        required: true
+    },
+    participants: {
+        type: [String],
+        default: []
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    // Model record (Chat.toRecord / GroupChat.toRecord) without its messages
+    record: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    // Message records keyed by message ID, so each save only writes the messages that changed
+    messages: {
+        type: mongoose.Schema.Types.Mixed
+    }
+}, {
+    timestamps: true, // Adds createdAt and updatedAt
+    collection: 'chat_sessions',
+    minimize: false
+});
+
+/**
+ * Rebuild the full model record of a stored session
+ * Sessions saved before messages were stored separately keep them inside the record
+ * @param {Object} session - Lean session document
+ * @returns {Object} Record including its messages (oldest first)
+ */
+function getSessionRecord(session) {
+    if (!session.messages) return session.record;
+
+    const messages = Object.values(session.messages)
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    return { ...session.record, messages };
+}
+
+// Static method to create or update a session
+// Only the given messages (keyed by message ID) are written; stored messages not listed stay as they are
+chatSessionSchema.statics.saveSession = async function(type, record, participants, messages = {}) {
+    try {
+        const sessionRecord = { ...record };
+        delete sessionRecord.messages;
+
+        const update = {
+            type,
+            participants,
+            isActive: record.isActive,
+            record: sessionRecord
+        };
+
+        Object.keys(messages).forEach(messageId => {
+            update[`messages.${messageId}`] = messages[messageId];
+        });
+
+        return await this.findOneAndUpdate(
+            { sessionId: record.id },
+            {
+                $set: update
+            },
+            {
+                new: true,
+                upsert: true
+            }
+        );
+    } catch (error) {
+        throw new Error(`Failed to save chat session: ${error.message}`);
+    }
+};
+
+// Static method to remove a session
+chatSessionSchema.statics.removeSession = async function(sessionId) {
+    try {
+        return await this.deleteOne({ sessionId });
+    } catch (error) {
+        throw new Error(`Failed to remove chat session: ${error.message}`);
+    }
+};
+
+// Static method to remove all sessions of a type
+chatSessionSchema.statics.removeSessions = async function(type) {
+    try {
+        return await this.deleteMany({ type });
+    } catch (error) {
+        throw new Error(`Failed to remove chat sessions: ${error.message}`);
+    }
+};
+
+// Static method to load all sessions of a type (oldest first)
+chatSessionSchema.statics.loadSessions = async function(type) {
+    try {
+        const sessions = await this.find({ type })
+            .sort({ createdAt: 1 })
+            .lean();
+
+        return sessions.map(session => ({ ...session, record: getSessionRecord(session) }));
+    } catch (error) {
+        throw new Error(`Failed to load chat sessions: ${error.message}`);
+    }
+};
+
+chatSessionSchema.index({ type: 1, createdAt: 1 });
+chatSessionSchema.index({ participants: 1 });
+
+const ChatSession = mongoose.model('ChatSession', chatSessionSchema);
+
+module.exports = ChatSession;
@@ -0,0 +1,106 @@
+/**
+ * Friendship Model
+ * Stores friendships between two devices, made when both chat partners sent addFriend
+ */
+
+const mongoose = require('mongoose');
+
+const friendshipSchema = new mongoose.Schema({
+    deviceIds: {
+        type: [String],
+        required: true,
+        index: true
+    },
+    pairKey: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    chatId: {
+        type: String,
+        default: null
+    }
+}, {
+    timestamps: true, // Adds createdAt and updatedAt
+    collection: 'friendships'
+});
+
+/**
+ * Get the key identifying a pair of devices (the same whichever device comes first)
+ * @param {string} deviceId - First device ID
+ * @param {string} otherDeviceId - Second device ID
+ * @returns {string} Pair key
+ */
+function getPairKey(deviceId, otherDeviceId) {
+    return [deviceId, otherDeviceId].sort().join('|');
+}
+
+// Static method to record a friendship between two devices
+friendshipSchema.statics.addFriendship = async function(deviceId, otherDeviceId, details = {}) {
+    try {
+        const friendship = await this.findOneAndUpdate(
+            { pairKey: getPairKey(deviceId, otherDeviceId) },
+            {
+                $setOnInsert: {
+                    deviceIds: [deviceId, otherDeviceId].sort(),
+                    pairKey: getPairKey(deviceId, otherDeviceId),
+                    chatId: details.chatId || null
+                }
+            },
+            {
+                new: true,
+                upsert: true, // Create if doesn't exist
+                runValidators: true
+            }
+        );
+        return friendship;
+    } catch (error) {
+        throw new Error(`Failed to add friendship: ${error.message}`);
+    }
+};
+
+// Static method to check whether two devices are friends
+friendshipSchema.statics.areFriends = async function(deviceId, otherDeviceId) {
+    try {
+        const friendship = await this.exists({ pairKey: getPairKey(deviceId, otherDeviceId) });
+        return Boolean(friendship);
+    } catch (error) {
+        throw new Error(`Failed to check friendship: ${error.message}`);
+    }
+};
+
+// Static method to list a device's friendships (newest first) with the friend's device ID
+friendshipSchema.statics.getFriendships = async function(deviceId) {
+    try {
+        const friendships = await this.find({ deviceIds: deviceId }).sort({ createdAt: -1 }).lean();
+        return friendships.map(friendship => ({
+            id: friendship._id.toString(),
+            friendDeviceId: friendship.deviceIds.find(id => id !== deviceId),
+            since: friendship.createdAt
+        }));
+    } catch (error) {
+        throw new Error(`Failed to get friends: ${error.message}`);
+    }
+};
+
+// Static method to find one of a device's friendships by its ID
+friendshipSchema.statics.findFriendship = async function(friendshipId, deviceId) {
+    if (!mongoose.isValidObjectId(friendshipId)) return null;
+
+    try {
+        const friendship = await this.findOne({ _id: friendshipId, deviceIds: deviceId }).lean();
+        if (!friendship) return null;
+
+        return {
+            id: friendship._id.toString(),
+            friendDeviceId: friendship.deviceIds.find(id => id !== deviceId),
+            since: friendship.createdAt
+        };
+    } catch (error) {
+        throw new Error(`Failed to find friendship: ${error.message}`);
+    }
+};
+
+const Friendship = mongoose.model('Friendship', friendshipSchema);
+
+module.exports = Friendship;
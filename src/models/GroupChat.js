@@ -3,11 +3,14 @@
  * Represents a group chat session with multiple users
  */
 
+const Message = require('./Message');
+
 class GroupChat {
-    constructor(maxMembers = 6) {
+    constructor(maxMembers = 6, ageGroup = 'adult') {
         this.id = this.generateGroupId();
         this.members = new Set();
         this.maxMembers = maxMembers;
+        this.ageGroup = ageGroup; // 'minor', 'adult' or 'unknown'; only users in the same age group can join
         this.createdAt = new Date();
         this.isActive = true;
         this.messages = [];
@@ -70,6 +73,73 @@ class GroupChat {
         return true;
     }
 
+    /**
+     * Find a message by ID
+     * @param {string} messageId - Message ID
+     * @returns {Message|null} Message or null if not found
+     */
+    findMessage(messageId) {
+        return this.messages.find(message => message.id === messageId) || null;
+    }
+
+    /**
+     * Find a message a user sent with a client-supplied idempotency key
+     * @param {string} senderId - Sender's user ID
+     * @param {string} clientMessageId - Key the client sent the message with
+     * @returns {Message|null} Message or null if not found
+     */
+    findMessageByClientId(senderId, clientMessageId) {
+        return this.messages.find(message =>
+            message.senderId === senderId && message.clientMessageId === clientMessageId) || null;
+    }
+
+    /**
+     * Record that another member's message reached a member's device
+     * @param {string} messageId - Message ID
+     * @param {string} userId - Receiving member's ID
+     * @returns {boolean} True if the message was not delivered to this member before
+     */
+    markMessageDelivered(messageId, userId) {
+        return this.addReceipt(messageId, userId, 'deliveredTo');
+    }
+
+    /**
+     * Record that a member has read another member's message
+     * @param {string} messageId - Message ID
+     * @param {string} userId - Reading member's ID
+     * @returns {boolean} True if the message was not read by this member before
+     */
+    markMessageRead(messageId, userId) {
+        return this.addReceipt(messageId, userId, 'readBy');
+    }
+
+    /**
+     * Add a member to one of a message's receipt lists, never for the sender's own message
+     * @param {string} messageId - Message ID
+     * @param {string} userId - Member's ID
+     * @param {string} receipt - Receipt list ('deliveredTo' or 'readBy')
+     * @returns {boolean} True if the member was added
+     */
+    addReceipt(messageId, userId, receipt) {
+        const message = this.findMessage(messageId);
+        if (!message || message.senderId === userId) return false;
+
+        message[receipt] = message[receipt] || [];
+        if (message[receipt].includes(userId)) return false;
+
+        message[receipt].push(userId);
+        return true;
+    }
+
+    /**
+     * Get messages sent after a point in time
+     * @param {Date} since - Only return messages newer than this
+     * @returns {Array} Messages (oldest first)
+     */
+    getMessagesSince(since) {
+        return this.messages.filter(message => new Date(message.timestamp) > since);
+    }
+
     /**
      * Check if group has space for new members
      * @returns {boolean} True if has space
@@ -105,34 +175,16 @@ class GroupChat {
 
     /**
      * Add message to group chat
-     * @param {string} senderId - ID of message sender
-     * @param {string} message - Message content
-     * @param {Date} timestamp - Message timestamp
-     * @returns {Object} Message data
+     * @param {Message} message - Message sent by a member
+     * @returns {Message} The added message
      */
-    addMessage(senderId, message, timestamp = new Date()) {
-        if (!this.hasMember(senderId)) {
+    addMessage(message) {
+        if (!this.hasMember(message.senderId)) {
             throw new Error('User is not a member of this group');
         }
 
-        const messageData = {
-            id: this.generateMessageId(),
-            senderId,
-            message,
-            timestamp,
-            groupId: this.id
-        };
-
-        this.messages.push(messageData);
-        return messageData;
-    }
-
-    /**
-     * Generate unique message ID
-     * @returns {string} Unique message ID
-     */
-    generateMessageId() {
-        return 'gmsg_' + Math.random().toString(36).substring(2, 11);
+        this.messages.push(message);
+        return message;
     }
 
     /**
@@ -166,6 +218,41 @@ class GroupChat {
         };
     }
 
+    /**
+     * Get full group state for persistence (including messages and history)
+     * @returns {Object} Group record
+     */
+    toRecord() {
+        return {
+            id: this.id,
+            members: Array.from(this.members),
+            maxMembers: this.maxMembers,
+            ageGroup: this.ageGroup,
+            createdAt: this.createdAt,
+            isActive: this.isActive,
+            messages: this.messages.map(message => message.toRecord()),
+            memberJoinHistory: this.memberJoinHistory,
+            memberLeaveHistory: this.memberLeaveHistory
+        };
+    }
+
+    /**
+     * Restore a group from a persisted record
+     * @param {Object} record - Group record
+     * @returns {GroupChat} GroupChat instance
+     */
+    static fromRecord(record) {
+        const group = new GroupChat(record.maxMembers, record.ageGroup);
+        group.id = record.id;
+        group.members = new Set(record.members || []);
+        group.createdAt = new Date(record.createdAt);
+        group.isActive = record.isActive;
+        group.messages = (record.messages || []).map(message => Message.fromRecord(message));
+        group.memberJoinHistory = record.memberJoinHistory || [];
+        group.memberLeaveHistory = record.memberLeaveHistory || [];
+        return group;
+    }
+
     /**
      * Serialize group data
      * @returns {Object} Serialized group data
@@ -68,10 +68,11 @@ loginLogsSchema.statics.logLogout = async function(deviceId) {
 };
 
 // Static method to get login history for a device
-loginLogsSchema.statics.getLoginHistory = async function(deviceId, limit = 50) {
+loginLogsSchema.statics.getLoginHistory = async function(deviceId, limit = 50, skip = 0) {
     try {
         return await this.find({ deviceId })
             .sort({ loginTime: -1 })
+            .skip(skip)
             .limit(limit)
             .lean();
     } catch (error) {
@@ -3,19 +3,29 @@
  * Represents a chat message with metadata
  */
 
+const chatConfig = require('../config/chat');
+
 class Message {
     constructor(senderId, content, chatId = null, groupId = null) {
-        this.id = this.generateMessageId();
         this.senderId = senderId;
         this.content = content;
         this.originalContent = content; // Store original before filtering
         this.chatId = chatId;
         this.groupId = groupId;
+        this.id = this.generateMessageId(); // After groupId, which picks the prefix
         this.timestamp = new Date();
         this.isFiltered = false;
         this.filterReason = null;
         this.edited = false;
         this.editedAt = null;
+        this.deleted = false;
+        this.deletedAt = null;
+        this.clientMessageId = null; // Idempotency key the sender's client chose
+        this.deliveredTo = []; // Users whose device acknowledged the message
+        this.readBy = []; // Users who read the message
+        this.reactions = {}; // userId -> reactions that user added
+        this.replyToId = null; // ID of the message this one quotes
+        this.attachment = null; // Uploaded file sent with the message ({ id, mimeType, size, name })
     }
 
     /**
@@ -42,14 +52,98 @@ class Message {
 
     /**
      * Edit message content
+     * The new content replaces the original, so the filter has to be applied again afterwards
      * @param {string} newContent - New message content
      */
     edit(newContent) {
         this.content = newContent;
+        this.originalContent = newContent;
+        this.isFiltered = false;
+        this.filterReason = null;
         this.edited = true;
         this.editedAt = new Date();
     }
 
+    /**
+     * Unsend the message, dropping its content, reactions and attachment
+     */
+    delete() {
+        this.content = '';
+        this.originalContent = '';
+        this.reactions = {};
+        this.attachment = null;
+        this.deleted = true;
+        this.deletedAt = new Date();
+    }
+
+    /**
+     * Add a user's reaction
+     * @param {string} userId - Reacting user's ID
+     * @param {string} reaction - Reaction emoji
+     * @returns {boolean} True if the user had not added this reaction yet
+     */
+    addReaction(userId, reaction) {
+        const userReactions = this.reactions[userId] || [];
+        if (userReactions.includes(reaction)) return false;
+
+        this.reactions[userId] = [...userReactions, reaction];
+        return true;
+    }
+
+    /**
+     * Remove a user's reaction
+     * @param {string} userId - Reacting user's ID
+     * @param {string} reaction - Reaction emoji
+     * @returns {boolean} True if the user had added this reaction
+     */
+    removeReaction(userId, reaction) {
+        const userReactions = this.reactions[userId] || [];
+        if (!userReactions.includes(reaction)) return false;
+
+        const remaining = userReactions.filter(existing => existing !== reaction);
+        if (remaining.length > 0) {
+            this.reactions[userId] = remaining;
+        } else {
+            delete this.reactions[userId];
+        }
+        return true;
+    }
+
+    /**
+     * Count how many users added each reaction
+     * @returns {Object} reaction -> count (only reactions with at least one user)
+     */
+    getReactionCounts() {
+        const counts = {};
+        Object.values(this.reactions).forEach(userReactions => {
+            userReactions.forEach(reaction => {
+                counts[reaction] = (counts[reaction] || 0) + 1;
+            });
+        });
+        return counts;
+    }
+
+    /**
+     * Get a short quote of the message for replies to it
+     * Built from the filtered content, so a quote never shows what the filter removed
+     * @param {Object} senderInfo - Quoted message's sender information (User.getPartnerInfo)
+     * @param {number} maxLength - Maximum snippet length
+     * @returns {Object} Quote ({ messageId, senderId, senderName, snippet, deleted })
+     */
+    getQuote(senderInfo = {}, maxLength = 100) {
+        const snippet = this.content.length > maxLength
+            ? `${this.content.substring(0, maxLength - 1).trimEnd()}…`
+            : this.content;
+
+        return {
+            messageId: this.id,
+            senderId: senderInfo.id || null,
+            senderName: senderInfo.name || 'Anonymous',
+            snippet: this.deleted ? null : snippet,
+            deleted: this.deleted
+        };
+    }
+
     /**
      * Check if message is for group chat
      * @returns {boolean} True if group message
@@ -86,13 +180,16 @@ class Message {
 
     /**
      * Get message for display (with sender info)
-     * @param {Object} senderInfo - Sender information
+     * The sender is identified by their public ID, never the internal one
+     * @param {Object} senderInfo - Sender information (User.getPartnerInfo)
+     * @param {Message|null} quotedMessage - Message this one replies to, if still known
+     * @param {Object} quotedSenderInfo - Quoted message's sender information
      * @returns {Object} Display message object
      */
-    getDisplayMessage(senderInfo = {}) {
+    getDisplayMessage(senderInfo = {}, quotedMessage = null, quotedSenderInfo = {}) {
         return {
             id: this.id,
-            senderId: this.senderId,
+            senderId: senderInfo.id || null,
             senderName: senderInfo.name || 'Anonymous',
             senderNickname: senderInfo.nickname || null,
             content: this.content,
@@ -100,11 +197,60 @@ class Message {
             isFiltered: this.isFiltered,
             edited: this.edited,
             editedAt: this.editedAt,
+            reactions: this.getReactionCounts(),
+            replyTo: quotedMessage ? quotedMessage.getQuote(quotedSenderInfo, chatConfig.replySnippetLength) : null,
+            attachment: this.attachment ? { ...this.attachment, url: `/api/attachments/${this.attachment.id}` } : null,
             chatId: this.chatId,
             groupId: this.groupId
         };
     }
 
+    /**
+     * Get full message state for persistence (including receipts)
+     * @returns {Object} Message record
+     */
+    toRecord() {
+        return {
+            ...this.toJSON(),
+            deleted: this.deleted,
+            deletedAt: this.deletedAt,
+            clientMessageId: this.clientMessageId,
+            deliveredTo: this.deliveredTo,
+            readBy: this.readBy,
+            reactions: this.reactions,
+            replyToId: this.replyToId,
+            attachment: this.attachment
+        };
+    }
+
+    /**
+     * Restore a message from a persisted record
+     * Records stored before messages were kept as Message instances carry the text in `message`
+     * @param {Object} record - Message record
+     * @returns {Message} Message instance
+     */
+    static fromRecord(record) {
+        const content = record.content !== undefined ? record.content : record.message;
+        const message = new Message(record.senderId, content, record.chatId || null, record.groupId || null);
+
+        message.id = record.id;
+        message.originalContent = record.originalContent !== undefined ? record.originalContent : content;
+        message.timestamp = new Date(record.timestamp);
+        message.isFiltered = Boolean(record.isFiltered);
+        message.filterReason = record.filterReason || null;
+        message.edited = Boolean(record.edited);
+        message.editedAt = record.editedAt ? new Date(record.editedAt) : null;
+        message.deleted = Boolean(record.deleted);
+        message.deletedAt = record.deletedAt ? new Date(record.deletedAt) : null;
+        message.clientMessageId = record.clientMessageId || null;
+        message.deliveredTo = record.deliveredTo || [];
+        message.readBy = record.readBy || [];
+        message.reactions = record.reactions || {};
+        message.replyToId = record.replyToId || null;
+        message.attachment = record.attachment || null;
+        return message;
+    }
+
     /**
      * Serialize message data
      * @returns {Object} Serialized message data
@@ -1,7 +1,7 @@
 /**
  * Report Model
  * Stores device reports with multiple reports per device in a single document
- * Simple structure: only report text and time
+ * Each entry keeps the report text, time, reporter device and the chat it came from
  */
 
 const mongoose = require('mongoose');
@@ -17,6 +17,20 @@ const reportEntrySchema = new mongoose.Schema({
         type: Date,
         default: Date.now,
         required: true
+    },
+    reporterDeviceId: {
+        type: String,
+        default: null,
+        trim: true
+    },
+    chatId: {
+        type: String,
+        default: null
+    },
+    chatType: {
+        type: String,
+        enum: ['chat', 'group', null],
+        default: null
     }
 }, {
     _id: true // Each report entry gets its own ID
@@ -38,7 +52,7 @@ const reportSchema = new mongoose.Schema({
 });
 
 // Static method to add a new report to a device
-reportSchema.statics.addReport = async function (deviceId, reportText) {
+reportSchema.statics.addReport = async function (deviceId, reportText, details = {}) {
     try {
         const report = await this.findOneAndUpdate(
             { deviceId },
@@ -46,7 +60,10 @@ reportSchema.statics.addReport = async function (deviceId, reportText) {
                 $push: {
                     reports: {
                         reportText: reportText,
-                        reportTime: new Date()
+                        reportTime: new Date(),
+                        reporterDeviceId: details.reporterDeviceId || null,
+                        chatId: details.chatId || null,
+                        chatType: details.chatType || null
                     }
                 }
             },
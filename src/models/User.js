@@ -1,28 +1,60 @@
 /**
  * User Model
  * Represents a user entity with profile and preferences
+ *
+ * Users are identified internally by an ID derived from their registered device, so the
+ * same user keeps their chats across reconnects. Other users only ever see the opaque publicId.
  */
 
+const crypto = require('crypto');
+
 class User {
-    constructor(socketId) {
-        this.id = socketId;
-        this.socketId = socketId;
+    constructor(id, socketId = null) {
+        this.id = id;
+        this.publicId = this.generatePublicId();
+        this.socketId = socketId; // Current socket (null while disconnected)
+        this.deviceId = null;
+        this.instanceId = null; // Server instance holding the user's socket
         this.connectedAt = new Date();
         this.isInChat = false;
         this.isInGroup = false;
         this.profileSetup = false;
         this.preferences = {
-            preferredGender: 'any'
+            preferredGender: 'any',
+            minAge: null, // Youngest partner age accepted
+            maxAge: null, // Oldest partner age accepted
+            interestTags: [] // Tags sent with the last startChat
         };
         this.profile = {
             name: null,
             gender: null,
             avatar: null,
             nickname: null,
+            languages: [], // Language codes the user speaks
+            region: null, // Two-letter country code
+            birthYear: null,
             isProfileComplete: false
         };
     }
 
+    /**
+     * Get the internal user ID for a registered device
+     * @param {string} deviceId - Registered device ID
+     * @returns {string} Internal user ID
+     */
+    static idForDevice(deviceId) {
+        const hash = crypto.createHash('sha256').update(String(deviceId)).digest('hex');
+        return 'user_' + hash.substring(0, 24);
+    }
+
+    /**
+     * Generate an opaque ID that is safe to show to other users
+     * @returns {string} Public user ID
+     */
+    generatePublicId() {
+        return 'u_' + crypto.randomBytes(12).toString('base64url');
+    }
+
     /**
      * Update user profile
      * @param {Object} profileData - New profile data
@@ -34,6 +66,9 @@ class User {
             gender: profileData.gender !== undefined ? profileData.gender : this.profile.gender,
             avatar: profileData.avatar !== undefined ? profileData.avatar : this.profile.avatar,
             nickname: profileData.nickname !== undefined ? profileData.nickname : this.profile.nickname,
+            languages: profileData.languages !== undefined ? profileData.languages : this.profile.languages,
+            region: profileData.region !== undefined ? profileData.region : this.profile.region,
+            birthYear: profileData.birthYear !== undefined ? profileData.birthYear : this.profile.birthYear,
             isProfileComplete: true
         };
         this.profileSetup = true;
@@ -88,6 +123,7 @@ class User {
      */
     getPartnerInfo() {
         return {
+            id: this.publicId,
             name: this.getDisplayName(),
             avatar: this.profile.avatar || null,
             gender: this.profile.gender || null,
@@ -95,6 +131,44 @@ class User {
         };
     }
 
+    /**
+     * Get user info for an anonymous chat partner (only the nickname is shared)
+     * @returns {Object} Partner info object
+     */
+    getAnonymousPartnerInfo() {
+        return {
+            id: this.publicId,
+            name: this.profile.nickname || 'Anonymous',
+            avatar: null,
+            gender: null,
+            nickname: this.profile.nickname || null
+        };
+    }
+
+    /**
+     * Get full user state for replication
+     * @returns {Object} User record
+     */
+    toRecord() {
+        return {
+            ...this.toJSON(),
+            deviceId: this.deviceId,
+            instanceId: this.instanceId
+        };
+    }
+
+    /**
+     * Restore a user from a record
+     * @param {Object} record - User record
+     * @returns {User} User instance
+     */
+    static fromRecord(record) {
+        const user = new User(record.id);
+        Object.assign(user, record);
+        user.connectedAt = new Date(record.connectedAt);
+        return user;
+    }
+
     /**
      * Serialize user data
      * @returns {Object} Serialized user data
@@ -102,6 +176,7 @@ class User {
     toJSON() {
         return {
             id: this.id,
+            publicId: this.publicId,
             socketId: this.socketId,
             connectedAt: this.connectedAt,
             isInChat: this.isInChat,
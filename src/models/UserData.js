@@ -41,6 +41,22 @@ const userDataSchema = new mongoose.Schema({
     banTimeEnd: {
         type: Date,
         default: null
+    },
+    banCount: {
+        type: Number,
+        default: 0
+    },
+    lastBannedAt: {
+        type: Date,
+        default: null
+    },
+    blockedDevices: {
+        type: [String],
+        default: []
+    },
+    birthYear: {
+        type: Number,
+        default: null // Set once from the profile; restored when the device registers again
     }
 }, {
     timestamps: true, // Adds createdAt and updatedAt
@@ -114,18 +130,29 @@ userDataSchema.statics.updateActivity = async function(deviceId) {
 };
 
 // Static method to ban user
-userDataSchema.statics.banUser = async function(deviceId, banDuration = null) {
+// With expectedBanCount the ban only applies if banCount still has that value, so two concurrent
+// decisions based on the same state cannot both ban the device (the losing one gets null)
+userDataSchema.statics.banUser = async function(deviceId, banDuration = null, expectedBanCount = null) {
     try {
         const banStart = new Date();
         const banEnd = banDuration ? new Date(banStart.getTime() + banDuration) : null;
+        const query = { deviceId };
+        if (expectedBanCount !== null) {
+            // Documents created before banCount existed have no such field yet
+            query.banCount = expectedBanCount > 0 ? expectedBanCount : { $in: [0, null] };
+        }
         
         const userData = await this.findOneAndUpdate(
-            { deviceId },
+            query,
             {
                 $set: {
                     isBan: true,
                     banTimeStart: banStart,
-                    banTimeEnd: banEnd
+                    banTimeEnd: banEnd,
+                    lastBannedAt: banStart
+                },
+                $inc: {
+                    banCount: 1
                 }
             },
             {
@@ -162,6 +189,67 @@ userDataSchema.statics.unbanUser = async function(deviceId) {
     }
 };
 
+// Static method to list currently banned devices (most recent bans first)
+userDataSchema.statics.getBannedUsers = async function(limit = 50, skip = 0) {
+    try {
+        const query = {
+            isBan: true,
+            $or: [{ banTimeEnd: null }, { banTimeEnd: { $gt: new Date() } }]
+        };
+
+        const [users, total] = await Promise.all([
+            this.find(query).sort({ banTimeStart: -1 }).skip(skip).limit(limit).lean(),
+            this.countDocuments(query)
+        ]);
+
+        return { users, total };
+    } catch (error) {
+        throw new Error(`Failed to get banned users: ${error.message}`);
+    }
+};
+
+// Static method to block another device from being matched with this one
+userDataSchema.statics.blockDevice = async function(deviceId, blockedDeviceId) {
+    try {
+        const userData = await this.findOneAndUpdate(
+            { deviceId },
+            {
+                $addToSet: {
+                    blockedDevices: blockedDeviceId
+                }
+            },
+            {
+                new: true,
+                runValidators: true
+            }
+        );
+        return userData;
+    } catch (error) {
+        throw new Error(`Failed to block device: ${error.message}`);
+    }
+};
+
+// Static method to remember a device's birth year (only the first one is kept)
+userDataSchema.statics.setBirthYear = async function(deviceId, birthYear) {
+    try {
+        const userData = await this.findOneAndUpdate(
+            { deviceId, birthYear: null },
+            {
+                $set: {
+                    birthYear
+                }
+            },
+            {
+                new: true,
+                runValidators: true
+            }
+        );
+        return userData;
+    } catch (error) {
+        throw new Error(`Failed to set birth year: ${error.message}`);
+    }
+};
+
 // Instance method to check if user is currently banned
 userDataSchema.methods.isCurrentlyBanned = function() {
     if (!this.isBan) return false;
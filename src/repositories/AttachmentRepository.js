@@ -0,0 +1,71 @@
+/**
+ * Attachment Repository
+ * Handles data access for uploaded attachments (the file contents live in the file store)
+ */
+
+const { getStorageAdapter } = require('../storage');
+
+class AttachmentRepository {
+    /**
+     * @param {StorageAdapter} storage - Storage adapter (defaults to the configured adapter)
+     */
+    constructor(storage = getStorageAdapter()) {
+        this.attachments = storage.collection('attachments'); // attachmentId -> attachment
+    }
+
+    /**
+     * Save an attachment
+     * @param {Object} attachment - Attachment ({ id, ownerId, conversationId, fileKey, mimeType, size, name, createdAt })
+     * @returns {Object} Saved attachment
+     */
+    save(attachment) {
+        this.attachments.set(attachment.id, attachment);
+        return attachment;
+    }
+
+    /**
+     * Find an attachment by ID
+     * @param {string} attachmentId - Attachment ID
+     * @returns {Object|null} Attachment or null if not found
+     */
+    findById(attachmentId) {
+        return this.attachments.get(attachmentId) || null;
+    }
+
+    /**
+     * Find every attachment uploaded to a chat or group
+     * @param {string} conversationId - Chat or group ID
+     * @returns {Array} Attachments
+     */
+    findByConversation(conversationId) {
+        return Array.from(this.attachments.values())
+            .filter(attachment => attachment.conversationId === conversationId);
+    }
+
+    /**
+     * Find every attachment
+     * @returns {Array} Attachments
+     */
+    findAll() {
+        return Array.from(this.attachments.values());
+    }
+
+    /**
+     * Delete an attachment
+     * @param {string} attachmentId - Attachment ID
+     * @returns {boolean} True if deleted successfully
+     */
+    delete(attachmentId) {
+        return this.attachments.delete(attachmentId);
+    }
+
+    /**
+     * Get attachment count
+     * @returns {number} Number of attachments
+     */
+    count() {
+        return this.attachments.size;
+    }
+}
+
+module.exports = AttachmentRepository;
@@ -0,0 +1,78 @@
+/**
+ * Chat Invite Repository
+ * Handles data access for pending invitations to a private chat with a friend
+ */
+
+const { getStorageAdapter } = require('../storage');
+
+class ChatInviteRepository {
+    /**
+     * @param {StorageAdapter} storage - Storage adapter (defaults to the configured adapter)
+     */
+    constructor(storage = getStorageAdapter()) {
+        this.invites = storage.collection('chatInvites'); // inviteId -> invitation
+    }
+
+    /**
+     * Save an invitation
+     * @param {Object} invite - Invitation ({ id, fromUserId, toUserId, friendshipId, createdAt, expiresAt })
+     * @returns {Object} Saved invitation
+     */
+    save(invite) {
+        this.invites.set(invite.id, invite);
+        return invite;
+    }
+
+    /**
+     * Find an invitation by ID
+     * @param {string} inviteId - Invitation ID
+     * @returns {Object|null} Invitation or null if not found
+     */
+    findById(inviteId) {
+        return this.invites.get(inviteId) || null;
+    }
+
+    /**
+     * Find the invitation one user sent another
+     * @param {string} fromUserId - Inviting user's ID
+     * @param {string} toUserId - Invited user's ID
+     * @returns {Object|null} Invitation or null if not found
+     */
+    findBetween(fromUserId, toUserId) {
+        for (const invite of this.invites.values()) {
+            if (invite.fromUserId === fromUserId && invite.toUserId === toUserId) {
+                return invite;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Find every invitation a user sent or received
+     * @param {string} userId - User ID
+     * @returns {Array} Invitations
+     */
+    findByUser(userId) {
+        return Array.from(this.invites.values())
+            .filter(invite => invite.fromUserId === userId || invite.toUserId === userId);
+    }
+
+    /**
+     * Delete an invitation
+     * @param {string} inviteId - Invitation ID
+     * @returns {boolean} True if deleted successfully
+     */
+    delete(inviteId) {
+        return this.invites.delete(inviteId);
+    }
+
+    /**
+     * Get pending invitation count
+     * @returns {number} Number of invitations
+     */
+    count() {
+        return this.invites.size;
+    }
+}
+
+module.exports = ChatInviteRepository;
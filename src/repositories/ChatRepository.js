@@ -3,13 +3,15 @@
  * Handles data access operations for Chat entities
  */
 
-const { activeChats, chatRooms } = require('../storage/memoryStorage');
+const { getStorageAdapter } = require('../storage');
 
 class ChatRepository {
-    constructor() {
-        // Use memory storage maps
-        this.chats = activeChats; // chatId -> Chat instance
-        this.userChatMap = chatRooms; // userId -> chatId
+    /**
+     * @param {StorageAdapter} storage - Storage adapter (defaults to the configured adapter)
+     */
+    constructor(storage = getStorageAdapter()) {
+        this.chats = storage.collection('chats'); // chatId -> Chat instance
+        this.userChatMap = storage.collection('chatRooms'); // userId -> chatId
     }
 
     /**
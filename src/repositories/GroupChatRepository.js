@@ -3,12 +3,14 @@
  * Handles data access operations for GroupChat entities
  */
 
-const { groupChats } = require('../storage/memoryStorage');
+const { getStorageAdapter } = require('../storage');
 
 class GroupChatRepository {
-    constructor() {
-        // Use memory storage map
-        this.groups = groupChats; // groupId -> GroupChat instance
+    /**
+     * @param {StorageAdapter} storage - Storage adapter (defaults to the configured adapter)
+     */
+    constructor(storage = getStorageAdapter()) {
+        this.groups = storage.collection('groupChats'); // groupId -> GroupChat instance
     }
 
     /**
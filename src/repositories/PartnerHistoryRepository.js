@@ -0,0 +1,157 @@
+/**
+ * Partner History Repository
+ * Handles data access for the partners each device should not be matched with again
+ *
+ * Entries are keyed by device ID so they outlive the user's socket and survive reconnects.
+ * Recent partners expire; blocked partners are kept until the server restarts
+ * (and are restored from the device's stored data when it registers again).
+ */
+
+const { getStorageAdapter } = require('../storage');
+
+class PartnerHistoryRepository {
+    /**
+     * @param {StorageAdapter} storage - Storage adapter (defaults to the configured adapter)
+     */
+    constructor(storage = getStorageAdapter()) {
+        this.history = storage.collection('partnerHistory'); // deviceId -> { deviceId, recent, blocked }
+    }
+
+    /**
+     * Find the partner history of a device
+     * @param {string} deviceId - Device ID
+     * @returns {Object|null} History ({ deviceId, recent: { deviceId: expiresAt }, blocked: [] }) or null
+     */
+    findByDevice(deviceId) {
+        return this.history.get(deviceId) || null;
+    }
+
+    /**
+     * Remember a recent partner until the given time
+     * @param {string} deviceId - Device ID
+     * @param {string} partnerDeviceId - Partner's device ID
+     * @param {number} expiresAt - Expiry time in milliseconds
+     * @returns {Object} Updated history
+     */
+    addRecent(deviceId, partnerDeviceId, expiresAt) {
+        const history = this.findByDevice(deviceId);
+        const recent = history ? this.pruneRecent(history.recent) : {};
+
+        return this.save({
+            deviceId,
+            recent: { ...recent, [partnerDeviceId]: expiresAt },
+            blocked: history ? history.blocked : []
+        });
+    }
+
+    /**
+     * Add blocked partners for a device
+     * @param {string} deviceId - Device ID
+     * @param {Array} partnerDeviceIds - Device IDs to block
+     * @returns {Object} Updated history
+     */
+    addBlocked(deviceId, partnerDeviceIds) {
+        const history = this.findByDevice(deviceId);
+        const blocked = new Set(history ? history.blocked : []);
+        partnerDeviceIds.forEach(partnerDeviceId => blocked.add(partnerDeviceId));
+
+        return this.save({
+            deviceId,
+            recent: history ? this.pruneRecent(history.recent) : {},
+            blocked: Array.from(blocked)
+        });
+    }
+
+    /**
+     * Get how a device last related to a partner
+     * @param {string} deviceId - Device ID
+     * @param {string} partnerDeviceId - Partner's device ID
+     * @param {number} now - Current time in milliseconds
+     * @returns {string|null} 'blocked', 'recent' or null if the partner is neither
+     */
+    getStatus(deviceId, partnerDeviceId, now = Date.now()) {
+        const history = this.findByDevice(deviceId);
+        if (!history) return null;
+
+        if (history.blocked.includes(partnerDeviceId)) return 'blocked';
+
+        const expiresAt = history.recent[partnerDeviceId];
+        return expiresAt !== undefined && expiresAt > now ? 'recent' : null;
+    }
+
+    /**
+     * Get when a device stops being kept apart from a recent partner
+     * @param {string} deviceId - Device ID
+     * @param {string} partnerDeviceId - Partner's device ID
+     * @param {number} now - Current time in milliseconds
+     * @returns {number|null} Expiry time in milliseconds or null if the partner is not a recent partner
+     */
+    getRecentExpiry(deviceId, partnerDeviceId, now = Date.now()) {
+        const history = this.findByDevice(deviceId);
+        const expiresAt = history ? history.recent[partnerDeviceId] : undefined;
+        return expiresAt !== undefined && expiresAt > now ? expiresAt : null;
+    }
+
+    /**
+     * Check whether a device has any unexpired recent partners
+     * @param {string} deviceId - Device ID
+     * @param {number} now - Current time in milliseconds
+     * @returns {boolean} True if it has recent partners
+     */
+    hasRecent(deviceId, now = Date.now()) {
+        const history = this.findByDevice(deviceId);
+        return Boolean(history) && Object.values(history.recent).some(expiresAt => expiresAt > now);
+    }
+
+    /**
+     * Drop expired recent partners
+     * @param {Object} recent - Recent partners (deviceId -> expiresAt)
+     * @param {number} now - Current time in milliseconds
+     * @returns {Object} Unexpired recent partners
+     */
+    pruneRecent(recent, now = Date.now()) {
+        return Object.fromEntries(Object.entries(recent).filter(([, expiresAt]) => expiresAt > now));
+    }
+
+    /**
+     * Drop expired recent partners from every device, removing histories that end up empty
+     * @returns {number} Number of histories removed
+     */
+    deleteExpired() {
+        let removed = 0;
+
+        Array.from(this.history.values()).forEach(history => {
+            const recent = this.pruneRecent(history.recent);
+            const remaining = Object.keys(recent).length;
+
+            if (remaining === 0 && history.blocked.length === 0) {
+                this.history.delete(history.deviceId);
+                removed++;
+            } else if (remaining !== Object.keys(history.recent).length) {
+                this.save({ ...history, recent });
+            }
+        });
+
+        return removed;
+    }
+
+    /**
+     * Save a partner history
+     * @param {Object} history - Partner history
+     * @returns {Object} Saved history
+     */
+    save(history) {
+        this.history.set(history.deviceId, history);
+        return history;
+    }
+
+    /**
+     * Get the number of devices with a partner history
+     * @returns {number} Number of histories
+     */
+    count() {
+        return this.history.size;
+    }
+}
+
+module.exports = PartnerHistoryRepository;
@@ -0,0 +1,61 @@
+/**
+ * Session Repository
+ * Handles data access for suspended sessions (chats kept open while a device reconnects)
+ */
+
+const { getStorageAdapter } = require('../storage');
+
+class SessionRepository {
+    /**
+     * @param {StorageAdapter} storage - Storage adapter (defaults to the configured adapter)
+     */
+    constructor(storage = getStorageAdapter()) {
+        this.sessions = storage.collection('suspendedSessions'); // userId -> suspended session
+    }
+
+    /**
+     * Save a suspended session
+     * @param {Object} session - Suspended session ({ userId, socketId, chatId, groupId, ... })
+     * @returns {Object} Saved session
+     */
+    save(session) {
+        this.sessions.set(session.userId, session);
+        return session;
+    }
+
+    /**
+     * Find the suspended session for a user
+     * @param {string} userId - Internal user ID
+     * @returns {Object|null} Suspended session or null if not found
+     */
+    findByUser(userId) {
+        return this.sessions.get(userId) || null;
+    }
+
+    /**
+     * Find all suspended sessions
+     * @returns {Array} Array of suspended sessions
+     */
+    findAll() {
+        return Array.from(this.sessions.values());
+    }
+
+    /**
+     * Delete the suspended session for a user
+     * @param {string} userId - Internal user ID
+     * @returns {boolean} True if deleted successfully
+     */
+    delete(userId) {
+        return this.sessions.delete(userId);
+    }
+
+    /**
+     * Get suspended session count
+     * @returns {number} Number of suspended sessions
+     */
+    count() {
+        return this.sessions.size;
+    }
+}
+
+module.exports = SessionRepository;
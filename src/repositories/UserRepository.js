@@ -3,26 +3,76 @@
  * Handles data access operations for User entities
  */
 
-const { users } = require('../storage/memoryStorage');
+const { getStorageAdapter } = require('../storage');
 
 class UserRepository {
+    /**
+     * @param {StorageAdapter} storage - Storage adapter (defaults to the configured adapter)
+     */
+    constructor(storage = getStorageAdapter()) {
+        this.users = storage.collection('users'); // userId -> User instance
+        this.userSockets = storage.collection('userSockets'); // socketId -> userId
+    }
+
     /**
      * Save user to storage
      * @param {User} user - User instance to save
      * @returns {User} Saved user instance
      */
     save(user) {
-        users.set(user.socketId, user);
+        this.users.set(user.id, user);
         return user;
     }
 
     /**
-     * Find user by socket ID
+     * Find user by ID
+     * @param {string} userId - Internal user ID
+     * @returns {User|null} User instance or null if not found
+     */
+    findById(userId) {
+        return this.users.get(userId) || null;
+    }
+
+    /**
+     * Find user by the socket bound to them
      * @param {string} socketId - Socket connection ID
+     * @returns {User|null} User instance or null if the socket is not bound
+     */
+    findBySocketId(socketId) {
+        const userId = this.userSockets.get(socketId);
+        return userId ? this.findById(userId) : null;
+    }
+
+    /**
+     * Find user by public ID
+     * @param {string} publicId - Public user ID
      * @returns {User|null} User instance or null if not found
      */
-    findById(socketId) {
-        return users.get(socketId) || null;
+    findByPublicId(publicId) {
+        for (const user of this.users.values()) {
+            if (user.publicId === publicId) {
+                return user;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Bind a socket to a user
+     * @param {string} socketId - Socket connection ID
+     * @param {string} userId - Internal user ID
+     */
+    bindSocket(socketId, userId) {
+        this.userSockets.set(socketId, userId);
+    }
+
+    /**
+     * Remove a socket binding
+     * @param {string} socketId - Socket connection ID
+     * @returns {boolean} True if the socket was bound
+     */
+    unbindSocket(socketId) {
+        return this.userSockets.delete(socketId);
     }
 
     /**
@@ -30,7 +80,7 @@ class UserRepository {
      * @returns {Array} Array of all users
      */
     findAll() {
-        return Array.from(users.values());
+        return Array.from(this.users.values());
     }
 
     /**
@@ -108,20 +158,20 @@ class UserRepository {
 
     /**
      * Check if user exists
-     * @param {string} socketId - Socket connection ID
+     * @param {string} userId - Internal user ID
      * @returns {boolean} True if user exists
      */
-    exists(socketId) {
-        return users.has(socketId);
+    exists(userId) {
+        return this.users.has(userId);
     }
 
     /**
      * Delete user from storage
-     * @param {string} socketId - Socket connection ID
+     * @param {string} userId - Internal user ID
      * @returns {boolean} True if deleted successfully
      */
-    delete(socketId) {
-        return users.delete(socketId);
+    delete(userId) {
+        return this.users.delete(userId);
     }
 
     /**
@@ -129,7 +179,7 @@ class UserRepository {
      * @returns {number} Total number of users
      */
     count() {
-        return users.size;
+        return this.users.size;
     }
 
     /**
@@ -143,12 +193,12 @@ class UserRepository {
 
     /**
      * Update user in storage
-     * @param {string} socketId - Socket connection ID
+     * @param {string} userId - Internal user ID
      * @param {Object} updates - Updates to apply
      * @returns {User|null} Updated user or null if not found
      */
-    update(socketId, updates) {
-        const user = this.findById(socketId);
+    update(userId, updates) {
+        const user = this.findById(userId);
         if (!user) return null;
 
         // Apply updates
@@ -166,8 +216,9 @@ class UserRepository {
      * @returns {number} Number of users cleared
      */
     clear() {
-        const count = users.size;
-        users.clear();
+        const count = this.users.size;
+        this.users.clear();
+        this.userSockets.clear();
         return count;
     }
 
@@ -7,11 +7,43 @@ const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const cors = require('cors');
+const { AsyncResource } = require('async_hooks');
 const SocketView = require('./views/SocketView');
 const HttpView = require('./views/HttpView');
+const { isAdminAuthConfigured } = require('./middleware/adminAuth');
+const AttachmentService = require('./services/attachmentService');
+const { getStorageAdapter } = require('./storage');
+const { getFileStore } = require('./storage/files');
+const { getClusterBroker } = require('./cluster');
+const { runInInstance } = require('./cluster/instanceContext');
+const clusterConfig = require('./config/cluster');
 
 class ChatServer {
-    constructor() {
+    /**
+     * @param {Object} options - Optional { broker, storage } of this instance
+     * Defaults to the shared broker and storage; pass both to run several instances in one process
+     */
+    constructor(options = {}) {
+        this.broker = options.broker || getClusterBroker();
+        this.storage = options.storage || getStorageAdapter();
+        this.instance = { broker: this.broker, storage: this.storage };
+
+        this.run(() => this.initialize());
+    }
+
+    /**
+     * Run code as part of this instance, so repositories and services use its broker and storage
+     * @param {Function} callback - Code to run
+     * @returns {*} Callback result
+     */
+    run(callback) {
+        return runInInstance(this.instance, callback);
+    }
+
+    /**
+     * Create the HTTP and Socket.IO servers and wire up the views
+     */
+    initialize() {
         this.app = express();
         this.server = http.createServer(this.app);
         this.io = socketIo(this.server, {
@@ -21,6 +53,15 @@ class ChatServer {
             }
         });
 
+        // Route room emits through the other instances when clustered
+        const clusterAdapter = this.broker.createSocketAdapter();
+        if (clusterAdapter) {
+            this.io.adapter(clusterAdapter);
+        }
+
+        // Fail now rather than on the first upload if the attachment store cannot serve this setup
+        getFileStore();
+
         // Initialize views
         this.socketView = new SocketView(this.io);
         this.httpView = new HttpView();
@@ -63,10 +104,27 @@ class ChatServer {
      */
     setupSocketHandlers() {
         this.io.on('connection', (socket) => {
-            this.socketView.handleConnection(socket);
+            this.run(() => {
+                this.bindSocketToInstance(socket);
+                this.socketView.handleConnection(socket);
+            });
         });
     }
 
+    /**
+     * Make the listeners and middlewares added to a socket run as part of this instance
+     * Socket.IO dispatches socket events outside the async context the server listens in,
+     * so without this they would fall back to the shared broker and storage
+     * @param {Object} socket - Socket.IO socket instance
+     */
+    bindSocketToInstance(socket) {
+        const on = socket.on.bind(socket);
+        const use = socket.use.bind(socket);
+
+        socket.on = (event, listener) => on(event, AsyncResource.bind(listener));
+        socket.use = (middleware) => use(AsyncResource.bind(middleware));
+    }
+
     /**
      * Setup error handling middleware
      */
@@ -92,19 +150,41 @@ class ChatServer {
      * Start the server on specified port
      */
     start(port = process.env.PORT || 3000) {
+        // Connections accepted by the server belong to this instance
+        this.run(() => this.listen(port));
+
+        // Graceful shutdown handling
+        process.on('SIGTERM', () => this.gracefulShutdown());
+        process.on('SIGINT', () => this.gracefulShutdown());
+    }
+
+    /**
+     * Listen on a port and run the startup tasks
+     * @param {number} port - Port to listen on
+     */
+    listen(port) {
         this.server.listen(port, () => {
             console.log(`🚀 Chat Server started successfully!`);
             console.log(`📡 Server running on port ${port}`);
             console.log(`🔌 WebSocket server ready for connections`);
             console.log(`🏗️  Architecture: MVC Pattern`);
+            console.log(`💾 Storage: ${this.storage.name}`);
+            console.log(`🛰️  Cluster: ${clusterConfig.mode} (instance ${this.broker.instanceId})`);
             console.log(`📊 Health check: http://localhost:${port}/health`);
             console.log(`📈 Statistics: http://localhost:${port}/api/stats`);
             console.log(`⏰ Started at: ${new Date().toISOString()}`);
-        });
 
-        // Graceful shutdown handling
-        process.on('SIGTERM', () => this.gracefulShutdown());
-        process.on('SIGINT', () => this.gracefulShutdown());
+            if (!isAdminAuthConfigured()) {
+                console.warn('⚠️  Admin routes are locked: set ADMIN_API_KEYS or ADMIN_TOKEN_SECRET to enable them');
+            }
+
+            // Attachments of chats that did not survive a restart are expired. A clustered instance only learns
+            // about the other instances' chats once the storage sync arrives, so it leaves them to the others
+            if (!this.broker.isDistributed) {
+                AttachmentService.cleanupExpired()
+                    .catch((error) => console.error('Failed to clean up attachments:', error.message));
+            }
+        });
     }
 
     /**
@@ -119,8 +199,15 @@ class ChatServer {
             // Close Socket.IO server
             this.io.close(() => {
                 console.log('✅ Socket.IO server closed');
-                console.log('👋 Graceful shutdown completed');
-                process.exit(0);
+
+                // Write pending chat changes and leave the cluster before exiting
+                this.storage.close()
+                    .then(() => this.broker.disconnect())
+                    .catch((error) => console.error('Failed to close storage:', error.message))
+                    .finally(() => {
+                        console.log('👋 Graceful shutdown completed');
+                        process.exit(0);
+                    });
             });
         });
 
@@ -131,6 +218,17 @@ class ChatServer {
         }, 10000);
     }
 
+    /**
+     * Stop the server and leave the cluster without exiting the process (for testing)
+     * @returns {Promise<void>}
+     */
+    async close() {
+        await new Promise(resolve => this.io.close(() => resolve()));
+        this.socketView.close();
+        await this.storage.close();
+        await this.broker.disconnect();
+    }
+
     /**
      * Get server instance (for testing)
      */
@@ -0,0 +1,236 @@
+/**
+ * Attachment service
+ * Stores images uploaded to a chat or group and decides who may read them
+ *
+ * An attachment belongs to the chat or group its uploader was in: only that conversation's current
+ * participants can download it, only its uploader can send it there, and it is deleted (record and
+ * file) when the chat ends or the group is removed.
+ */
+
+const AttachmentRepository = require('../repositories/AttachmentRepository');
+const ChatRepository = require('../repositories/ChatRepository');
+const GroupChatRepository = require('../repositories/GroupChatRepository');
+const { getFileStore } = require('../storage/files');
+const { generateUniqueId } = require('../utils/helpers');
+const attachmentsConfig = require('../config/attachments');
+
+// Leading bytes of the image types the server recognizes, so a file cannot claim a type it is not
+const SIGNATURES = {
+    'image/jpeg': data => data.length >= 3 && data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff,
+    'image/png': data => data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+    'image/gif': data => ['GIF87a', 'GIF89a'].includes(data.subarray(0, 6).toString('latin1')),
+    'image/webp': data => data.subarray(0, 4).toString('latin1') === 'RIFF'
+        && data.subarray(8, 12).toString('latin1') === 'WEBP'
+};
+
+/**
+ * Get the attachment repository for the configured storage adapter
+ * @returns {AttachmentRepository} Repository
+ */
+function getRepository() {
+    return new AttachmentRepository();
+}
+
+/**
+ * Create an error carrying the HTTP status to answer with
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status code
+ * @returns {Error} Error
+ */
+function createError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Find the active chat or group a user is in
+ * @param {string} userId - User ID
+ * @returns {Object|null} { conversation, conversationType } or null
+ */
+function findUserConversation(userId) {
+    const chat = new ChatRepository().findByParticipant(userId);
+    if (chat) return { conversation: chat, conversationType: 'chat' };
+
+    const group = new GroupChatRepository().findByMember(userId);
+    return group ? { conversation: group, conversationType: 'group' } : null;
+}
+
+/**
+ * Find the conversation an attachment belongs to, if it is still going on
+ * @param {Object} attachment - Attachment
+ * @returns {Chat|GroupChat|null} Active chat or group
+ */
+function findAttachmentConversation(attachment) {
+    const conversation = attachment.conversationType === 'group'
+        ? new GroupChatRepository().findById(attachment.conversationId)
+        : new ChatRepository().findById(attachment.conversationId);
+
+    return conversation && conversation.isActive ? conversation : null;
+}
+
+class AttachmentService {
+    /**
+     * Store an uploaded file for the chat or group the user is in
+     * @param {string} userId - Uploading user's ID
+     * @param {Object} file - Upload ({ mimeType, name, data })
+     * @returns {Promise<Object>} Stored attachment
+     */
+    static async createAttachment(userId, { mimeType, name = null, data }) {
+        const found = findUserConversation(userId);
+        if (!found) {
+            throw createError('User not in any active chat or group', 409);
+        }
+
+        const type = typeof mimeType === 'string' ? mimeType.split(';')[0].trim().toLowerCase() : '';
+        if (!attachmentsConfig.allowedMimeTypes.includes(type)) {
+            throw createError('File type not allowed', 415);
+        }
+
+        if (!Buffer.isBuffer(data) || data.length === 0) {
+            throw createError('File is empty', 400);
+        }
+
+        if (data.length > attachmentsConfig.maxSizeBytes) {
+            throw createError('File is too large', 413);
+        }
+
+        const matchesType = SIGNATURES[type];
+        if (matchesType && !matchesType(data)) {
+            throw createError('File content does not match its type', 415);
+        }
+
+        const id = generateUniqueId('att', 12);
+        const fileKey = `${found.conversation.id}/${id}`;
+        await getFileStore().write(fileKey, data);
+
+        const attachment = getRepository().save({
+            id,
+            ownerId: userId,
+            conversationId: found.conversation.id,
+            conversationType: found.conversationType,
+            fileKey,
+            mimeType: type,
+            size: data.length,
+            name,
+            createdAt: new Date()
+        });
+
+        console.log(`Attachment ${id} (${type}, ${data.length} bytes) uploaded by ${userId} to ${found.conversation.id}`);
+        return attachment;
+    }
+
+    /**
+     * Find an attachment the sender may put in a message of the given chat or group
+     * @param {string} attachmentId - Attachment ID
+     * @param {string} senderId - Sender's user ID
+     * @param {string} conversationId - Chat or group ID the message is sent to
+     * @returns {Object} Attachment
+     */
+    static findForMessage(attachmentId, senderId, conversationId) {
+        const attachment = typeof attachmentId === 'string' ? getRepository().findById(attachmentId) : null;
+
+        if (!attachment || attachment.ownerId !== senderId || attachment.conversationId !== conversationId) {
+            throw new Error('Attachment not found');
+        }
+
+        return attachment;
+    }
+
+    /**
+     * Open an attachment for one of its conversation's current participants
+     * @param {string} attachmentId - Attachment ID
+     * @param {string} userId - Requesting user's ID
+     * @returns {Promise<Object|null>} { attachment, stream } or null if not found or not allowed
+     */
+    static async openAttachment(attachmentId, userId) {
+        const attachment = getRepository().findById(attachmentId);
+        if (!attachment) return null;
+
+        const conversation = findAttachmentConversation(attachment);
+        const isParticipant = conversation && (attachment.conversationType === 'group'
+            ? conversation.hasMember(userId)
+            : conversation.hasParticipant(userId));
+
+        if (!isParticipant) return null;
+
+        const stream = await getFileStore().createReadStream(attachment.fileKey);
+        return stream ? { attachment, stream } : null;
+    }
+
+    /**
+     * Get the attachment details shown with a message
+     * @param {Object} attachment - Attachment
+     * @returns {Object} { id, mimeType, size, name }
+     */
+    static getAttachmentInfo(attachment) {
+        return {
+            id: attachment.id,
+            mimeType: attachment.mimeType,
+            size: attachment.size,
+            name: attachment.name
+        };
+    }
+
+    /**
+     * Delete an attachment (record and file), e.g. when the message it was sent with is unsent
+     * @param {string} attachmentId - Attachment ID
+     * @returns {Promise<boolean>} True if the attachment existed
+     */
+    static async deleteAttachment(attachmentId) {
+        const repository = getRepository();
+        const attachment = repository.findById(attachmentId);
+        if (!attachment) return false;
+
+        repository.delete(attachment.id);
+        await getFileStore().delete(attachment.fileKey);
+
+        console.log(`Deleted attachment ${attachment.id} of ${attachment.conversationId}`);
+        return true;
+    }
+
+    /**
+     * Delete every attachment of a chat or group
+     * @param {string} conversationId - Chat or group ID
+     * @returns {Promise<number>} Number of attachments removed
+     */
+    static async deleteConversationAttachments(conversationId) {
+        const repository = getRepository();
+        const attachments = repository.findByConversation(conversationId);
+
+        attachments.forEach(attachment => repository.delete(attachment.id));
+        await getFileStore().deletePrefix(conversationId);
+
+        if (attachments.length > 0) {
+            console.log(`Deleted ${attachments.length} attachments of ${conversationId}`);
+        }
+        return attachments.length;
+    }
+
+    /**
+     * Delete attachments whose chat or group is over, including files left behind by a restart
+     * @returns {Promise<number>} Number of chats and groups whose attachments were removed
+     */
+    static async cleanupExpired() {
+        const chatRepository = new ChatRepository();
+        const groupRepository = new GroupChatRepository();
+        const isActive = conversationId => {
+            const conversation = chatRepository.findById(conversationId) || groupRepository.findById(conversationId);
+            return Boolean(conversation && conversation.isActive);
+        };
+
+        const conversationIds = new Set([
+            ...getRepository().findAll().map(attachment => attachment.conversationId),
+            ...await getFileStore().listPrefixes()
+        ]);
+
+        const expired = Array.from(conversationIds).filter(conversationId => !isActive(conversationId));
+        for (const conversationId of expired) {
+            await AttachmentService.deleteConversationAttachments(conversationId);
+        }
+
+        return expired.length;
+    }
+}
+
+module.exports = AttachmentService;
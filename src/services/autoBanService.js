@@ -0,0 +1,148 @@
+/**
+ * Automatic ban service driven by user reports
+ * Counts distinct reporters per device over a sliding window and escalates ban durations
+ */
+
+const Report = require('../models/Report');
+const UserData = require('../models/UserData');
+const AutoBanDecision = require('../models/AutoBanDecision');
+const BanService = require('./banService');
+const moderationConfig = require('../config/moderation');
+
+const pendingEvaluations = new Map(); // deviceId -> evaluation in progress on this instance
+
+class AutoBanService {
+    /**
+     * Evaluate a device against the report policy and ban it if the threshold is reached
+     * Evaluations of the same device run one after another, so simultaneous reports cannot ban it twice
+     * @param {string} deviceId - Reported device ID
+     * @returns {Promise<Object|null>} Ban decision or null if no ban was issued
+     */
+    static evaluateDevice(deviceId) {
+        const previous = pendingEvaluations.get(deviceId) || Promise.resolve();
+        const evaluation = previous.catch(() => null).then(() => this.applyPolicy(deviceId));
+
+        pendingEvaluations.set(deviceId, evaluation);
+        const cleanup = () => {
+            if (pendingEvaluations.get(deviceId) === evaluation) {
+                pendingEvaluations.delete(deviceId);
+            }
+        };
+        evaluation.then(cleanup, cleanup);
+
+        return evaluation;
+    }
+
+    /**
+     * Ban a device if its reports reach the threshold and record the decision
+     * The ban is conditional on the banCount it was based on, so a concurrent evaluation on another
+     * instance that already banned the device makes this one a no-op
+     * @param {string} deviceId - Reported device ID
+     * @returns {Promise<Object|null>} Ban decision or null if no ban was issued
+     */
+    static async applyPolicy(deviceId) {
+        const policy = moderationConfig.autoBan;
+        if (!policy.enabled) return null;
+
+        const userData = await UserData.findOne({ deviceId });
+        if (!userData || userData.isCurrentlyBanned()) return null;
+
+        const deviceReports = await Report.getDeviceReports(deviceId);
+        const reporters = this.countDistinctReporters(deviceReports, this.getWindowStart(userData));
+
+        if (reporters < policy.reporterThreshold) return null;
+
+        const banCount = userData.banCount || 0;
+        const escalationLevel = Math.min(banCount, policy.banDurations.length - 1);
+        const banDuration = policy.banDurations[escalationLevel];
+
+        const banned = await BanService.banDevice(deviceId, banDuration, 'Automatic ban: report threshold reached', banCount);
+        if (!banned) return null;
+
+        const decision = {
+            deviceId,
+            distinctReporters: reporters,
+            threshold: policy.reporterThreshold,
+            windowMs: policy.reportWindowMs,
+            escalationLevel,
+            banDuration,
+            isPermanent: banDuration === null,
+            decidedAt: banned.lastBannedAt || new Date()
+        };
+
+        try {
+            await AutoBanDecision.recordDecision(decision);
+        } catch (error) {
+            console.error('Error recording auto-ban decision:', error.message);
+        }
+
+        console.log(`Auto-ban issued for device ${deviceId}: ${reporters} reporters, ${banDuration === null ? 'permanent' : `${Math.round(banDuration / 60000)} minutes`}`);
+
+        return decision;
+    }
+
+    /**
+     * Get the start of the report window for a device
+     * Reports filed before the device's last ban never count again
+     * @param {Object} userData - UserData document
+     * @returns {Date} Window start
+     */
+    static getWindowStart(userData) {
+        const windowStart = new Date(Date.now() - moderationConfig.autoBan.reportWindowMs);
+
+        if (userData.lastBannedAt && userData.lastBannedAt > windowStart) {
+            return userData.lastBannedAt;
+        }
+
+        return windowStart;
+    }
+
+    /**
+     * Count distinct reporter devices since a given time
+     * @param {Object|null} deviceReports - Report document for the device
+     * @param {Date} since - Only count reports filed after this time
+     * @returns {number} Number of distinct reporters
+     */
+    static countDistinctReporters(deviceReports, since) {
+        if (!deviceReports || !Array.isArray(deviceReports.reports)) return 0;
+
+        const reporters = new Set();
+        deviceReports.reports.forEach(report => {
+            if (report.reporterDeviceId && new Date(report.reportTime) >= since) {
+                reporters.add(report.reporterDeviceId);
+            }
+        });
+
+        return reporters.size;
+    }
+
+    /**
+     * Get the active policy
+     * @returns {Object} Policy configuration
+     */
+    static getPolicy() {
+        const policy = moderationConfig.autoBan;
+
+        return {
+            enabled: policy.enabled,
+            reportWindowMs: policy.reportWindowMs,
+            reporterThreshold: policy.reporterThreshold,
+            banDurations: policy.banDurations.map((duration, level) => ({
+                level,
+                duration,
+                isPermanent: duration === null
+            }))
+        };
+    }
+
+    /**
+     * Get recent automatic ban decisions (for admin)
+     * @param {number} limit - Maximum number of decisions to return
+     * @returns {Promise<Array>} Recent decisions, newest first
+     */
+    static async getDecisions(limit = 50) {
+        return await AutoBanDecision.getRecentDecisions(limit);
+    }
+}
+
+module.exports = AutoBanService;
@@ -0,0 +1,95 @@
+/**
+ * Ban service for device-level bans
+ * Wraps UserData ban operations and notifies listeners so live sockets can be enforced
+ */
+
+const EventEmitter = require('events');
+const UserData = require('../models/UserData');
+const { getCurrentInstance } = require('../cluster/instanceContext');
+
+const banEvents = new EventEmitter();
+
+class BanService {
+    /**
+     * Ban a device and notify listeners
+     * @param {string} deviceId - Device ID to ban
+     * @param {number|null} banDuration - Ban duration in milliseconds (null for permanent)
+     * @param {string|null} reason - Optional reason for the ban
+     * @param {number|null} expectedBanCount - Only ban if the device's banCount still equals this value
+     * @returns {Object|null} Updated user data or null if device is unknown (or banCount changed)
+     */
+    static async banDevice(deviceId, banDuration = null, reason = null, expectedBanCount = null) {
+        const userData = await UserData.banUser(deviceId, banDuration, expectedBanCount);
+
+        if (userData) {
+            banEvents.emit('deviceBanned', {
+                deviceId,
+                reason,
+                banStatus: this.getBanStatus(userData)
+            });
+        }
+
+        return userData;
+    }
+
+    /**
+     * Lift a device ban
+     * @param {string} deviceId - Device ID to unban
+     * @returns {Object|null} Updated user data or null if device is unknown
+     */
+    static async unbanDevice(deviceId) {
+        return await UserData.unbanUser(deviceId);
+    }
+
+    /**
+     * Look up the current ban status of a device
+     * @param {string} deviceId - Device ID to check
+     * @returns {Object} Ban status
+     */
+    static async checkDevice(deviceId) {
+        const userData = await UserData.findOne({ deviceId });
+        return this.getBanStatus(userData);
+    }
+
+    /**
+     * Build ban status from a user data document
+     * @param {Object|null} userData - UserData document
+     * @returns {Object} Ban status
+     */
+    static getBanStatus(userData) {
+        if (!userData || !userData.isCurrentlyBanned()) {
+            return {
+                isBanned: false,
+                isPermanent: false,
+                remainingTime: 0,
+                banEndsAt: null
+            };
+        }
+
+        const remainingTime = userData.getRemainingBanTime();
+
+        return {
+            isBanned: true,
+            isPermanent: remainingTime === -1,
+            remainingTime: remainingTime === -1 ? null : remainingTime,
+            banEndsAt: userData.banTimeEnd
+        };
+    }
+
+    /**
+     * Subscribe to device ban notifications
+     * Only bans issued by the subscribing server instance are delivered; it enforces them cluster-wide
+     * @param {Function} listener - Called with { deviceId, reason, banStatus }
+     */
+    static onDeviceBanned(listener) {
+        const instance = getCurrentInstance();
+
+        banEvents.on('deviceBanned', (event) => {
+            if (getCurrentInstance() === instance) {
+                listener(event);
+            }
+        });
+    }
+}
+
+module.exports = BanService;
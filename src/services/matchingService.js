@@ -1,45 +1,361 @@
 /**
  * User matching service for finding compatible chat partners
- * Handles gender preferences and compatibility logic
+ * Handles age gating, gender and age preferences, past partners, languages, regions, interest tags,
+ * wait-time scoring and compatibility logic
+ *
+ * Profiles and preferences are read from the users in UserRepository, and the waiting queue comes from the
+ * storage adapter; both are shared between instances in cluster mode. A partner must be claimed through the cluster
+ * broker before a chat is started, so two instances can never match the same user.
  */
 
-const { users, waitingUsers, userProfiles } = require('../storage/memoryStorage');
+const UserRepository = require('../repositories/UserRepository');
+const { getStorageAdapter } = require('../storage');
+const { getClusterBroker } = require('../cluster');
+const clusterConfig = require('../config/cluster');
+const matchingConfig = require('../config/matching');
+const PartnerHistoryService = require('./partnerHistoryService');
+
+/**
+ * Get the user repository for the configured storage adapter
+ * @returns {UserRepository} Repository
+ */
+function getUserRepository() {
+    return new UserRepository();
+}
+
+// Most recent matches on this instance as { waitedMs, matchedAt } (oldest first)
+const waitTimes = [];
+const startedAt = Date.now();
+
+/**
+ * Get the shared waiting queue
+ * @returns {Map} userId -> waiting entry
+ */
+function getWaitingUsers() {
+    return getStorageAdapter().collection('waitingUsers');
+}
 
 class MatchingService {
     /**
-     * Find a compatible partner for the given user
-     * @param {string} userId - Socket ID of user looking for match
-     * @returns {string|null} Socket ID of compatible partner or null
+     * Find the best compatible partner for the given user
+     * Every compatible candidate is scored on a common language, shared interest tags, region and how
+     * long they have waited, minus a penalty for recent partners; ties go to whoever has waited longest
+     * @param {string} userId - User ID looking for match
+     * @param {Set} excludedIds - Waiting users to skip (e.g. lost claims)
+     * @param {Date} searchingSince - When the user started searching (defaults to now)
+     * @returns {string|null} ID of compatible partner or null
      */
-    static findCompatiblePartner(userId) {
-        const user = users.get(userId);
-        const userProfile = userProfiles.get(userId);
+    static findCompatiblePartner(userId, excludedIds = new Set(), searchingSince = new Date()) {
+        const userRepository = getUserRepository();
+        const user = userRepository.findById(userId);
 
         if (!user) return null;
 
-        const userPreferences = user.preferences || {};
+        const seeker = {
+            user,
+            tags: user.preferences.interestTags || [],
+            searchingSince
+        };
+        const now = Date.now();
 
-        // Check all waiting users for compatibility
-        for (const [waitingUserId, waitingData] of waitingUsers) {
-            if (waitingUserId === userId) continue;
+        let bestPartnerId = null;
+        let bestScore = null;
+        let bestJoinedAt = null;
 
-            const waitingUser = users.get(waitingUserId);
-            const waitingProfile = userProfiles.get(waitingUserId);
-            const waitingPreferences = waitingUser?.preferences || {};
+        // Check all waiting users for compatibility
+        for (const [waitingUserId, waitingData] of getWaitingUsers()) {
+            if (waitingUserId === userId || excludedIds.has(waitingUserId)) continue;
 
+            const waitingUser = userRepository.findById(waitingUserId);
             if (!waitingUser) continue;
 
-            // Check if users are gender compatible
-            if (this.isGenderCompatible(userProfile, userPreferences, waitingProfile, waitingPreferences)) {
-                return waitingUserId;
+            const fit = this.getMatchFit(seeker, {
+                user: waitingUser,
+                tags: waitingData.tags || [],
+                searchingSince: waitingData.joinedAt
+            }, now);
+
+            if (!fit) continue;
+
+            const joinedAt = new Date(waitingData.joinedAt).getTime();
+            const score = this.scoreCandidate({ ...fit, waitedMs: now - joinedAt });
+
+            if (bestScore === null || score > bestScore || (score === bestScore && joinedAt < bestJoinedAt)) {
+                bestPartnerId = waitingUserId;
+                bestScore = score;
+                bestJoinedAt = joinedAt;
             }
         }
 
-        return null;
+        return bestPartnerId;
+    }
+
+    /**
+     * Check whether two searching users can be matched right now and how well they fit
+     * @param {Object} seeker - { user, tags, searchingSince } for the first user
+     * @param {Object} candidate - { user, tags, searchingSince } for the second user
+     * @param {number} now - Current time in milliseconds
+     * @returns {Object|null} Fit ({ commonLanguage, sharedCount, sameRegion, recentPartner }) or null if incompatible
+     */
+    static getMatchFit(seeker, candidate, now = Date.now()) {
+        const user = seeker.user;
+        const partner = candidate.user;
+        const userPreferences = user.preferences || {};
+        const partnerPreferences = partner.preferences || {};
+
+        // Minors are only ever matched with minors, whatever else either side prefers
+        if (this.getAgeGroup(user.profile) !== this.getAgeGroup(partner.profile)) return null;
+
+        // Both sides' age preferences must be satisfied
+        if (!this.isAgePreferenceSatisfied(userPreferences, partner.profile)) return null;
+        if (!this.isAgePreferenceSatisfied(partnerPreferences, user.profile)) return null;
+
+        // Blocked partners are never matched; recent partners only once both sides have waited long enough
+        const partnerStatus = PartnerHistoryService.getPartnerStatus(user.deviceId, partner.deviceId, now);
+        if (partnerStatus === 'blocked') return null;
+
+        const recentPartner = partnerStatus === 'recent';
+        const apartMs = recentPartner
+            ? PartnerHistoryService.getRecentPartnerRemainingMs(user.deviceId, partner.deviceId, now)
+            : 0;
+
+        if (!this.acceptsRecentPartner(apartMs, seeker.searchingSince, now)) return null;
+        if (!this.acceptsRecentPartner(apartMs, candidate.searchingSince, now)) return null;
+
+        // Both sides' gender preferences must be satisfied
+        if (!this.isGenderCompatible(user.profile, userPreferences, partner.profile, partnerPreferences)) {
+            return null;
+        }
+
+        // Both sides must accept the language overlap (or have waited long enough in soft mode)
+        const userLanguages = user.profile.languages || [];
+        const partnerLanguages = partner.profile.languages || [];
+        const commonLanguage = this.getSharedTags(userLanguages, partnerLanguages).length > 0;
+        const sameRegion = this.isSameRegion(user.profile, partner.profile);
+
+        if (!this.acceptsLanguageOverlap(userLanguages, commonLanguage, sameRegion, seeker.searchingSince, now)) {
+            return null;
+        }
+        if (!this.acceptsLanguageOverlap(partnerLanguages, commonLanguage, sameRegion, candidate.searchingSince, now)) {
+            return null;
+        }
+
+        // Both sides must accept the tag overlap (or have waited long enough to accept anyone)
+        const sharedCount = this.getSharedTags(seeker.tags, candidate.tags).length;
+
+        if (!this.acceptsTagOverlap(seeker.tags, sharedCount, seeker.searchingSince, now)) return null;
+        if (!this.acceptsTagOverlap(candidate.tags, sharedCount, candidate.searchingSince, now)) return null;
+
+        return {
+            commonLanguage,
+            sharedCount,
+            sameRegion,
+            recentPartner
+        };
+    }
+
+    /**
+     * Score a compatible candidate with the configured weights
+     * @param {Object} fit - How the candidate fits ({ commonLanguage, sharedCount, sameRegion, waitedMs, recentPartner })
+     * @returns {number} Score (higher is better)
+     */
+    static scoreCandidate({ commonLanguage, sharedCount, sameRegion, waitedMs, recentPartner }) {
+        const weights = matchingConfig.scoreWeights;
+
+        return (commonLanguage ? weights.commonLanguage : 0) +
+            sharedCount * weights.sharedTag +
+            (sameRegion ? weights.sameRegion : 0) +
+            Math.max(0, waitedMs) / 1000 * weights.waitSecond +
+            (recentPartner ? weights.recentPartner : 0);
+    }
+
+    /**
+     * Get how many of a requirement's relaxation steps a searching user has waited through
+     * @param {Date} searchingSince - When the user started searching
+     * @param {number} relaxMs - Wait after which the requirement is fully relaxed
+     * @param {number} now - Current time in milliseconds
+     * @returns {number} Completed steps (0 to matchingConfig.relaxationSteps)
+     */
+    static getRelaxationStep(searchingSince, relaxMs, now = Date.now()) {
+        const steps = matchingConfig.relaxationSteps;
+        if (relaxMs <= 0) return steps;
+
+        const waitedMs = Math.max(0, now - new Date(searchingSince).getTime());
+        return Math.min(steps, Math.floor(waitedMs * steps / relaxMs));
+    }
+
+    /**
+     * Check whether a user accepts a partner they recently chatted with
+     * Each relaxation step shortens the time the user insists on being kept apart, so partners from
+     * longer ago are accepted first and every recent partner once the full wait is over
+     * @param {number} apartMs - How much longer the two are kept apart (0 if not a recent partner)
+     * @param {Date} searchingSince - When the user started searching
+     * @param {number} now - Current time in milliseconds
+     * @returns {boolean} True if the user accepts the partner
+     */
+    static acceptsRecentPartner(apartMs, searchingSince, now = Date.now()) {
+        if (apartMs <= 0) return true;
+
+        const steps = matchingConfig.relaxationSteps;
+        const step = this.getRelaxationStep(searchingSince, matchingConfig.recentPartnerRelaxMs, now);
+        return step >= steps || apartMs <= matchingConfig.recentPartnerTtlMs * step / steps;
+    }
+
+    /**
+     * Get the possible age range for a profile's birth year
+     * @param {Object} profile - User profile
+     * @param {Date} now - Reference date
+     * @returns {Object|null} { min, max } (the birthday may not have passed yet) or null if unknown
+     */
+    static getAgeBounds(profile, now = new Date()) {
+        if (!profile?.birthYear) return null;
+
+        const age = now.getFullYear() - profile.birthYear;
+        return { min: age - 1, max: age };
+    }
+
+    /**
+     * Get the age group a profile is matched within
+     * Anyone who may still be under the adult age counts as a minor; users without a birth year form their
+     * own group, so leaving it out neither reaches adults nor minors
+     * @param {Object} profile - User profile
+     * @returns {string} 'minor', 'adult' or 'unknown'
+     */
+    static getAgeGroup(profile) {
+        const bounds = this.getAgeBounds(profile);
+        if (!bounds) return 'unknown';
+        return bounds.min < matchingConfig.adultAge ? 'minor' : 'adult';
+    }
+
+    /**
+     * Check whether a partner satisfies a user's age preference
+     * Partners without a birth year never satisfy a min or max age
+     * @param {Object} preferences - User's preferences ({ minAge, maxAge })
+     * @param {Object} partnerProfile - Partner's profile
+     * @returns {boolean} True if satisfied
+     */
+    static isAgePreferenceSatisfied(preferences, partnerProfile) {
+        const minAge = preferences?.minAge ?? null;
+        const maxAge = preferences?.maxAge ?? null;
+        if (minAge === null && maxAge === null) return true;
+
+        const bounds = this.getAgeBounds(partnerProfile);
+        if (!bounds) return false;
+
+        return (minAge === null || bounds.max >= minAge) && (maxAge === null || bounds.min <= maxAge);
+    }
+
+    /**
+     * Check whether two users are in the same region
+     * @param {Object} profile - First user's profile
+     * @param {Object} otherProfile - Second user's profile
+     * @returns {boolean} True if both set the same region
+     */
+    static isSameRegion(profile, otherProfile) {
+        return Boolean(profile?.region) && profile.region === otherProfile?.region;
+    }
+
+    /**
+     * Check whether a user accepts a partner with or without a common language
+     * Users without languages accept anyone; in strict mode users with languages never accept a partner
+     * without a common one. In soft mode they accept one from their own region after the first relaxation
+     * step, and anyone once the full wait is over
+     * @param {Array} languages - User's languages
+     * @param {boolean} commonLanguage - Whether the partner speaks one of them
+     * @param {boolean} sameRegion - Whether the partner is in the user's region
+     * @param {Date} searchingSince - When the user started searching
+     * @param {number} now - Current time in milliseconds
+     * @returns {boolean} True if the user accepts the partner
+     */
+    static acceptsLanguageOverlap(languages, commonLanguage, sameRegion, searchingSince, now = Date.now()) {
+        if (languages.length === 0 || commonLanguage) return true;
+        if (matchingConfig.languageMode === 'strict') return false;
+
+        const step = this.getRelaxationStep(searchingSince, matchingConfig.languageRelaxMs, now);
+        return step >= matchingConfig.relaxationSteps || (sameRegion && step > 0);
+    }
+
+    /**
+     * Get the interest tags two users have in common
+     * @param {Array} tags - First user's tags
+     * @param {Array} otherTags - Second user's tags
+     * @returns {Array} Shared tags (in the first user's order)
+     */
+    static getSharedTags(tags = [], otherTags = []) {
+        const otherSet = new Set(otherTags);
+        return tags.filter(tag => otherSet.has(tag));
+    }
+
+    /**
+     * Get how many shared tags a user requires from a partner
+     * Users start by requiring maxRequiredSharedTags (or all their tags if they have fewer); the requirement
+     * drops with each relaxation step until the fallback wait is over and they accept anyone
+     * @param {Array} tags - User's interest tags
+     * @param {Date} searchingSince - When the user started searching
+     * @param {number} now - Current time in milliseconds
+     * @returns {number} Required number of shared tags
+     */
+    static getRequiredSharedTags(tags, searchingSince, now = Date.now()) {
+        const steps = matchingConfig.relaxationSteps;
+        const step = this.getRelaxationStep(searchingSince, matchingConfig.tagFallbackMs, now);
+        const initial = Math.min(tags.length, matchingConfig.maxRequiredSharedTags);
+
+        return Math.ceil(initial * (steps - step) / steps);
+    }
+
+    /**
+     * Check whether a user accepts a partner with the given number of shared tags
+     * Users without tags accept anyone
+     * @param {Array} tags - User's interest tags
+     * @param {number} sharedCount - Number of tags shared with the partner
+     * @param {Date} searchingSince - When the user started searching
+     * @param {number} now - Current time in milliseconds
+     * @returns {boolean} True if the user accepts the partner
+     */
+    static acceptsTagOverlap(tags, sharedCount, searchingSince, now = Date.now()) {
+        if (tags.length === 0) return true;
+        return sharedCount >= this.getRequiredSharedTags(tags, searchingSince, now);
+    }
+
+    /**
+     * Get how long until a searching user's next matching requirement relaxes by a step
+     * @param {User} user - Searching user
+     * @param {Date} searchingSince - When the user started searching
+     * @param {number} now - Current time in milliseconds
+     * @returns {number} Milliseconds until the next relaxation step (0 if nothing is left to relax)
+     */
+    static getRelaxationDelay(user, searchingSince, now = Date.now()) {
+        if (!user) return 0;
+
+        const steps = matchingConfig.relaxationSteps;
+        const waitedMs = Math.max(0, now - new Date(searchingSince).getTime());
+        const relaxAfter = [];
+
+        if ((user.preferences.interestTags || []).length > 0) {
+            relaxAfter.push(matchingConfig.tagFallbackMs);
+        }
+
+        if ((user.profile.languages || []).length > 0 && matchingConfig.languageMode === 'soft') {
+            relaxAfter.push(matchingConfig.languageRelaxMs);
+        }
+
+        if (PartnerHistoryService.hasRecentPartners(user.deviceId)) {
+            relaxAfter.push(matchingConfig.recentPartnerRelaxMs);
+        }
+
+        const pending = relaxAfter
+            .map(afterMs => {
+                const step = this.getRelaxationStep(searchingSince, afterMs, now);
+                return step < steps ? Math.ceil(afterMs * (step + 1) / steps) - waitedMs : 0;
+            })
+            .filter(delay => delay > 0);
+        return pending.length > 0 ? Math.min(...pending) : 0;
     }
 
     /**
      * Check if two users are compatible based on gender preferences
+     * Each user's preference must be met by the other's gender; a partner who has not set a gender
+     * never satisfies a specific preference
      * @param {Object} userProfile - First user's profile
      * @param {Object} userPrefs - First user's preferences
      * @param {Object} partnerProfile - Second user's profile
@@ -47,47 +363,98 @@ class MatchingService {
      * @returns {boolean} True if compatible, false otherwise
      */
     static isGenderCompatible(userProfile, userPrefs, partnerProfile, partnerPrefs) {
-        const userGender = userProfile?.gender;
-        const partnerGender = partnerProfile?.gender;
-        const userPrefGender = userPrefs?.preferredGender || 'any';
-        const partnerPrefGender = partnerPrefs?.preferredGender || 'any';
-
-        // If either user has no gender preference, match is possible
-        if (userPrefGender === 'any' || partnerPrefGender === 'any') {
-            return true;
-        }
+        return this.isGenderPreferenceSatisfied(userPrefs, partnerProfile) &&
+            this.isGenderPreferenceSatisfied(partnerPrefs, userProfile);
+    }
 
-        // If profiles are incomplete, allow matching
-        if (!userGender || !partnerGender) {
-            return true;
+    /**
+     * Check whether a partner satisfies a user's gender preference
+     * @param {Object} preferences - User's preferences ({ preferredGender })
+     * @param {Object} partnerProfile - Partner's profile
+     * @returns {boolean} True if satisfied
+     */
+    static isGenderPreferenceSatisfied(preferences, partnerProfile) {
+        const preferredGender = preferences?.preferredGender || 'any';
+        return preferredGender === 'any' || partnerProfile?.gender === preferredGender;
+    }
+
+    /**
+     * Atomically claim a waiting user and take them out of the queue
+     * Only one caller across all instances wins the claim
+     * @param {string} userId - ID of the waiting user
+     * @returns {Promise<Object|null>} The claimed waiting entry or null if the claim was lost
+     */
+    static async claimWaitingUser(userId) {
+        const broker = getClusterBroker();
+        const claimKey = `match:${userId}`;
+
+        const claimed = await broker.claim(claimKey, clusterConfig.claimTtlMs);
+        if (!claimed) return null;
+
+        // The user may have left the queue while the claim was in flight
+        const entry = getWaitingUsers().get(userId);
+        if (!entry) {
+            await broker.release(claimKey);
+            return null;
         }
 
-        // Check mutual compatibility - both users' preferences must be satisfied
-        const userSatisfied = userPrefGender === 'any' || userPrefGender === partnerGender;
-        const partnerSatisfied = partnerPrefGender === 'any' || partnerPrefGender === userGender;
+        this.removeFromWaitingList(userId);
+        return entry;
+    }
+
+    /**
+     * Put a claimed user back in the queue, keeping their original place
+     * @param {Object} entry - Waiting entry returned by claimWaitingUser
+     */
+    static restoreWaitingUser(entry) {
+        this.releaseClaim(entry.userId);
+        getWaitingUsers().set(entry.userId, entry);
+    }
 
-        return userSatisfied && partnerSatisfied;
+    /**
+     * Release a user's match claim so they can be claimed again
+     * @param {string} userId - User ID
+     */
+    static releaseClaim(userId) {
+        getClusterBroker().release(`match:${userId}`).catch(error => {
+            console.error(`Failed to release match claim: ${error.message}`);
+        });
     }
 
     /**
      * Add user to waiting list for matching
-     * @param {string} socketId - Socket ID of user
+     * @param {string} userId - User ID
      * @param {Object} preferences - User's matching preferences
+     * @param {Date} joinedAt - When the user started searching (kept when a search is retried)
      */
-    static addToWaitingList(socketId, preferences = {}) {
-        waitingUsers.set(socketId, {
-            userId: socketId,
+    static addToWaitingList(userId, preferences = {}, joinedAt = new Date()) {
+        // An old claim may still be held from a previous match
+        this.releaseClaim(userId);
+
+        getWaitingUsers().set(userId, {
+            userId,
+            instanceId: getClusterBroker().instanceId,
             preferences: preferences,
-            joinedAt: new Date()
+            tags: preferences.interestTags || [],
+            joinedAt
         });
     }
 
+    /**
+     * Check if user is in the waiting list
+     * @param {string} userId - User ID
+     * @returns {boolean} True if waiting
+     */
+    static isWaiting(userId) {
+        return getWaitingUsers().has(userId);
+    }
+
     /**
      * Remove user from waiting list
-     * @param {string} socketId - Socket ID of user to remove
+     * @param {string} userId - ID of user to remove
      */
-    static removeFromWaitingList(socketId) {
-        waitingUsers.delete(socketId);
+    static removeFromWaitingList(userId) {
+        getWaitingUsers().delete(userId);
     }
 
     /**
@@ -95,7 +462,144 @@ class MatchingService {
      * @returns {number} Number of users in waiting queue
      */
     static getWaitingUsersCount() {
-        return waitingUsers.size;
+        return getWaitingUsers().size;
+    }
+
+    /**
+     * Remember how long a user waited before being matched
+     * @param {number} waitedMs - Wait time in milliseconds
+     */
+    static recordWaitTime(waitedMs) {
+        waitTimes.push({ waitedMs: Math.max(0, waitedMs), matchedAt: Date.now() });
+        if (waitTimes.length > matchingConfig.waitTimeSamples) {
+            waitTimes.shift();
+        }
+    }
+
+    /**
+     * Get wait-time percentiles over the most recent matches on this instance
+     * @returns {Object} { samples, p50Ms, p90Ms, p99Ms } (percentiles are null without samples)
+     */
+    static getWaitTimeStats() {
+        const sorted = waitTimes.map(sample => sample.waitedMs).sort((a, b) => a - b);
+        const percentile = (p) => sorted.length > 0
+            ? Math.round(sorted[Math.ceil(p / 100 * sorted.length) - 1])
+            : null;
+
+        return {
+            samples: sorted.length,
+            p50Ms: percentile(50),
+            p90Ms: percentile(90),
+            p99Ms: percentile(99)
+        };
+    }
+
+    /**
+     * Estimate how long a user at the given queue position will wait, from the recent match rate
+     * @param {number} position - Queue position (1 = waited longest)
+     * @param {number} now - Current time in milliseconds
+     * @returns {number|null} Estimated wait in milliseconds or null without recent matches
+     */
+    static estimateWaitMs(position, now = Date.now()) {
+        const windowMs = Math.min(matchingConfig.matchRateWindowMs, now - startedAt);
+        const recentMatches = waitTimes.filter(sample => sample.matchedAt >= now - windowMs).length;
+        if (recentMatches === 0 || windowMs <= 0) return null;
+
+        // Users leaving the queue per millisecond
+        const matchRate = recentMatches / windowMs;
+        return Math.round(position / matchRate);
+    }
+
+    /**
+     * Count, for each of the given waiting users, the users who could be matched with them once they are free
+     * Candidates are other waiting users and users in a one-on-one chat. A fit is the same from either side,
+     * so each pair is checked only once and a whole queue is counted in a single pass
+     * @param {Array} userIds - Waiting users' IDs
+     * @param {number} now - Current time in milliseconds
+     * @returns {Map} userId -> number of compatible candidates
+     */
+    static countCompatibleCandidates(userIds, now = Date.now()) {
+        const waitingUsers = getWaitingUsers();
+        const counts = new Map(userIds.map(userId => [userId, 0]));
+
+        // Users in a chat would start a fresh search, so none of their requirements are relaxed yet
+        const searchers = [];
+        for (const candidate of getUserRepository().findAll()) {
+            const waitingData = waitingUsers.get(candidate.id);
+            if (!waitingData && !candidate.isInChat) continue;
+
+            searchers.push({
+                user: candidate,
+                tags: waitingData ? waitingData.tags || [] : candidate.preferences.interestTags || [],
+                searchingSince: waitingData ? waitingData.joinedAt : now
+            });
+        }
+
+        // Searchers are ordered so that every pair involving a counted user is met exactly once
+        searchers.sort((a, b) => Number(counts.has(b.user.id)) - Number(counts.has(a.user.id)));
+
+        searchers.forEach((seeker, index) => {
+            if (!counts.has(seeker.user.id)) return;
+
+            for (let other = index + 1; other < searchers.length; other++) {
+                const candidate = searchers[other];
+                if (!this.getMatchFit(seeker, candidate, now)) continue;
+
+                counts.set(seeker.user.id, counts.get(seeker.user.id) + 1);
+                if (counts.has(candidate.user.id)) {
+                    counts.set(candidate.user.id, counts.get(candidate.user.id) + 1);
+                }
+            }
+        });
+
+        return counts;
+    }
+
+    /**
+     * Get the place in the queue of several waiting users at once (e.g. for a round of queueStatus updates)
+     * @param {Array} userIds - Waiting users' IDs
+     * @returns {Map} userId -> { position, queueLength, waitedMs, compatibleCandidates, estimatedWaitMs }
+     * (users who are not waiting are left out)
+     */
+    static getQueueStatuses(userIds) {
+        const entries = Array.from(getWaitingUsers().values())
+            .sort((a, b) => new Date(a.joinedAt) - new Date(b.joinedAt));
+        const positions = new Map(entries.map((entry, index) => [entry.userId, index + 1]));
+
+        const waitingIds = userIds.filter(userId => positions.has(userId));
+        const now = Date.now();
+        const counts = this.countCompatibleCandidates(waitingIds, now);
+        const userRepository = getUserRepository();
+        const statuses = new Map();
+
+        waitingIds.forEach(userId => {
+            const position = positions.get(userId);
+            const entry = entries[position - 1];
+            const compatibleCandidates = counts.get(userId);
+
+            // Nobody can match the user until someone compatible arrives or one of their requirements relaxes
+            const canBeMatched = compatibleCandidates > 0
+                || this.getRelaxationDelay(userRepository.findById(userId), entry.joinedAt, now) > 0;
+
+            statuses.set(userId, {
+                position,
+                queueLength: entries.length,
+                waitedMs: now - new Date(entry.joinedAt).getTime(),
+                compatibleCandidates,
+                estimatedWaitMs: canBeMatched ? this.estimateWaitMs(position, now) : null
+            });
+        });
+
+        return statuses;
+    }
+
+    /**
+     * Get a waiting user's place in the queue
+     * @param {string} userId - Waiting user's ID
+     * @returns {Object|null} { position, queueLength, waitedMs, compatibleCandidates, estimatedWaitMs } or null if not waiting
+     */
+    static getQueueStatus(userId) {
+        return this.getQueueStatuses([userId]).get(userId) || null;
     }
 
     /**
@@ -103,7 +607,7 @@ class MatchingService {
      * @returns {Array} Array of waiting user data
      */
     static getWaitingUsers() {
-        return Array.from(waitingUsers.values());
+        return Array.from(getWaitingUsers().values());
     }
 
     /**
@@ -111,6 +615,7 @@ class MatchingService {
      * @returns {number} Number of users cleared
      */
     static clearWaitingUsers() {
+        const waitingUsers = getWaitingUsers();
         const count = waitingUsers.size;
         waitingUsers.clear();
         return count;
@@ -0,0 +1,116 @@
+/**
+ * Partner history service
+ * Remembers recent and blocked partners per device so the matcher does not pair them again
+ *
+ * Recent partners are kept for MATCH_RECENT_PARTNER_TTL_MS after a chat ends (the matcher pairs them again
+ * once both have waited long enough, older partners first); blocks are permanent and stored with the
+ * device's UserData so they are restored when the device registers again.
+ */
+
+const UserData = require('../models/UserData');
+const PartnerHistoryRepository = require('../repositories/PartnerHistoryRepository');
+const matchingConfig = require('../config/matching');
+
+/**
+ * Get the partner history repository for the configured storage adapter
+ * @returns {PartnerHistoryRepository} Repository
+ */
+function getRepository() {
+    return new PartnerHistoryRepository();
+}
+
+class PartnerHistoryService {
+    /**
+     * Remember two devices as each other's recent partner
+     * @param {string} deviceId - First device ID
+     * @param {string} partnerDeviceId - Second device ID
+     */
+    static recordRecentPartners(deviceId, partnerDeviceId) {
+        if (!deviceId || !partnerDeviceId || matchingConfig.recentPartnerTtlMs === 0) return;
+
+        const repository = getRepository();
+        const expiresAt = Date.now() + matchingConfig.recentPartnerTtlMs;
+
+        repository.addRecent(deviceId, partnerDeviceId, expiresAt);
+        repository.addRecent(partnerDeviceId, deviceId, expiresAt);
+    }
+
+    /**
+     * Permanently block a device from being matched with another
+     * @param {string} deviceId - Blocking device ID
+     * @param {string} blockedDeviceId - Device ID to block
+     * @returns {Promise<void>}
+     */
+    static async blockDevice(deviceId, blockedDeviceId) {
+        getRepository().addBlocked(deviceId, [blockedDeviceId]);
+        await UserData.blockDevice(deviceId, blockedDeviceId);
+    }
+
+    /**
+     * Restore a device's stored blocks (e.g. after a server restart)
+     * @param {string} deviceId - Device ID
+     * @param {Array} blockedDeviceIds - Blocked device IDs from UserData
+     */
+    static restoreBlockedDevices(deviceId, blockedDeviceIds = []) {
+        if (blockedDeviceIds.length === 0) return;
+        getRepository().addBlocked(deviceId, blockedDeviceIds);
+    }
+
+    /**
+     * Get how two devices relate, looking at both sides
+     * @param {string} deviceId - First device ID
+     * @param {string} partnerDeviceId - Second device ID
+     * @param {number} now - Current time in milliseconds
+     * @returns {string|null} 'blocked' if either blocked the other, 'recent' if they recently chatted, otherwise null
+     */
+    static getPartnerStatus(deviceId, partnerDeviceId, now = Date.now()) {
+        if (!deviceId || !partnerDeviceId) return null;
+
+        const repository = getRepository();
+        const statuses = [
+            repository.getStatus(deviceId, partnerDeviceId, now),
+            repository.getStatus(partnerDeviceId, deviceId, now)
+        ];
+
+        if (statuses.includes('blocked')) return 'blocked';
+        return statuses.includes('recent') ? 'recent' : null;
+    }
+
+    /**
+     * Get how much longer two devices are kept apart as recent partners, looking at both sides
+     * @param {string} deviceId - First device ID
+     * @param {string} partnerDeviceId - Second device ID
+     * @param {number} now - Current time in milliseconds
+     * @returns {number} Remaining time in milliseconds (0 if they are not recent partners)
+     */
+    static getRecentPartnerRemainingMs(deviceId, partnerDeviceId, now = Date.now()) {
+        if (!deviceId || !partnerDeviceId) return 0;
+
+        const repository = getRepository();
+        const expiresAt = Math.max(
+            repository.getRecentExpiry(deviceId, partnerDeviceId, now) || 0,
+            repository.getRecentExpiry(partnerDeviceId, deviceId, now) || 0
+        );
+
+        return Math.max(0, expiresAt - now);
+    }
+
+    /**
+     * Check whether a device recently chatted with anyone it is still kept apart from
+     * @param {string} deviceId - Device ID
+     * @returns {boolean} True if the device has recent partners
+     */
+    static hasRecentPartners(deviceId) {
+        return Boolean(deviceId) && getRepository().hasRecent(deviceId);
+    }
+
+    /**
+     * Drop expired recent partners
+     * @returns {number} Number of device histories removed
+     */
+    static cleanupExpired() {
+        return getRepository().deleteExpired();
+    }
+}
+
+module.exports = PartnerHistoryService;
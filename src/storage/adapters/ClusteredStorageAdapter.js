@@ -0,0 +1,158 @@
+/**
+ * Clustered Storage Adapter
+ * Wraps another storage adapter and replicates its collections across server instances,
+ * so every instance sees the shared user registry, waiting queue and chat state
+ */
+
+const StorageAdapter = require('./StorageAdapter');
+const ReplicatedCollection = require('./ReplicatedCollection');
+const User = require('../../models/User');
+const Chat = require('../../models/Chat');
+const GroupChat = require('../../models/GroupChat');
+
+const identity = value => value;
+
+// How each replicated collection is turned into broker messages and back
+// (userSockets is not replicated: socket bindings belong to the instance holding the socket)
+const SERIALIZERS = {
+    users: {
+        serialize: user => user.toRecord(),
+        deserialize: record => User.fromRecord(record)
+    },
+    waitingUsers: {
+        serialize: identity,
+        deserialize: record => ({ ...record, joinedAt: new Date(record.joinedAt) })
+    },
+    chats: {
+        serialize: chat => chat.toRecord(),
+        deserialize: record => Chat.fromRecord(record),
+        deltaField: 'messages'
+    },
+    chatRooms: {
+        serialize: identity,
+        deserialize: identity
+    },
+    groupChats: {
+        serialize: group => group.toRecord(),
+        deserialize: record => GroupChat.fromRecord(record),
+        deltaField: 'messages'
+    },
+    suspendedSessions: {
+        serialize: identity,
+        deserialize: record => ({
+            ...record,
+            disconnectedAt: new Date(record.disconnectedAt),
+            expiresAt: new Date(record.expiresAt)
+        })
+    },
+    partnerHistory: {
+        serialize: identity,
+        deserialize: identity
+    },
+    chatInvites: {
+        serialize: identity,
+        deserialize: record => ({
+            ...record,
+            createdAt: new Date(record.createdAt),
+            expiresAt: new Date(record.expiresAt)
+        })
+    },
+    attachments: {
+        serialize: identity,
+        deserialize: record => ({ ...record, createdAt: new Date(record.createdAt) })
+    }
+};
+
+// Collections whose entries belong to the instance holding the socket
+const INSTANCE_SCOPED = ['users', 'waitingUsers'];
+
+class ClusteredStorageAdapter extends StorageAdapter {
+    /**
+     * @param {StorageAdapter} inner - Adapter holding this instance's copy of the data
+     * @param {ClusterBroker} broker - Cluster broker
+     */
+    constructor(inner, broker) {
+        super(`${inner.name}+cluster`);
+        this.inner = inner;
+        this.broker = broker;
+        this.collections = {};
+
+        Object.entries(SERIALIZERS).forEach(([name, serializer]) => {
+            this.collections[name] = new ReplicatedCollection(inner.collection(name), {
+                name,
+                broker,
+                ...serializer
+            });
+        });
+    }
+
+    /**
+     * Get a named collection
+     * @param {string} name - Collection name
+     * @returns {ReplicatedCollection} Replicated collection
+     */
+    collection(name) {
+        return this.collections[name] || this.inner.collection(name);
+    }
+
+    /**
+     * Load the inner adapter, start applying remote changes and ask peers for their state
+     */
+    async init() {
+        await this.inner.init();
+
+        this.broker.subscribe('storage', (change, origin) => {
+            const collection = this.collections[change.collection];
+            if (collection) {
+                collection.applyRemote(change, origin);
+            }
+        });
+
+        this.broker.subscribe('storage:sync', () => {
+            Object.values(this.collections).forEach(collection => collection.publishAll());
+        });
+
+        this.broker.subscribe('instance:leave', (message, origin) => {
+            this.removeInstanceEntries(origin);
+        });
+
+        this.broker.publish('storage:sync', { instanceId: this.broker.instanceId });
+    }
+
+    /**
+     * Drop users and queue entries owned by an instance that shut down
+     * @param {string} instanceId - Instance that left
+     */
+    removeInstanceEntries(instanceId) {
+        let removed = 0;
+
+        INSTANCE_SCOPED.forEach(name => {
+            const collection = this.collections[name];
+            Array.from(collection.entries()).forEach(([id, value]) => {
+                if (value.instanceId === instanceId) {
+                    collection.removeLocal(id);
+                    removed++;
+                }
+            });
+        });
+
+        console.log(`Instance ${instanceId} left the cluster (${removed} entries removed)`);
+    }
+
+    /**
+     * Flush the inner adapter
+     */
+    async flush() {
+        await this.inner.flush();
+    }
+
+    /**
+     * Tell peers this instance is leaving, then close the inner adapter
+     */
+    async close() {
+        await this.broker.publish('instance:leave', { instanceId: this.broker.instanceId });
+        await this.inner.close();
+    }
+}
+
+module.exports = ClusteredStorageAdapter;
@@ -0,0 +1,51 @@
+/**
+ * Memory Storage Adapter
+ * Serves collections straight from the in-memory Maps in memoryStorage.js,
+ * or from Maps of its own when several server instances share the process
+ */
+
+const StorageAdapter = require('./StorageAdapter');
+const memoryStorage = require('../memoryStorage');
+
+class MemoryStorageAdapter extends StorageAdapter {
+    /**
+     * @param {string} name - Adapter name
+     * @param {Object} options - { isolated } use new Maps instead of the process-wide ones in memoryStorage.js
+     */
+    constructor(name = 'memory', { isolated = false } = {}) {
+        super(name);
+        this.collections = {
+            users: memoryStorage.users,
+            userSockets: memoryStorage.userSockets,
+            waitingUsers: memoryStorage.waitingUsers,
+            chats: memoryStorage.activeChats,
+            chatRooms: memoryStorage.chatRooms,
+            groupChats: memoryStorage.groupChats,
+            suspendedSessions: memoryStorage.suspendedSessions,
+            partnerHistory: memoryStorage.partnerHistory,
+            chatInvites: memoryStorage.chatInvites,
+            attachments: memoryStorage.attachments
+        };
+
+        if (isolated) {
+            Object.keys(this.collections).forEach(collectionName => {
+                this.collections[collectionName] = new Map();
+            });
+        }
+    }
+
+    /**
+     * Get a named collection
+     * @param {string} name - Collection name
+     * @returns {Map} Collection map
+     */
+    collection(name) {
+        const collection = this.collections[name];
+        if (!collection) {
+            throw new Error(`Unknown storage collection: ${name}`);
+        }
+        return collection;
+    }
+}
+
+module.exports = MemoryStorageAdapter;
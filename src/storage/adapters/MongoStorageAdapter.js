@@ -0,0 +1,136 @@
+/**
+ * MongoDB Storage Adapter
+ * Keeps the in-memory working set and persists chat sessions and group chats
+ * (with their message history) through mongoose so they survive restarts.
+ * Users and the waiting queue stay in memory since they belong to live sockets.
+ */
+
+const MemoryStorageAdapter = require('./MemoryStorageAdapter');
+const PersistentCollection = require('./PersistentCollection');
+const ChatSession = require('../../models/ChatSession');
+const Chat = require('../../models/Chat');
+const GroupChat = require('../../models/GroupChat');
+
+class MongoStorageAdapter extends MemoryStorageAdapter {
+    /**
+     * @param {Object} options - { flushDelayMs, isolated }
+     */
+    constructor(options = {}) {
+        super('mongo', { isolated: options.isolated });
+
+        const flushDelayMs = options.flushDelayMs;
+        // Per type: session ID -> Map(message ID -> JSON of the message record last written)
+        this.persistedMessages = { chat: new Map(), group: new Map() };
+
+        this.collections.chats = new PersistentCollection(this.collections.chats, {
+            persist: (id, chat) => this.saveSession('chat', chat.toRecord(), [chat.user1Id, chat.user2Id]),
+            remove: (id) => this.removeSession('chat', id),
+            removeAll: () => this.removeSessions('chat'),
+            flushDelayMs
+        });
+
+        this.collections.groupChats = new PersistentCollection(this.collections.groupChats, {
+            persist: (id, group) => this.saveSession('group', group.toRecord(), group.getMemberIds()),
+            remove: (id) => this.removeSession('group', id),
+            removeAll: () => this.removeSessions('group'),
+            flushDelayMs
+        });
+    }
+
+    /**
+     * Save a chat or group, writing only the messages added or changed since its last save
+     * @param {string} type - 'chat' or 'group'
+     * @param {Object} record - Model record including messages
+     * @param {Array} participants - Participant user IDs
+     * @returns {Promise<void>}
+     */
+    async saveSession(type, record, participants) {
+        const written = this.persistedMessages[type].get(record.id) || new Map();
+        const changed = {};
+        const serialized = new Map();
+
+        record.messages.forEach(message => {
+            const json = JSON.stringify(message);
+            serialized.set(message.id, json);
+
+            if (written.get(message.id) !== json) {
+                changed[message.id] = message;
+            }
+        });
+
+        await ChatSession.saveSession(type, record, participants, changed);
+        this.persistedMessages[type].set(record.id, serialized);
+    }
+
+    /**
+     * Remove a chat or group from MongoDB
+     * @param {string} type - 'chat' or 'group'
+     * @param {string} id - Chat or group ID
+     * @returns {Promise<void>}
+     */
+    async removeSession(type, id) {
+        this.persistedMessages[type].delete(id);
+        await ChatSession.removeSession(id);
+    }
+
+    /**
+     * Remove every chat or every group from MongoDB
+     * @param {string} type - 'chat' or 'group'
+     * @returns {Promise<void>}
+     */
+    async removeSessions(type) {
+        this.persistedMessages[type].clear();
+        await ChatSession.removeSessions(type);
+    }
+
+    /**
+     * Load persisted chats and groups into memory
+     * Sessions that were active when the server stopped are ended, since their sockets are gone
+     */
+    async init() {
+        const [chatSessions, groupSessions] = await Promise.all([
+            ChatSession.loadSessions('chat'),
+            ChatSession.loadSessions('group')
+        ]);
+
+        chatSessions.forEach(session => {
+            const chat = Chat.fromRecord(session.record);
+
+            if (chat.isActive) {
+                chat.endChat();
+                this.collections.chats.set(chat.id, chat);
+            } else {
+                this.collections.chats.load(chat.id, chat);
+            }
+
+            // Sessions are loaded oldest first, so each user ends up mapped to their latest chat
+            this.collections.chatRooms.set(chat.user1Id, chat.id);
+            this.collections.chatRooms.set(chat.user2Id, chat.id);
+        });
+
+        groupSessions.forEach(session => {
+            const group = GroupChat.fromRecord(session.record);
+
+            if (group.isActive) {
+                group.getMemberIds().forEach(memberId => group.removeMember(memberId));
+                this.collections.groupChats.set(group.id, group);
+            } else {
+                this.collections.groupChats.load(group.id, group);
+            }
+        });
+
+        console.log(`Restored ${chatSessions.length} chats and ${groupSessions.length} groups from MongoDB`);
+    }
+
+    /**
+     * Write all pending changes immediately
+     */
+    async flush() {
+        await Promise.all([
+            this.collections.chats.flush(),
+            this.collections.groupChats.flush()
+        ]);
+    }
+}
+
+module.exports = MongoStorageAdapter;
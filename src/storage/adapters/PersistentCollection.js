@@ -0,0 +1,194 @@
+/**
+ * Persistent Collection
+ * Map-like collection that keeps entries in memory and writes changes through to a backing store
+ *
+ * Writes and removals of the same entry run one after another, so a removal always lands after any
+ * write that was already in flight and a deleted entry is never written back.
+ */
+
+class PersistentCollection {
+    /**
+     * @param {Map} map - In-memory map holding the working set
+     * @param {Object} options - Persistence callbacks
+     * @param {Function} options.persist - async (id, value) => void
+     * @param {Function} options.remove - async (id) => void
+     * @param {Function} options.removeAll - async () => void
+     * @param {number} options.flushDelayMs - Delay used to batch repeated saves
+     */
+    constructor(map, { persist, remove, removeAll, flushDelayMs = 200 }) {
+        this.map = map;
+        this.persist = persist;
+        this.remove = remove;
+        this.removeAll = removeAll;
+        this.flushDelayMs = flushDelayMs;
+        this.pendingWrites = new Map(); // id -> timeout
+        this.activeWrites = new Map(); // id -> promise of the last queued write or removal
+    }
+
+    get size() {
+        return this.map.size;
+    }
+
+    get(id) {
+        return this.map.get(id);
+    }
+
+    has(id) {
+        return this.map.has(id);
+    }
+
+    values() {
+        return this.map.values();
+    }
+
+    keys() {
+        return this.map.keys();
+    }
+
+    entries() {
+        return this.map.entries();
+    }
+
+    [Symbol.iterator]() {
+        return this.map[Symbol.iterator]();
+    }
+
+    /**
+     * Store a value and schedule a write to the backing store
+     * @param {string} id - Entry ID
+     * @param {Object} value - Entry value
+     * @returns {PersistentCollection} This collection
+     */
+    set(id, value) {
+        this.map.set(id, value);
+        this.scheduleWrite(id);
+        return this;
+    }
+
+    /**
+     * Delete a value from memory and the backing store
+     * @param {string} id - Entry ID
+     * @returns {boolean} True if the entry existed in memory
+     */
+    delete(id) {
+        this.cancelWrite(id);
+        const existed = this.map.delete(id);
+
+        this.enqueue(id, () => this.remove(id).catch(error => {
+            console.error(`Failed to remove ${id} from storage: ${error.message}`);
+        }));
+
+        return existed;
+    }
+
+    /**
+     * Clear memory and the backing store
+     */
+    clear() {
+        this.pendingWrites.forEach(timeout => clearTimeout(timeout));
+        this.pendingWrites.clear();
+        this.map.clear();
+
+        Promise.all(this.activeWrites.values())
+            .then(() => this.removeAll())
+            .catch(error => {
+                console.error(`Failed to clear storage: ${error.message}`);
+            });
+    }
+
+    /**
+     * Put a value in memory without writing it (used when loading from the backing store)
+     * @param {string} id - Entry ID
+     * @param {Object} value - Entry value
+     */
+    load(id, value) {
+        this.map.set(id, value);
+    }
+
+    /**
+     * Remove a value from memory without touching the backing store (used for replicated deletes)
+     * @param {string} id - Entry ID
+     * @returns {boolean} True if the entry existed in memory
+     */
+    unload(id) {
+        this.cancelWrite(id);
+        return this.map.delete(id);
+    }
+
+    /**
+     * Schedule a batched write for an entry
+     * @param {string} id - Entry ID
+     */
+    scheduleWrite(id) {
+        if (this.pendingWrites.has(id)) return;
+
+        const timeout = setTimeout(() => this.write(id), this.flushDelayMs);
+        this.pendingWrites.set(id, timeout);
+    }
+
+    /**
+     * Cancel a pending write
+     * @param {string} id - Entry ID
+     */
+    cancelWrite(id) {
+        const timeout = this.pendingWrites.get(id);
+        if (timeout) {
+            clearTimeout(timeout);
+            this.pendingWrites.delete(id);
+        }
+    }
+
+    /**
+     * Run a write or removal of an entry after the ones already queued for it
+     * @param {string} id - Entry ID
+     * @param {Function} task - async () => void, must not reject
+     * @returns {Promise<void>}
+     */
+    enqueue(id, task) {
+        const previous = this.activeWrites.get(id) || Promise.resolve();
+        const current = previous.then(task);
+
+        this.activeWrites.set(id, current);
+        current.then(() => {
+            if (this.activeWrites.get(id) === current) {
+                this.activeWrites.delete(id);
+            }
+        });
+
+        return current;
+    }
+
+    /**
+     * Write the current value of an entry to the backing store
+     * The value is read when the write starts, so an entry deleted meanwhile is skipped
+     * @param {string} id - Entry ID
+     * @returns {Promise<void>}
+     */
+    write(id) {
+        this.pendingWrites.delete(id);
+
+        return this.enqueue(id, async () => {
+            const value = this.map.get(id);
+            if (!value) return;
+
+            try {
+                await this.persist(id, value);
+            } catch (error) {
+                console.error(`Failed to persist ${id}: ${error.message}`);
+            }
+        });
+    }
+
+    /**
+     * Write all pending entries immediately and wait for writes in flight
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        const ids = Array.from(this.pendingWrites.keys());
+        ids.forEach(id => clearTimeout(this.pendingWrites.get(id)));
+        ids.forEach(id => this.write(id));
+        await Promise.all(this.activeWrites.values());
+    }
+}
+
+module.exports = PersistentCollection;
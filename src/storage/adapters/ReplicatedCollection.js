@@ -0,0 +1,293 @@
+/**
+ * Replicated Collection
+ * Map-like collection that mirrors local changes to other server instances through the cluster broker
+ * and applies changes published by them
+ *
+ * Every published record carries a version, so a stale record (e.g. a sync answer overtaken by a newer
+ * change) never overwrites a newer one. Collections with a delta field (the messages of chats and groups)
+ * publish only the items that changed and merge the items they receive, so messages sent at the same
+ * time on two instances both survive.
+ */
+
+class ReplicatedCollection {
+    /**
+     * @param {Map|Object} collection - Underlying Map-like collection
+     * @param {Object} options - Replication options
+     * @param {string} options.name - Collection name (used in broker messages)
+     * @param {ClusterBroker} options.broker - Cluster broker
+     * @param {Function} options.serialize - value => JSON serializable record
+     * @param {Function} options.deserialize - record => value
+     * @param {string|null} options.deltaField - Record field holding items ({ id, timestamp }) published as deltas
+     */
+    constructor(collection, { name, broker, serialize, deserialize, deltaField = null }) {
+        this.collection = collection;
+        this.name = name;
+        this.broker = broker;
+        this.serialize = serialize;
+        this.deserialize = deserialize;
+        this.deltaField = deltaField;
+        this.pendingIds = new Set();
+        this.flushScheduled = false;
+        this.versions = new Map(); // id -> { version, origin } of the record held here
+        this.publishedItems = new Map(); // id -> Map(item ID -> JSON last published or received)
+    }
+
+    get size() {
+        return this.collection.size;
+    }
+
+    get(id) {
+        return this.collection.get(id);
+    }
+
+    has(id) {
+        return this.collection.has(id);
+    }
+
+    values() {
+        return this.collection.values();
+    }
+
+    keys() {
+        return this.collection.keys();
+    }
+
+    entries() {
+        return this.collection.entries();
+    }
+
+    [Symbol.iterator]() {
+        return this.collection[Symbol.iterator]();
+    }
+
+    /**
+     * Store a value and replicate it
+     * Repeated saves within the same tick are published once with the latest state
+     * @param {string} id - Entry ID
+     * @param {Object} value - Entry value
+     * @returns {ReplicatedCollection} This collection
+     */
+    set(id, value) {
+        this.collection.set(id, value);
+        this.pendingIds.add(id);
+        this.scheduleFlush();
+        return this;
+    }
+
+    /**
+     * Delete a value and replicate the deletion
+     * @param {string} id - Entry ID
+     * @returns {boolean} True if the entry existed
+     */
+    delete(id) {
+        this.forget(id);
+        const existed = this.collection.delete(id);
+        this.broker.publish('storage', { op: 'delete', collection: this.name, id });
+        return existed;
+    }
+
+    /**
+     * Clear the collection on every instance
+     */
+    clear() {
+        this.pendingIds.clear();
+        this.versions.clear();
+        this.publishedItems.clear();
+        this.collection.clear();
+        this.broker.publish('storage', { op: 'clear', collection: this.name });
+    }
+
+    /**
+     * Publish pending changes on the next tick
+     */
+    scheduleFlush() {
+        if (this.flushScheduled) return;
+
+        this.flushScheduled = true;
+        setImmediate(() => {
+            this.flushScheduled = false;
+            this.flush();
+        });
+    }
+
+    /**
+     * Publish the latest state of every pending entry
+     */
+    flush() {
+        const ids = Array.from(this.pendingIds);
+        this.pendingIds.clear();
+
+        ids.forEach(id => {
+            const value = this.collection.get(id);
+            if (value !== undefined) {
+                const current = this.versions.get(id);
+                this.versions.set(id, {
+                    version: (current ? current.version : 0) + 1,
+                    origin: this.broker.instanceId
+                });
+                this.publishEntry(id, value);
+            }
+        });
+    }
+
+    /**
+     * Publish one entry at its current version
+     * @param {string} id - Entry ID
+     * @param {Object} value - Entry value
+     * @param {boolean} full - Publish every delta item, not just the changed ones
+     */
+    publishEntry(id, value, full = false) {
+        const current = this.versions.get(id);
+        const record = this.serialize(value);
+        const change = {
+            op: 'set',
+            collection: this.name,
+            id,
+            version: current ? current.version : 0,
+            record
+        };
+
+        if (this.deltaField) {
+            const items = record[this.deltaField] || [];
+            const published = this.publishedItems.get(id) || new Map();
+            const serialized = new Map(items.map(item => [item.id, JSON.stringify(item)]));
+
+            change.record = { ...record };
+            delete change.record[this.deltaField];
+            change.items = full ? items : items.filter(item => published.get(item.id) !== serialized.get(item.id));
+
+            this.publishedItems.set(id, serialized);
+        }
+
+        this.broker.publish('storage', change);
+    }
+
+    /**
+     * Publish every entry (answers a sync request from a new instance)
+     */
+    publishAll() {
+        for (const [id, value] of this.collection.entries()) {
+            this.publishEntry(id, value, true);
+        }
+    }
+
+    /**
+     * Check whether a published version is newer than the one held here
+     * Equal versions (changed on two instances at once) are settled by instance ID, the same way everywhere
+     * @param {Object} incoming - { version, origin }
+     * @param {Object|undefined} current - { version, origin } held here
+     * @returns {boolean} True if the incoming record should replace ours
+     */
+    isNewer(incoming, current) {
+        if (!current) return true;
+        if (incoming.version !== current.version) return incoming.version > current.version;
+        return incoming.origin > current.origin;
+    }
+
+    /**
+     * Apply a change published by another instance without re-publishing it
+     * @param {Object} change - { op, id, version, record, items }
+     * @param {string} origin - Instance that published the change
+     */
+    applyRemote(change, origin) {
+        switch (change.op) {
+            case 'set': {
+                const incoming = { version: change.version || 0, origin };
+                const isNewer = this.isNewer(incoming, this.versions.get(change.id));
+
+                let record = change.record;
+                if (this.deltaField) {
+                    // Changed items always apply; the other fields only if the record is newer
+                    const local = this.collection.get(change.id);
+                    const localRecord = local !== undefined ? this.serialize(local) : null;
+                    const base = isNewer || !localRecord ? change.record : localRecord;
+
+                    record = {
+                        ...base,
+                        [this.deltaField]: this.mergeItems(localRecord ? localRecord[this.deltaField] : [], change.items)
+                    };
+                    this.rememberItems(change.id, change.items);
+                } else if (!isNewer) {
+                    break;
+                }
+
+                if (isNewer) {
+                    this.versions.set(change.id, incoming);
+                }
+                this.loadLocal(change.id, this.deserialize(record));
+                break;
+            }
+            case 'delete':
+                this.removeLocal(change.id);
+                break;
+            case 'clear':
+                Array.from(this.collection.keys()).forEach(id => this.removeLocal(id));
+                break;
+            default:
+                console.warn(`Unknown replication op "${change.op}" for ${this.name}`);
+        }
+    }
+
+    /**
+     * Merge received delta items into the items held here
+     * @param {Array} localItems - Items held here
+     * @param {Array} changedItems - Items added or changed on another instance
+     * @returns {Array} Merged items, oldest first
+     */
+    mergeItems(localItems = [], changedItems = []) {
+        const items = new Map(localItems.map(item => [item.id, item]));
+        changedItems.forEach(item => items.set(item.id, item));
+
+        return Array.from(items.values())
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    }
+
+    /**
+     * Record received delta items as published, so they are not sent back with our next change
+     * @param {string} id - Entry ID
+     * @param {Array} items - Received items
+     */
+    rememberItems(id, items = []) {
+        const published = this.publishedItems.get(id) || new Map();
+        items.forEach(item => published.set(item.id, JSON.stringify(item)));
+        this.publishedItems.set(id, published);
+    }
+
+    /**
+     * Put a value in the underlying collection without persisting it again
+     * @param {string} id - Entry ID
+     * @param {Object} value - Entry value
+     */
+    loadLocal(id, value) {
+        if (typeof this.collection.load === 'function') {
+            this.collection.load(id, value);
+        } else {
+            this.collection.set(id, value);
+        }
+    }
+
+    /**
+     * Drop the replication state of an entry
+     * @param {string} id - Entry ID
+     */
+    forget(id) {
+        this.pendingIds.delete(id);
+        this.versions.delete(id);
+        this.publishedItems.delete(id);
+    }
+
+    /**
+     * Remove an entry locally without replicating (or persisting) the deletion
+     * @param {string} id - Entry ID
+     */
+    removeLocal(id) {
+        this.forget(id);
+        if (typeof this.collection.unload === 'function') {
+            this.collection.unload(id);
+        } else {
+            this.collection.delete(id);
+        }
+    }
+}
+
+module.exports = ReplicatedCollection;
@@ -0,0 +1,48 @@
+/**
+ * Storage Adapter
+ * Base interface the repositories depend on
+ *
+ * An adapter exposes named collections with a Map-like API
+ * (get, set, has, delete, values, keys, clear, size) so repositories
+ * stay synchronous regardless of where the data is persisted.
+ *
+ * Collections: users, userSockets, waitingUsers, chats, chatRooms, groupChats, suspendedSessions, partnerHistory,
+ * chatInvites, attachments
+ */
+
+class StorageAdapter {
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Load persisted state before the server accepts connections
+     * @returns {Promise<void>}
+     */
+    async init() {}
+
+    /**
+     * Get a named collection
+     * @param {string} name - Collection name
+     * @returns {Map|Object} Map-like collection
+     */
+    collection(name) {
+        throw new Error(`${this.constructor.name} does not implement collection(${name})`);
+    }
+
+    /**
+     * Flush pending writes (for graceful shutdown)
+     * @returns {Promise<void>}
+     */
+    async flush() {}
+
+    /**
+     * Release resources on shutdown (flushes pending writes by default)
+     * @returns {Promise<void>}
+     */
+    async close() {
+        await this.flush();
+    }
+}
+
+module.exports = StorageAdapter;
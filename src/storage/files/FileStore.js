@@ -0,0 +1,61 @@
+/**
+ * File Store
+ * Base interface for where attachment contents are kept
+ *
+ * Files are addressed by a key of the form "<prefix>/<name>"; the prefix groups the files of one
+ * chat or group so they can be removed together. Implementations: LocalFileStore (disk).
+ * Remote backends (e.g. S3-compatible object storage) only need to implement these methods.
+ */
+
+class FileStore {
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Store a file
+     * @param {string} key - File key
+     * @param {Buffer} data - File contents
+     * @returns {Promise<void>}
+     */
+    async write(key, data) {
+        throw new Error(`${this.constructor.name} does not implement write(${key})`);
+    }
+
+    /**
+     * Open a stored file for reading
+     * @param {string} key - File key
+     * @returns {Promise<Readable|null>} Stream of the contents or null if the file does not exist
+     */
+    async createReadStream(key) {
+        throw new Error(`${this.constructor.name} does not implement createReadStream(${key})`);
+    }
+
+    /**
+     * Delete a stored file
+     * @param {string} key - File key
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+        throw new Error(`${this.constructor.name} does not implement delete(${key})`);
+    }
+
+    /**
+     * Delete every file stored under a prefix
+     * @param {string} prefix - Key prefix (chat or group ID)
+     * @returns {Promise<void>}
+     */
+    async deletePrefix(prefix) {
+        throw new Error(`${this.constructor.name} does not implement deletePrefix(${prefix})`);
+    }
+
+    /**
+     * List the prefixes that have files stored under them
+     * @returns {Promise<Array>} Prefixes
+     */
+    async listPrefixes() {
+        throw new Error(`${this.constructor.name} does not implement listPrefixes()`);
+    }
+}
+
+module.exports = FileStore;
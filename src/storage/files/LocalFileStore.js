@@ -0,0 +1,97 @@
+/**
+ * Local File Store
+ * Keeps attachment contents on this instance's disk, one directory per prefix
+ *
+ * Files are only readable through instances that see the same directory, so with CLUSTER_MODE=redis
+ * the directory must be on a shared volume (ATTACHMENT_DIR_SHARED=true); see the store factory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const FileStore = require('./FileStore');
+
+class LocalFileStore extends FileStore {
+    /**
+     * @param {string} rootDir - Directory files are written to
+     */
+    constructor(rootDir) {
+        super('local');
+        this.rootDir = path.resolve(rootDir);
+    }
+
+    /**
+     * Store a file
+     * @param {string} key - File key
+     * @param {Buffer} data - File contents
+     * @returns {Promise<void>}
+     */
+    async write(key, data) {
+        const filePath = this.resolve(key);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, data);
+    }
+
+    /**
+     * Open a stored file for reading
+     * @param {string} key - File key
+     * @returns {Promise<Readable|null>} Stream of the contents or null if the file does not exist
+     */
+    async createReadStream(key) {
+        const filePath = this.resolve(key);
+
+        try {
+            await fs.promises.access(filePath, fs.constants.R_OK);
+        } catch (error) {
+            return null;
+        }
+
+        return fs.createReadStream(filePath);
+    }
+
+    /**
+     * Delete a stored file
+     * @param {string} key - File key
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+        await fs.promises.rm(this.resolve(key), { force: true });
+    }
+
+    /**
+     * Delete every file stored under a prefix
+     * @param {string} prefix - Key prefix (chat or group ID)
+     * @returns {Promise<void>}
+     */
+    async deletePrefix(prefix) {
+        await fs.promises.rm(this.resolve(prefix), { recursive: true, force: true });
+    }
+
+    /**
+     * List the prefixes that have files stored under them
+     * @returns {Promise<Array>} Prefixes
+     */
+    async listPrefixes() {
+        try {
+            const entries = await fs.promises.readdir(this.rootDir, { withFileTypes: true });
+            return entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    /**
+     * Map a key to a path inside the root directory
+     * @param {string} key - File key or prefix
+     * @returns {string} Absolute path
+     */
+    resolve(key) {
+        const filePath = path.resolve(this.rootDir, key);
+        if (!filePath.startsWith(this.rootDir + path.sep)) {
+            throw new Error(`Invalid file key: ${key}`);
+        }
+        return filePath;
+    }
+}
+
+module.exports = LocalFileStore;
@@ -0,0 +1,46 @@
+/**
+ * File store factory
+ * Returns the shared store selected by the attachment configuration
+ */
+
+const attachmentsConfig = require('../../config/attachments');
+const clusterConfig = require('../../config/cluster');
+
+let store = null;
+
+/**
+ * Create the store for the configured driver
+ * @returns {FileStore} File store
+ */
+function createFileStore() {
+    switch (attachmentsConfig.driver) {
+        case 'local': {
+            // Attachment records are replicated, so a file only on the uploading instance's disk
+            // could not be downloaded or deleted through the others
+            if (clusterConfig.mode === 'redis' && !attachmentsConfig.uploadDirShared) {
+                throw new Error('CLUSTER_MODE=redis needs an upload directory shared by every instance: '
+                    + 'mount ATTACHMENT_DIR on a shared volume and set ATTACHMENT_DIR_SHARED=true');
+            }
+
+            const LocalFileStore = require('./LocalFileStore');
+            return new LocalFileStore(attachmentsConfig.uploadDir);
+        }
+        default:
+            throw new Error(`Unknown attachment store: ${attachmentsConfig.driver}`);
+    }
+}
+
+/**
+ * Get the shared file store
+ * @returns {FileStore} File store
+ */
+function getFileStore() {
+    if (!store) {
+        store = createFileStore();
+    }
+    return store;
+}
+
+module.exports = {
+    getFileStore
+};
@@ -0,0 +1,69 @@
+/**
+ * Storage adapter factory
+ * Returns the adapter of the running server instance, or the shared adapter selected by the storage configuration
+ */
+
+const storageConfig = require('../config/storage');
+const { getClusterBroker } = require('../cluster');
+const { getCurrentInstance } = require('../cluster/instanceContext');
+
+let adapter = null;
+
+/**
+ * Create the adapter for the configured driver
+ * @param {Object} options - { isolated } keep data apart from other adapters in this process
+ * @returns {StorageAdapter} Storage adapter
+ */
+function createDriverAdapter({ isolated = false } = {}) {
+    switch (storageConfig.driver) {
+        case 'mongo': {
+            const MongoStorageAdapter = require('./adapters/MongoStorageAdapter');
+            return new MongoStorageAdapter({ flushDelayMs: storageConfig.flushDelayMs, isolated });
+        }
+        case 'memory': {
+            const MemoryStorageAdapter = require('./adapters/MemoryStorageAdapter');
+            return new MemoryStorageAdapter('memory', { isolated });
+        }
+        default:
+            throw new Error(`Unknown storage driver: ${storageConfig.driver}`);
+    }
+}
+
+/**
+ * Create a storage adapter for a server instance
+ * Its state is shared with the other instances when the broker is distributed
+ * @param {ClusterBroker} broker - Broker of the instance
+ * @param {Object} options - { isolated } keep data apart from other adapters in this process
+ * @returns {StorageAdapter} Storage adapter
+ */
+function createStorageAdapter(broker = getClusterBroker(), options = {}) {
+    const driverAdapter = createDriverAdapter(options);
+
+    if (broker.isDistributed) {
+        const ClusteredStorageAdapter = require('./adapters/ClusteredStorageAdapter');
+        return new ClusteredStorageAdapter(driverAdapter, broker);
+    }
+    return driverAdapter;
+}
+
+/**
+ * Get the storage adapter of the running server instance
+ * Falls back to the shared adapter when the code does not belong to an instance with its own
+ * @returns {StorageAdapter} Storage adapter
+ */
+function getStorageAdapter() {
+    const instance = getCurrentInstance();
+    if (instance && instance.storage) {
+        return instance.storage;
+    }
+
+    if (!adapter) {
+        adapter = createStorageAdapter(getClusterBroker());
+    }
+    return adapter;
+}
+
+module.exports = {
+    createStorageAdapter,
+    getStorageAdapter
+};
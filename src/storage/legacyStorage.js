@@ -0,0 +1,229 @@
+/**
+ * Legacy storage helpers (deprecated)
+ * Compatibility shim for the socket-keyed helpers and maps memoryStorage.js exported before users and
+ * groups moved behind repositories. Everything here reads and writes the User and GroupChat instances
+ * of the configured storage adapter, so old callers see the same data as the controllers.
+ *
+ * Use UserController / GroupChatController (or the repositories) in new code.
+ */
+
+const util = require('util');
+const GroupChat = require('../models/GroupChat');
+const UserRepository = require('../repositories/UserRepository');
+const GroupChatRepository = require('../repositories/GroupChatRepository');
+
+/**
+ * Mark a helper as deprecated (Node prints the warning once per helper)
+ * @param {Function} helper - Helper implementation
+ * @param {string} name - Helper name
+ * @param {string} replacement - What to use instead
+ * @returns {Function} Deprecated helper
+ */
+function deprecated(helper, name, replacement) {
+    return util.deprecate(helper, `memoryStorage.${name} is deprecated, use ${replacement} instead`);
+}
+
+/**
+ * Get the user bound to a socket
+ * @param {string} socketId - Socket connection ID
+ * @returns {User|null} User instance or null if the socket is not registered
+ */
+function findUser(socketId) {
+    return new UserRepository().findBySocketId(socketId);
+}
+
+/**
+ * Users are created when their device registers, so this only returns the registered user
+ * @param {string} socketId - Socket connection ID
+ * @returns {User|null} User instance or null if the socket is not registered
+ */
+function initializeUser(socketId) {
+    return findUser(socketId);
+}
+
+/**
+ * Unbind a socket from its user
+ * @param {string} socketId - Socket connection ID
+ */
+function cleanupUser(socketId) {
+    new UserRepository().unbindSocket(socketId);
+}
+
+/**
+ * Get user profile by socket ID
+ * @param {string} socketId - Socket connection ID
+ * @returns {Object|null} User profile or null if not found
+ */
+function getUserProfile(socketId) {
+    const user = findUser(socketId);
+    return user ? user.profile : null;
+}
+
+/**
+ * Update user profile data
+ * @param {string} socketId - Socket connection ID
+ * @param {Object} profileData - New profile data
+ * @returns {Object|boolean} Updated profile or false if not found
+ */
+function updateUserProfile(socketId, profileData) {
+    const user = findUser(socketId);
+    if (!user) return false;
+
+    const profile = user.updateProfile(profileData);
+    new UserRepository().save(user);
+    return profile;
+}
+
+/**
+ * Update user preferences
+ * @param {string} socketId - Socket connection ID
+ * @param {Object} preferences - New preferences
+ * @returns {Object|boolean} Updated preferences or false if not found
+ */
+function updateUserPreferences(socketId, preferences) {
+    const user = findUser(socketId);
+    if (!user) return false;
+
+    const updatedPreferences = user.updatePreferences(preferences);
+    new UserRepository().save(user);
+    return updatedPreferences;
+}
+
+/**
+ * Get group chat by ID
+ * @param {string} groupId - Group chat ID
+ * @returns {GroupChat|null} Group or null if not found
+ */
+function getGroupChat(groupId) {
+    return new GroupChatRepository().findById(groupId);
+}
+
+/**
+ * Create a new group chat
+ * @param {string} groupId - Group chat ID
+ * @returns {GroupChat} Created group
+ */
+function createGroupChat(groupId) {
+    const group = new GroupChat();
+    group.id = groupId;
+    return new GroupChatRepository().save(group);
+}
+
+/**
+ * Add user to group chat
+ * @param {string} groupId - Group chat ID
+ * @param {string} socketId - Socket connection ID
+ * @returns {boolean} Success status
+ */
+function addUserToGroup(groupId, socketId) {
+    const groupRepository = new GroupChatRepository();
+    const group = groupRepository.findById(groupId);
+    const user = findUser(socketId);
+
+    if (!group || !user || !group.addMember(user.id)) {
+        return false;
+    }
+
+    user.setInGroup(true);
+    groupRepository.save(group);
+    new UserRepository().save(user);
+    return true;
+}
+
+/**
+ * Remove user from group chat
+ * @param {string} socketId - Socket connection ID
+ * @returns {string|null} Group ID user was removed from
+ */
+function removeUserFromGroup(socketId) {
+    const user = findUser(socketId);
+    if (!user) return null;
+
+    const groupRepository = new GroupChatRepository();
+    const group = groupRepository.findByMember(user.id);
+    if (!group) return null;
+
+    group.removeMember(user.id);
+    if (group.getMemberCount() === 0) {
+        groupRepository.delete(group.id);
+    } else {
+        groupRepository.save(group);
+    }
+
+    user.setInGroup(false);
+    new UserRepository().save(user);
+    return group.id;
+}
+
+/**
+ * Find available group with space
+ * @returns {string|null} Group ID with available space or null
+ */
+function findAvailableGroup() {
+    const group = new GroupChatRepository().findAll(true).find(candidate => candidate.hasSpace());
+    return group ? group.id : null;
+}
+
+/**
+ * Build the old socketId -> profile map
+ * @returns {Map} Snapshot of connected users' profiles
+ */
+function getUserProfiles() {
+    const userRepository = new UserRepository();
+    const profiles = new Map();
+
+    userRepository.findAll()
+        .filter(user => user.socketId)
+        .forEach(user => profiles.set(user.socketId, user.profile));
+
+    return profiles;
+}
+
+/**
+ * Build the old socketId -> groupId map
+ * @returns {Map} Snapshot of connected users' groups
+ */
+function getGroupRooms() {
+    const userRepository = new UserRepository();
+    const rooms = new Map();
+
+    new GroupChatRepository().findAll(true).forEach(group => {
+        group.getMemberIds().forEach(userId => {
+            const user = userRepository.findById(userId);
+            if (user && user.socketId) {
+                rooms.set(user.socketId, group.id);
+            }
+        });
+    });
+
+    return rooms;
+}
+
+/**
+ * Build the old group waiting map
+ * Groups are joined immediately, so nobody ever waits for one
+ * @returns {Map} Empty map
+ */
+function getWaitingForGroup() {
+    return new Map();
+}
+
+module.exports = {
+    // Helpers
+    initializeUser: deprecated(initializeUser, 'initializeUser', 'UserController.connectUser'),
+    cleanupUser: deprecated(cleanupUser, 'cleanupUser', 'UserController.disconnectSocket'),
+    getUser: deprecated(findUser, 'getUser', 'UserController.getUser'),
+    getUserProfile: deprecated(getUserProfile, 'getUserProfile', 'UserController.getUserProfileData'),
+    updateUserProfile: deprecated(updateUserProfile, 'updateUserProfile', 'UserController.updateUserProfile'),
+    updateUserPreferences: deprecated(updateUserPreferences, 'updateUserPreferences', 'UserController.updateUserPreferences'),
+    getGroupChat: deprecated(getGroupChat, 'getGroupChat', 'GroupChatRepository.findById'),
+    createGroupChat: deprecated(createGroupChat, 'createGroupChat', 'GroupChatController.joinGroupChat'),
+    addUserToGroup: deprecated(addUserToGroup, 'addUserToGroup', 'GroupChatController.joinGroupChat'),
+    removeUserFromGroup: deprecated(removeUserFromGroup, 'removeUserFromGroup', 'GroupChatController.leaveGroupChat'),
+    findAvailableGroup: deprecated(findAvailableGroup, 'findAvailableGroup', 'GroupChatController.findAvailableGroup'),
+
+    // Map snapshots
+    getUserProfiles: deprecated(getUserProfiles, 'userProfiles', 'User.profile'),
+    getGroupRooms: deprecated(getGroupRooms, 'groupRooms', 'GroupChatRepository.findByMember'),
+    getWaitingForGroup: deprecated(getWaitingForGroup, 'waitingForGroup', 'GroupChatController.joinGroupChat')
+};
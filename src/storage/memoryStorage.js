@@ -1,193 +1,23 @@
 /**
  * In-memory storage for user data, chat sessions, and profiles
  * This module centralizes all data storage operations for MVC architecture
+ *
+ * The socket-keyed legacy helpers and maps are kept for old callers only; see legacyStorage.js
  */
 
+const legacyStorage = require('./legacyStorage');
+
 // Core data storage maps
-const users = new Map(); // socketId -> User instance
-const waitingUsers = new Map(); // socketId -> user preferences for matching
+const users = new Map(); // userId -> User instance
+const userSockets = new Map(); // socketId -> userId (sockets connected to this instance)
+const waitingUsers = new Map(); // userId -> user preferences for matching
 const activeChats = new Map(); // chatId -> Chat instance
-const chatRooms = new Map(); // socketId -> chatId (for backward compatibility)
-const userProfiles = new Map(); // socketId -> profile data (for backward compatibility)
+const chatRooms = new Map(); // userId -> chatId (for backward compatibility)
 const groupChats = new Map(); // groupId -> GroupChat instance
-
-// Legacy group storage (for backward compatibility)
-const groupRooms = new Map(); // socketId -> groupId
-const waitingForGroup = new Map(); // socketId -> {joinedAt: Date, preferences: {}}
-
-/**
- * Initialize a new user in storage
- * @param {string} socketId - Socket connection ID
- */
-function initializeUser(socketId) {
-    // Store basic user info
-    users.set(socketId, {
-        id: socketId,
-        connectedAt: new Date(),
-        isInChat: false,
-        isInGroup: false,
-        preferences: { preferredGender: 'any' }
-    });
-
-    // Initialize empty profile
-    userProfiles.set(socketId, {
-        name: null,
-        gender: null,
-        avatar: null,
-        isProfileComplete: false
-    });
-}
-
-/**
- * Clean up all user data on disconnect
- * @param {string} socketId - Socket connection ID
- */
-function cleanupUser(socketId) {
-    waitingUsers.delete(socketId);
-    waitingForGroup.delete(socketId);
-    users.delete(socketId);
-    userProfiles.delete(socketId);
-    chatRooms.delete(socketId);
-    groupRooms.delete(socketId);
-}
-
-/**
- * Get user data by socket ID
- * @param {string} socketId - Socket connection ID
- * @returns {Object|null} User data or null if not found
- */
-function getUser(socketId) {
-    return users.get(socketId);
-}
-
-/**
- * Get user profile by socket ID
- * @param {string} socketId - Socket connection ID
- * @returns {Object|null} User profile or null if not found
- */
-function getUserProfile(socketId) {
-    return userProfiles.get(socketId);
-}
-
-/**
- * Update user profile data
- * @param {string} socketId - Socket connection ID
- * @param {Object} profileData - New profile data
- */
-function updateUserProfile(socketId, profileData) {
-    const currentProfile = userProfiles.get(socketId);
-    if (!currentProfile) return false;
-
-    const updatedProfile = {
-        name: profileData.name !== undefined ? profileData.name : currentProfile.name,
-        gender: profileData.gender !== undefined ? profileData.gender : currentProfile.gender,
-        avatar: profileData.avatar !== undefined ? profileData.avatar : currentProfile.avatar,
-        isProfileComplete: true
-    };
-
-    userProfiles.set(socketId, updatedProfile);
-    return updatedProfile;
-}
-
-/**
- * Update user preferences
- * @param {string} socketId - Socket connection ID
- * @param {Object} preferences - New preferences
- */
-function updateUserPreferences(socketId, preferences) {
-    const user = users.get(socketId);
-    if (!user) return false;
-
-    user.preferences = { ...user.preferences, ...preferences };
-    return user.preferences;
-}
-
-/**
- * Get group chat by ID
- * @param {string} groupId - Group chat ID
- * @returns {Object|null} Group data or null if not found
- */
-function getGroupChat(groupId) {
-    return groupChats.get(groupId);
-}
-
-/**
- * Create a new group chat
- * @param {string} groupId - Group chat ID
- * @returns {Object} Created group data
- */
-function createGroupChat(groupId) {
-    const groupData = {
-        id: groupId,
-        members: [],
-        createdAt: new Date(),
-        maxMembers: 6
-    };
-    groupChats.set(groupId, groupData);
-    return groupData;
-}
-
-/**
- * Add user to group chat
- * @param {string} groupId - Group chat ID
- * @param {string} socketId - Socket connection ID
- * @returns {boolean} Success status
- */
-function addUserToGroup(groupId, socketId) {
-    const group = groupChats.get(groupId);
-    const user = users.get(socketId);
-
-    if (!group || !user || group.members.length >= group.maxMembers) {
-        return false;
-    }
-
-    group.members.push(socketId);
-    user.isInGroup = true;
-    groupRooms.set(socketId, groupId);
-    return true;
-}
-
-/**
- * Remove user from group chat
- * @param {string} socketId - Socket connection ID
- * @returns {string|null} Group ID user was removed from
- */
-function removeUserFromGroup(socketId) {
-    const groupId = groupRooms.get(socketId);
-    if (!groupId) return null;
-
-    const group = groupChats.get(groupId);
-    const user = users.get(socketId);
-
-    if (group) {
-        group.members = group.members.filter(memberId => memberId !== socketId);
-
-        // Delete group if empty
-        if (group.members.length === 0) {
-            groupChats.delete(groupId);
-        }
-    }
-
-    if (user) {
-        user.isInGroup = false;
-    }
-
-    groupRooms.delete(socketId);
-    return groupId;
-}
-
-/**
- * Find available group with space
- * @returns {string|null} Group ID with available space or null
- */
-function findAvailableGroup() {
-    for (const [groupId, group] of groupChats) {
-        if (group.members.length < group.maxMembers) {
-            return groupId;
-        }
-    }
-    return null;
-}
+const suspendedSessions = new Map(); // userId -> session kept open while the device reconnects
+const partnerHistory = new Map(); // deviceId -> recent and blocked partners
+const chatInvites = new Map(); // inviteId -> pending invitation to a private chat with a friend
+const attachments = new Map(); // attachmentId -> uploaded file shared in a chat or group
 
 /**
  * Storage statistics for monitoring
@@ -195,11 +25,15 @@ function findAvailableGroup() {
 function getStorageStats() {
     return {
         users: users.size,
+        userSockets: userSockets.size,
         waitingUsers: waitingUsers.size,
         activeChats: activeChats.size,
         groupChats: groupChats.size,
         chatRooms: chatRooms.size,
-        userProfiles: userProfiles.size,
+        suspendedSessions: suspendedSessions.size,
+        partnerHistory: partnerHistory.size,
+        chatInvites: chatInvites.size,
+        attachments: attachments.size,
         timestamp: new Date()
     };
 }
@@ -209,13 +43,15 @@ function getStorageStats() {
  */
 function clearAllStorage() {
     users.clear();
+    userSockets.clear();
     waitingUsers.clear();
     activeChats.clear();
     chatRooms.clear();
-    userProfiles.clear();
     groupChats.clear();
-    groupRooms.clear();
-    waitingForGroup.clear();
+    suspendedSessions.clear();
+    partnerHistory.clear();
+    chatInvites.clear();
+    attachments.clear();
 
     console.log('All storage cleared');
 }
@@ -223,30 +59,37 @@ function clearAllStorage() {
 module.exports = {
     // Primary storage maps (used by repositories)
     users,
+    userSockets,
     waitingUsers,
     activeChats,
     chatRooms,
-    userProfiles,
     groupChats,
-
-    // Legacy storage (for backward compatibility)
-    groupRooms,
-    waitingForGroup,
-
-    // Legacy helper functions (deprecated - use controllers instead)
-    initializeUser,
-    cleanupUser,
-    getUser,
-    getUserProfile,
-    updateUserProfile,
-    updateUserPreferences,
-    getGroupChat,
-    createGroupChat,
-    addUserToGroup,
-    removeUserFromGroup,
-    findAvailableGroup,
+    suspendedSessions,
+    partnerHistory,
+    chatInvites,
+    attachments,
+
+    // Legacy helper functions (deprecated shims over the repositories - use controllers instead)
+    initializeUser: legacyStorage.initializeUser,
+    cleanupUser: legacyStorage.cleanupUser,
+    getUser: legacyStorage.getUser,
+    getUserProfile: legacyStorage.getUserProfile,
+    updateUserProfile: legacyStorage.updateUserProfile,
+    updateUserPreferences: legacyStorage.updateUserPreferences,
+    getGroupChat: legacyStorage.getGroupChat,
+    createGroupChat: legacyStorage.createGroupChat,
+    addUserToGroup: legacyStorage.addUserToGroup,
+    removeUserFromGroup: legacyStorage.removeUserFromGroup,
+    findAvailableGroup: legacyStorage.findAvailableGroup,
 
     // Utility functions
     getStorageStats,
     clearAllStorage
-};
\ No newline at end of file
+};
+
+// Legacy socket-keyed maps (deprecated), rebuilt from the repositories on every access
+Object.defineProperties(module.exports, {
+    userProfiles: { enumerable: true, get: legacyStorage.getUserProfiles },
+    groupRooms: { enumerable: true, get: legacyStorage.getGroupRooms },
+    waitingForGroup: { enumerable: true, get: legacyStorage.getWaitingForGroup }
+});
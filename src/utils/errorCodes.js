@@ -0,0 +1,15 @@
+/**
+ * Socket error codes
+ * Sent as the `code` field of structured `error` events so clients can react without parsing messages
+ */
+
+const ERROR_CODES = Object.freeze({
+    GENERAL_ERROR: 'GENERAL_ERROR',
+    UNAUTHORIZED: 'UNAUTHORIZED',
+    INVALID_DEVICE_ID: 'INVALID_DEVICE_ID',
+    DEVICE_NOT_REGISTERED: 'DEVICE_NOT_REGISTERED',
+    REGISTRATION_TIMEOUT: 'REGISTRATION_TIMEOUT',
+    SERVICE_UNAVAILABLE: 'SERVICE_UNAVAILABLE' // Temporary failure; the request can be sent again
+});
+
+module.exports = ERROR_CODES;
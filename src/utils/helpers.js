@@ -70,6 +70,66 @@ function isValidPreference(preference) {
     return validPreferences.includes(preference);
 }
 
+/**
+ * Validate language input
+ * @param {string} language - Language code to validate
+ * @param {Array} supportedLanguages - Allowed language codes
+ * @returns {boolean} True if valid language
+ */
+function isValidLanguage(language, supportedLanguages) {
+    return typeof language === 'string' && supportedLanguages.includes(language.trim().toLowerCase());
+}
+
+/**
+ * Validate region input (two-letter country code)
+ * @param {string} region - Region to validate
+ * @returns {boolean} True if valid region
+ */
+function isValidRegion(region) {
+    return typeof region === 'string' && /^[a-z]{2}$/i.test(region.trim());
+}
+
+/**
+ * Validate a client-supplied message idempotency key
+ * @param {string} clientMessageId - Key to validate
+ * @param {number} maxLength - Maximum key length
+ * @returns {boolean} True if valid key
+ */
+function isValidClientMessageId(clientMessageId, maxLength = 64) {
+    return typeof clientMessageId === 'string' && clientMessageId.length > 0 && clientMessageId.length <= maxLength;
+}
+
+/**
+ * Parse a duration in milliseconds from an environment value
+ * @param {string} value - Raw environment value
+ * @param {number} fallback - Duration to use when value is missing, invalid or below the minimum
+ * @param {number} minimum - Smallest accepted duration (0 lets the setting disable a feature)
+ * @returns {number} Duration in milliseconds
+ */
+function parseDuration(value, fallback, minimum = 0) {
+    const duration = parseInt(value, 10);
+    return Number.isFinite(duration) && duration >= minimum ? duration : fallback;
+}
+
+/**
+ * Normalize a list of interest tags
+ * Tags are trimmed, lowercased and de-duplicated; non-string and empty entries are dropped
+ * @param {Array} tags - Raw tags
+ * @param {number} maxTags - Maximum number of tags to keep
+ * @param {number} maxLength - Maximum length of a single tag
+ * @returns {Array} Normalized tags
+ */
+function normalizeTags(tags, maxTags = 10, maxLength = 30) {
+    if (!Array.isArray(tags)) return [];
+
+    const normalized = tags
+        .filter(tag => typeof tag === 'string')
+        .map(tag => sanitizeInput(tag.trim().toLowerCase().substring(0, maxLength)))
+        .filter(tag => tag.length > 0);
+
+    return Array.from(new Set(normalized)).slice(0, maxTags);
+}
+
 /**
  * Get random element from array
  * @param {Array} array - Array to pick from
@@ -105,6 +165,11 @@ module.exports = {
     formatTimestamp,
     isValidGender,
     isValidPreference,
+    isValidLanguage,
+    isValidRegion,
+    isValidClientMessageId,
+    parseDuration,
+    normalizeTags,
     getRandomElement,
     debounce
 };
\ No newline at end of file
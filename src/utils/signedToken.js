@@ -0,0 +1,76 @@
+/**
+ * Signed tokens
+ * Creates and verifies the HMAC-SHA256 signed tokens used for admin and attachment access
+ *
+ * A token is "<payload>.<signature>", both base64url encoded; the payload is JSON naming the
+ * subject (sub) and the expiry time in milliseconds (exp). Each kind of token uses its own secret.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} True if equal
+ */
+function safeEqual(a, b) {
+    const hashA = crypto.createHash('sha256').update(String(a)).digest();
+    const hashB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Sign a token payload
+ * @param {string} secret - Signing secret
+ * @param {string} encodedPayload - Base64url encoded payload
+ * @returns {string} Base64url encoded signature
+ */
+function sign(secret, encodedPayload) {
+    return crypto.createHmac('sha256', secret)
+        .update(encodedPayload)
+        .digest('base64url');
+}
+
+/**
+ * Create a signed token
+ * @param {string} secret - Signing secret
+ * @param {string} subject - Who the token is issued to
+ * @param {number} ttlMs - Token lifetime in milliseconds
+ * @returns {string} Signed token
+ */
+function createSignedToken(secret, subject, ttlMs) {
+    const payload = Buffer.from(JSON.stringify({
+        sub: subject,
+        exp: Date.now() + ttlMs
+    })).toString('base64url');
+
+    return `${payload}.${sign(secret, payload)}`;
+}
+
+/**
+ * Verify a signed token
+ * @param {string} secret - Signing secret
+ * @param {string} token - Token to verify
+ * @returns {Object|null} Token payload ({ sub, exp }) or null if invalid or expired
+ */
+function verifySignedToken(secret, token) {
+    if (!secret || typeof token !== 'string') return null;
+
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature || !safeEqual(sign(secret, payload), signature)) return null;
+
+    try {
+        const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        if (!data.sub || !data.exp || data.exp < Date.now()) return null;
+        return data;
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    safeEqual,
+    createSignedToken,
+    verifySignedToken
+};
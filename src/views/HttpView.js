@@ -6,12 +6,20 @@
 const UserController = require('../controllers/UserController');
 const ChatController = require('../controllers/ChatController');
 const GroupChatController = require('../controllers/GroupChatController');
+const ModerationController = require('../controllers/ModerationController');
+const AttachmentController = require('../controllers/AttachmentController');
+const AutoBanService = require('../services/autoBanService');
+const PartnerHistoryService = require('../services/partnerHistoryService');
+const AttachmentService = require('../services/attachmentService');
+const { requireAdmin } = require('../middleware/adminAuth');
 
 class HttpView {
     constructor() {
         this.userController = new UserController();
         this.chatController = new ChatController();
         this.groupChatController = new GroupChatController();
+        this.moderationController = new ModerationController();
+        this.attachmentController = new AttachmentController();
     }
 
     /**
@@ -33,9 +41,17 @@ class HttpView {
         app.get('/api/users/count', (req, res) => this.getUserCount(req, res));
         app.get('/api/users/active', (req, res) => this.getActiveUsers(req, res));
 
-        // Admin endpoints (for monitoring/debugging)
-        app.get('/api/admin/cleanup', (req, res) => this.performCleanup(req, res));
+        // Attachment upload and download (attachment token required)
+        this.attachmentController.setupRoutes(app);
+
+        // Admin endpoints (for monitoring/debugging) - require admin credentials
+        app.use('/api/admin', requireAdmin);
+        app.post('/api/admin/cleanup', (req, res) => this.performCleanup(req, res));
         app.get('/api/admin/system-info', (req, res) => this.getSystemInfo(req, res));
+        app.get('/api/admin/auto-ban', (req, res) => this.getAutoBanPolicy(req, res));
+
+        // Moderation endpoints (bans, reports, login history)
+        this.moderationController.setupRoutes(app);
     }
 
     /**
@@ -216,7 +232,7 @@ class HttpView {
         try {
             const users = this.userController.getUsersByCriteria({});
             const sanitizedUsers = users.map(user => ({
-                id: user.id,
+                id: user.publicId,
                 connectedAt: user.connectedAt,
                 isInChat: user.isInChat,
                 isInGroup: user.isInGroup,
@@ -239,11 +255,13 @@ class HttpView {
     /**
      * Perform system cleanup (admin endpoint)
      */
-    performCleanup(req, res) {
+    async performCleanup(req, res) {
         try {
             const results = {
                 chatsCleanedUp: 0,
                 groupsCleanedUp: 0,
+                partnerHistoriesCleanedUp: 0,
+                attachmentConversationsCleanedUp: 0,
                 timestamp: new Date()
             };
 
@@ -253,6 +271,12 @@ class HttpView {
             // Clean up empty groups
             results.groupsCleanedUp = this.groupChatController.cleanupEmptyGroups();
 
+            // Drop expired recent partners
+            results.partnerHistoriesCleanedUp = PartnerHistoryService.cleanupExpired();
+
+            // Drop attachments of chats and groups that are over
+            results.attachmentConversationsCleanedUp = await AttachmentService.cleanupExpired();
+
             res.json({
                 message: 'Cleanup completed successfully',
                 results
@@ -309,6 +333,26 @@ class HttpView {
         }
     }
 
+    /**
+     * Get automatic ban policy and recent decisions (admin endpoint)
+     */
+    async getAutoBanPolicy(req, res) {
+        try {
+            const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100);
+
+            res.json({
+                policy: AutoBanService.getPolicy(),
+                decisions: await AutoBanService.getDecisions(limit),
+                timestamp: new Date()
+            });
+        } catch (error) {
+            res.status(500).json({
+                error: 'Failed to get auto-ban policy',
+                message: error.message
+            });
+        }
+    }
+
     /**
      * Handle 404 errors
      */
@@ -6,7 +6,19 @@
 const UserController = require('../controllers/UserController');
 const ChatController = require('../controllers/ChatController');
 const GroupChatController = require('../controllers/GroupChatController');
+const ReportController = require('../controllers/ReportController');
+const SessionController = require('../controllers/SessionController');
+const FriendController = require('../controllers/FriendController');
+const ChatActivityController = require('../controllers/ChatActivityController');
+const MessageController = require('../controllers/MessageController');
 const MatchingService = require('../services/matchingService');
+const BanService = require('../services/banService');
+const PartnerHistoryService = require('../services/partnerHistoryService');
+const { authorizeSocket } = require('../middleware/adminAuth');
+const { createAttachmentToken } = require('../middleware/attachmentAuth');
+const { requireRegisteredDevice } = require('../middleware/deviceRegistration');
+const sessionConfig = require('../config/session');
+const ERROR_CODES = require('../utils/errorCodes');
 
 class SocketView {
     constructor(io) {
@@ -14,6 +26,28 @@ class SocketView {
         this.userController = new UserController();
         this.chatController = new ChatController(io);
         this.groupChatController = new GroupChatController(io);
+        this.reportController = new ReportController();
+        this.sessionController = new SessionController(io);
+        this.friendController = new FriendController(io, this.chatController);
+        this.chatActivityController = new ChatActivityController(io);
+        this.messageController = new MessageController(io);
+        this.registrationTimers = new Map(); // socketId -> timeout
+
+        // Keep waiting users informed about their place in the queue
+        this.chatController.startQueueStatusUpdates();
+
+        // Enforce bans issued while the device is connected
+        BanService.onDeviceBanned(({ deviceId, banStatus }) => this.enforceBan(deviceId, banStatus));
+    }
+
+    /**
+     * Stop the view's timers once the Socket.IO server is closed
+     */
+    close() {
+        this.chatController.stopQueueStatusUpdates();
+        this.sessionController.clearExpiryTimers();
+        this.registrationTimers.forEach(timer => clearTimeout(timer));
+        this.registrationTimers.clear();
     }
 
     /**
@@ -23,12 +57,24 @@ class SocketView {
     async handleConnection(socket) {
         console.log(`Socket connected: ${socket.id}`);
 
-        // Initialize user through controller (using socket.id temporarily)
-        const user = this.userController.createUser(socket.id);
+        // Admin sockets receive broadcast statistics and do not have to register a device
+        if (authorizeSocket(socket)) {
+            socket.join('admins');
+        } else {
+            this.startRegistrationTimer(socket);
+        }
+
+        // Drop chat, group and profile events until the device is registered
+        socket.use(requireRegisteredDevice(
+            socket,
+            (registeringSocket) => this.isRegistered(registeringSocket),
+            (rejectedSocket, event) => this.rejectUnregisteredEvent(rejectedSocket, event)
+        ));
 
         // Send connection confirmation and request device registration
         socket.emit('connected', {
             socketId: socket.id,
+            registrationTimeoutMs: sessionConfig.registrationTimeoutMs,
             timestamp: new Date(),
             message: 'Please register your device using registerDevice event'
         });
@@ -44,29 +90,73 @@ class SocketView {
      */
     async handleRegisterDevice(socket, data) {
         if (!data || !data.deviceId) {
-            socket.emit('error', 'Device ID is required for registration');
+            this.sendError(socket, 'Device ID is required for registration', ERROR_CODES.INVALID_DEVICE_ID);
             return;
         }
 
         const deviceId = data.deviceId.toString().trim();
 
         if (!deviceId) {
-            socket.emit('error', 'Valid Device ID is required');
+            this.sendError(socket, 'Valid Device ID is required', ERROR_CODES.INVALID_DEVICE_ID);
+            return;
+        }
+
+        // Reject banned devices before logging them in
+        try {
+            const banStatus = await BanService.checkDevice(deviceId);
+            if (banStatus.isBanned) {
+                console.log(`Banned device rejected: ${deviceId} (Socket: ${socket.id})`);
+                this.rejectBannedSocket(socket, deviceId, banStatus);
+                return;
+            }
+        } catch (error) {
+            // Registering without knowing would let a banned device in, so the client has to retry
+            console.error(`Failed to check ban status: ${error.message}`);
+            this.sendError(socket, 'Could not verify the device, please try again', ERROR_CODES.SERVICE_UNAVAILABLE);
             return;
         }
 
-        console.log(`Device registered: ${deviceId} (Socket: ${socket.id})`);
+        // The socket may have gone away while the ban check was pending
+        if (!socket.connected) return;
+
+        const { user, previousSocketId } = this.userController.connectUser(socket.id, deviceId);
+        this.clearRegistrationTimer(socket.id);
+
+        console.log(`Device registered: ${deviceId} (Socket: ${socket.id}, User: ${user.id})`);
 
         // Store device ID in socket for later use
         socket.deviceId = deviceId;
+        socket.join(user.id);
+        socket.join(`device:${deviceId}`);
+
+        // A reconnecting device may register before its old socket has timed out
+        if (previousSocketId) {
+            console.log(`Replacing socket ${previousSocketId} for device ${deviceId}`);
+            this.io.in(previousSocketId).disconnectSockets(true);
+        }
+
+        // Send registration confirmation
+        socket.emit('deviceRegistered', {
+            userId: user.publicId,
+            deviceId: deviceId,
+            socketId: socket.id,
+            attachmentToken: createAttachmentToken(user.publicId),
+            timestamp: new Date(),
+            message: 'Device registered successfully'
+        });
+
+        // Re-attach a chat or group the user still belongs to
+        this.resumeSession(socket, user.id);
 
         // Log user login to database
         try {
             const UserData = require('../models/UserData');
             const LoginLogs = require('../models/LoginLogs');
 
-            // Update user data with login
-            await UserData.userLogin(deviceId);
+            // Update user data with login and restore the partners this device blocked and its birth year
+            const userData = await UserData.userLogin(deviceId);
+            PartnerHistoryService.restoreBlockedDevices(deviceId, userData?.blockedDevices);
+            this.userController.restoreBirthYear(user.id, userData?.birthYear);
 
             // Log the login event
             await LoginLogs.logLogin(deviceId);
@@ -76,22 +166,96 @@ class SocketView {
             console.error(`Failed to log device login: ${error.message}`);
         }
 
-        // Update user controller with device ID
-        const user = this.userController.getUser(socket.id);
-        if (user) {
-            user.deviceId = deviceId;
+        // Broadcast updated user count
+        this.broadcastActiveUsers();
+    }
+
+    /**
+     * Resume the user's chat or group on the newly registered socket
+     * @param {Object} socket - Socket.IO socket instance
+     * @param {string} userId - Internal user ID
+     */
+    resumeSession(socket, userId) {
+        const result = this.sessionController.resumeSession(userId);
+
+        if (!result.success) {
+            this.sendError(socket, result.error);
+            return;
         }
 
-        // Send registration confirmation
-        socket.emit('deviceRegistered', {
-            deviceId: deviceId,
-            socketId: socket.id,
-            timestamp: new Date(),
-            message: 'Device registered successfully'
+        if (!result.resumed) return;
+
+        socket.emit('sessionResumed', {
+            disconnectedAt: result.disconnectedAt,
+            chat: result.chat || null,
+            group: result.group || null,
+            timestamp: new Date()
         });
+    }
 
-        // Broadcast updated user count
-        this.broadcastActiveUsers();
+    /**
+     * Disconnect the socket if it does not register its device in time
+     * @param {Object} socket - Socket.IO socket instance
+     */
+    startRegistrationTimer(socket) {
+        const timeoutMs = sessionConfig.registrationTimeoutMs;
+        if (timeoutMs <= 0) return;
+
+        this.registrationTimers.set(socket.id, setTimeout(() => {
+            this.registrationTimers.delete(socket.id);
+            if (this.isRegistered(socket)) return;
+
+            console.log(`Socket ${socket.id} did not register a device within ${timeoutMs}ms, disconnecting`);
+            this.sendError(socket, 'Device registration timed out', ERROR_CODES.REGISTRATION_TIMEOUT);
+            socket.disconnect(true);
+        }, timeoutMs));
+    }
+
+    /**
+     * Cancel a pending registration timeout
+     * @param {string} socketId - Socket ID
+     */
+    clearRegistrationTimer(socketId) {
+        const timer = this.registrationTimers.get(socketId);
+        if (timer) {
+            clearTimeout(timer);
+            this.registrationTimers.delete(socketId);
+        }
+    }
+
+    /**
+     * Check whether a socket has registered its device
+     * @param {Object} socket - Socket.IO socket instance
+     * @returns {boolean} True if the socket is bound to a user
+     */
+    isRegistered(socket) {
+        return this.userController.getUserIdBySocket(socket.id) !== null;
+    }
+
+    /**
+     * Tell a socket that an event was dropped because its device is not registered
+     * @param {Object} socket - Socket.IO socket instance
+     * @param {string} event - Rejected event name
+     */
+    rejectUnregisteredEvent(socket, event) {
+        console.warn(`Rejected ${event} from unregistered socket ${socket.id}`);
+        this.sendError(socket, `Register your device before sending ${event}`, ERROR_CODES.DEVICE_NOT_REGISTERED);
+    }
+
+    /**
+     * Get the ID of the user registered on a socket
+     * Emits an error if the user is gone (e.g. removed while the event was in flight)
+     * @param {Object} socket - Socket.IO socket instance
+     * @returns {string|null} Internal user ID or null
+     */
+    getUserId(socket) {
+        const userId = this.userController.getUserIdBySocket(socket.id);
+
+        if (!userId) {
+            this.sendError(socket, 'Register your device first', ERROR_CODES.DEVICE_NOT_REGISTERED);
+        }
+
+        return userId;
     }
 
     /**
@@ -99,20 +263,44 @@ class SocketView {
      * @param {Object} socket - Socket.IO socket instance
      */
     registerEventHandlers(socket) {
-        // Device registration event - must be called first by client
+        // Device registration event - must be called first by client (other events are gated until it succeeds)
         socket.on('registerDevice', (data) => this.handleRegisterDevice(socket, data));
 
         // One-on-one chat events
-        socket.on('startChat', () => this.handleStartChat(socket));
-        socket.on('sendMessage', (data) => this.handleSendMessage(socket, data));
+        socket.on('startChat', (data) => this.handleStartChat(socket, data));
+        socket.on('sendMessage', (data, ack) => this.handleSendMessage(socket, data, ack));
         socket.on('endChat', () => this.handleEndChat(socket));
         socket.on('skipChat', () => this.handleSkipChat(socket));
+        socket.on('cancelSearch', () => this.handleCancelSearch(socket));
+        socket.on('requestReveal', () => this.handleRequestReveal(socket));
+        socket.on('addFriend', () => this.handleAddFriend(socket));
+
+        // Friend events
+        socket.on('getFriends', () => this.handleGetFriends(socket));
+        socket.on('inviteFriend', (data) => this.handleInviteFriend(socket, data));
+        socket.on('acceptInvite', (data) => this.handleAcceptInvite(socket, data));
+        socket.on('declineInvite', (data) => this.handleDeclineInvite(socket, data));
 
         // Group chat events
         socket.on('joinGroup', () => this.handleJoinGroup(socket));
-        socket.on('sendGroupMessage', (data) => this.handleSendGroupMessage(socket, data));
+        socket.on('sendGroupMessage', (data, ack) => this.handleSendGroupMessage(socket, data, ack));
         socket.on('endGroupChat', () => this.handleEndGroupChat(socket));
 
+        // Typing and read receipt events (one-on-one and group chats)
+        socket.on('typing', () => this.handleTyping(socket));
+        socket.on('stopTyping', () => this.handleStopTyping(socket));
+        socket.on('messageRead', (data) => this.handleMessageRead(socket, data));
+
+        // Message editing and reaction events (one-on-one and group chats)
+        socket.on('editMessage', (data) => this.handleEditMessage(socket, data));
+        socket.on('deleteMessage', (data) => this.handleDeleteMessage(socket, data));
+        socket.on('addReaction', (data) => this.handleAddReaction(socket, data));
+        socket.on('removeReaction', (data) => this.handleRemoveReaction(socket, data));
+
+        // Moderation events
+        socket.on('reportPartner', (data) => this.handleReportPartner(socket, data));
+        socket.on('blockPartner', (data) => this.handleBlockPartner(socket, data));
+
         // Profile management events
         socket.on('manageProfile', (data) => this.handleManageProfile(socket, data));
         socket.on('getProfile', () => this.handleGetProfile(socket));
@@ -120,10 +308,12 @@ class SocketView {
         // Preference management events
         socket.on('setGenderPreference', (data) => this.handleSetGenderPreference(socket, data));
         socket.on('removeGenderPreference', () => this.handleRemoveGenderPreference(socket));
+        socket.on('setAgePreference', (data) => this.handleSetAgePreference(socket, data));
+        socket.on('removeAgePreference', () => this.handleRemoveAgePreference(socket));
 
         // Utility events
         socket.on('getActiveUsers', () => this.handleGetActiveUsers(socket));
-        socket.on('getStats', () => this.handleGetStats(socket));
+        socket.on('getStats', (data) => this.handleGetStats(socket, data));
         socket.on('getGroupStats', () => this.handleGetGroupStats(socket));
 
         // Disconnect event
@@ -132,42 +322,71 @@ class SocketView {
 
     /**
      * Handle start chat request
+     * Optional data: { tags: string[] } interest tags to match on (kept for later searches until changed)
      */
-    handleStartChat(socket) {
-        const result = this.chatController.findAndStartChat(socket.id);
+    async handleStartChat(socket, data) {
+        const userId = this.getUserId(socket);
+        if (!userId) return;
+
+        if (data && data.tags !== undefined) {
+            if (!Array.isArray(data.tags)) {
+                this.sendError(socket, 'Tags must be an array of strings');
+                return;
+            }
+
+            this.userController.updateUserPreferences(userId, { interestTags: data.tags });
+        }
+
+        const result = await this.chatController.findAndStartChat(userId);
 
         if (!result.success) {
-            socket.emit('error', result.error);
+            this.sendError(socket, result.error);
             return;
         }
 
         if (result.matched) {
-            console.log(`Chat matched: ${socket.id} <-> ${result.partnerId}`);
+            console.log(`Chat matched: ${userId} <-> ${result.partnerId}`);
         } else {
             socket.emit('waitingForPartner');
-            console.log(`User ${socket.id} added to waiting list`);
+            console.log(`User ${userId} added to waiting list`);
         }
     }
 
     /**
      * Handle send message request
+     * Data: { message, clientMessageId?, replyTo?, attachmentId? } - resending with the same clientMessageId never delivers twice
+     * The optional acknowledgement callback receives { messageId, content, isFiltered, timestamp, duplicate } or { error }
      */
-    handleSendMessage(socket, data) {
-        const result = this.chatController.sendMessage(socket.id, data.message);
+    handleSendMessage(socket, data, ack) {
+        const userId = this.getUserId(socket);
+        if (!userId) return;
+
+        const { message, clientMessageId, replyTo, attachmentId } = data || {};
+        const result = this.chatController.sendMessage(userId, message, clientMessageId, replyTo, attachmentId);
 
         if (!result.success) {
-            socket.emit('error', result.error);
+            this.sendError(socket, result.error);
+            this.acknowledge(ack, { error: result.error });
+            return;
         }
+
+        this.acknowledge(ack, this.formatSendAck(result));
+
+        // The message itself ends the typing indicator
+        this.chatActivityController.stopTyping(userId);
     }
 
     /**
      * Handle end chat request
      */
     handleEndChat(socket) {
-        const result = this.chatController.endChat(socket.id);
+        const userId = this.getUserId(socket);
+        if (!userId) return;
+
+        const result = this.chatController.endChat(userId);
 
         if (!result.success) {
-            socket.emit('error', result.error);
+            this.sendError(socket, result.error);
         }
     }
 
@@ -175,10 +394,149 @@ class SocketView {
      * Handle skip chat request
      */
     handleSkipChat(socket) {
-        const result = this.chatController.skipChat(socket.id);
+        const userId = this.getUserId(socket);
+        if (!userId) return;
+
+        const result = this.chatController.skipChat(userId);
+
+        if (!result.success) {
+            this.sendError(socket, result.error);
+        }
+    }
+
+    /**
+     * Handle cancel search request
+     */
+    handleCancelSearch(socket) {
+        const userId = this.getUserId(socket);
+        if (!userId) return;
+
+        const result = this.chatController.cancelSearch(userId);
+
+        if (!result.success) {
+            this.sendError(socket, result.error);
+            return;
+        }
+
+        socket.emit('searchCancelled', { timestamp: new Date() });
+    }
+
+    /**
+     * Handle reveal profile request
+     * Profiles are exchanged (profileRevealed) once both partners have asked
+     */
+    handleRequestReveal(socket) {
+        const userId = this.getUserId(socket);
+        if (!userId) return;
+
+        const result = this.chatController.requestReveal(userId);
+
+        if (!result.success) {
+            this.sendError(socket, result.error);
+            return;
+        }
+
+        if (!result.revealed) {
+            socket.emit('revealRequestSent', {
+                chatId: result.chatId,
+                timestamp: new Date()
+            });
+        }
+    }
+
+    /**
+     * Handle add friend request
+     * The friendship is stored (friendAdded) once both partners have asked
+     */
+    async handleAddFriend(socket) {
+        const userId = this.getUserId(socket);
+        if (!userId) return;
+
+        const result = await this.friendController.addFriend(userId);
+
+        if (!result.success) {
+            this.sendError(socket, result.error);
+            return;
+        }
+
+        if (!result.added) {
+            socket.emit('friendRequestSent', {
+                chatId: result.chatId,
+                timestamp: new Date()
+            });
+        }
+    }
+
+    /**
+     * Handle friends list request
+     */
+    async handleGetFriends(socket) {
+        const userId = this.getUserId(socket);
+        if (!userId) return;
+
+        const result = await this.friendController.getFriends(userId);
 
         if (!result.success) {
-            socket.emit('error', result.error);
+            this.sendError(socket, result.error);
+            return;
+        }
+
+        socket.emit('friendsList', {
+            friends: result.friends,
+            timestamp: new Date()
+        });
+    }
+
+    /**
+     * Handle invite friend request
+     * Data: { friendId } friendship ID from the friends list
+     */
+    async handleInviteFriend(socket, data) {
+        const userId = this.getUserId(socket);
+        if (!userId) return;
+
+        const result = await this.friendController.inviteFriend(userId, data?.friendId);
+
+        if (!result.success) {
+            this.sendError(socket, result.error);
+            return;
+        }
+
+        socket.emit('friendInviteSent', {
+            inviteId: result.inviteId,
+            friendId: result.friendId,
+            expiresAt: result.expiresAt,
+            timestamp: new Date()
+        });
+    }
+
+    /**
+     * Handle accept invite request
+     * Data: { inviteId }; both users receive chatStarted
+     */
+    handleAcceptInvite(socket, data) {
+        const userId = this.getUserId(socket);
+        if (!userId) return;
+
+        const result = this.friendController.acceptInvite(userId, data?.inviteId);
+
+        if (!result.success) {
+            this.sendError(socket, result.error);
+        }
+    }
+
+    /**
+     * Handle decline invite request
+     * Data: { inviteId }
+     */
+    handleDeclineInvite(socket, data) {
+        const userId = this.getUserId(socket);
+        if (!userId) return;
+
+        const result = this.friendController.declineInvite(userId, data?.inviteId);
+
+        if (!result.success) {
+            this.sendError(socket, result.error);
         }
     }
 
@@ -186,47 +544,231 @@ class SocketView {
      * Handle join group request
      */
     handleJoinGroup(socket) {
-        const user = this.userController.getUser(socket.id);
+        const userId = this.getUserId(socket);
+        if (!userId) return;
+
+        const user = this.userController.getUser(userId);
         if (!user) {
-            socket.emit('error', 'User not found');
+            this.sendError(socket, 'User not found');
             return;
         }
 
         if (user.isInChat) {
-            socket.emit('error', 'Cannot join group while in 1-on-1 chat. End current chat first.');
+            this.sendError(socket, 'Cannot join group while in 1-on-1 chat. End current chat first.');
             return;
         }
 
-        const result = this.groupChatController.joinGroupChat(socket.id);
+        const result = this.groupChatController.joinGroupChat(userId);
 
         if (!result.success) {
-            socket.emit('error', result.error);
+            this.sendError(socket, result.error);
         } else {
-            console.log(`User ${socket.id} joined group chat: ${result.groupId}`);
+            console.log(`User ${userId} joined group chat: ${result.groupId}`);
         }
     }
 
     /**
      * Handle send group message request
+     * Same data and acknowledgement as sendMessage, with the group ID added to the acknowledgement
      */
-    handleSendGroupMessage(socket, data) {
-        const result = this.groupChatController.sendGroupMessage(socket.id, data.message);
+    handleSendGroupMessage(socket, data, ack) {
+        const userId = this.getUserId(socket);
+        if (!userId) return;
+
+        const { message, clientMessageId, replyTo, attachmentId } = data || {};
+        const result = this.groupChatController.sendGroupMessage(userId, message, clientMessageId, replyTo, attachmentId);
 
         if (!result.success) {
-            socket.emit('error', result.error);
+            this.sendError(socket, result.error);
+            this.acknowledge(ack, { error: result.error });
+            return;
         }
+
+        this.acknowledge(ack, { ...this.formatSendAck(result), groupId: result.groupId });
+
+        // The message itself ends the typing indicator
+        this.chatActivityController.stopTyping(userId);
     }
 
     /**
      * Handle end group chat request
      */
     handleEndGroupChat(socket) {
-        const result = this.groupChatController.leaveGroupChat(socket.id);
+        const userId = this.getUserId(socket);
+        if (!userId) return;
+
+        const result = this.groupChatController.leaveGroupChat(userId);
 
         if (!result.success) {
-            socket.emit('error', result.error);
+            this.sendError(socket, result.error);
         } else {
-            console.log(`User ${socket.id} left group chat`);
+            console.log(`User ${userId} left group chat`);
+        }
+    }
+
+    /**
+     * Handle typing notification
+     * Relayed to the chat partner or group (throttled) and stopped automatically if not repeated
+     */
+    handleTyping(socket) {
+        const userId = this.getUserId(socket);
+        if (!userId) return;
+
+        const result = this.chatActivityController.startTyping(userId);
+
+        if (!result.success) {
+            this.sendError(socket, result.error);
+        }
+    }
+
+    /**
+     * Handle stop typing notification
+     */
+    handleStopTyping(socket) {
+        const userId = this.getUserId(socket);
+        if (!userId) return;
+
+        this.chatActivityController.stopTyping(userId);
+    }
+
+    /**
+     * Handle read receipt
+     * Data: { messageId } of a message received from the partner or another group member
+     */
+    handleMessageRead(socket, data) {
+        const userId = this.getUserId(socket);
+        if (!userId) return;
+
+        const result = this.chatActivityController.markMessageRead(userId, data && data.messageId);
+
+        if (!result.success) {
+            this.sendError(socket, result.error);
+        }
+    }
+
+    /**
+     * Handle edit message request
+     * Data: { messageId, content } of a message the user sent within the edit window
+     */
+    handleEditMessage(socket, data) {
+        const userId = this.getUserId(socket);
+        if (!userId) return;
+
+        const { messageId, content } = data || {};
+        const result = this.messageController.editMessage(userId, messageId, content);
+
+        if (!result.success) {
+            this.sendError(socket, result.error);
+        }
+    }
+
+    /**
+     * Handle delete (unsend) message request
+     * Data: { messageId } of a message the user sent within the edit window
+     */
+    handleDeleteMessage(socket, data) {
+        const userId = this.getUserId(socket);
+        if (!userId) return;
+
+        const result = this.messageController.deleteMessage(userId, data && data.messageId);
+
+        if (!result.success) {
+            this.sendError(socket, result.error);
+        }
+    }
+
+    /**
+     * Handle add reaction request
+     * Data: { messageId, reaction } with a reaction from the allow-list
+     */
+    handleAddReaction(socket, data) {
+        const userId = this.getUserId(socket);
+        if (!userId) return;
+
+        const { messageId, reaction } = data || {};
+        const result = this.messageController.addReaction(userId, messageId, reaction);
+
+        if (!result.success) {
+            this.sendError(socket, result.error);
+        }
+    }
+
+    /**
+     * Handle remove reaction request
+     * Data: { messageId, reaction }
+     */
+    handleRemoveReaction(socket, data) {
+        const userId = this.getUserId(socket);
+        if (!userId) return;
+
+        const { messageId, reaction } = data || {};
+        const result = this.messageController.removeReaction(userId, messageId, reaction);
+
+        if (!result.success) {
+            this.sendError(socket, result.error);
+        }
+    }
+
+    /**
+     * Handle report partner request
+     * Optionally ends the reported chat (skipping to a new partner) or leaves the group
+     */
+    async handleReportPartner(socket, data) {
+        const userId = this.getUserId(socket);
+        if (!userId) return;
+
+        const options = data || {};
+        const result = await this.reportController.reportPartner(userId, options);
+
+        if (!result.success) {
+            this.sendError(socket, result.error);
+            return;
+        }
+
+        socket.emit('reportSubmitted', {
+            chatId: result.chatId,
+            chatType: result.chatType,
+            reportedUserId: result.reportedPublicId,
+            skipped: Boolean(options.skipChat),
+            message: 'Report submitted successfully',
+            timestamp: new Date()
+        });
+
+        if (options.skipChat) {
+            if (result.chatType === 'chat') {
+                this.chatController.skipChat(userId);
+            } else {
+                this.groupChatController.leaveGroupChat(userId);
+            }
+        }
+    }
+
+    /**
+     * Handle block partner request
+     * Optional data: { targetUserId } public ID of the group member to block (defaults to the chat partner)
+     * Blocking a chat partner also ends the chat
+     */
+    async handleBlockPartner(socket, data) {
+        const userId = this.getUserId(socket);
+        if (!userId) return;
+
+        const result = await this.reportController.blockPartner(userId, data || {});
+
+        if (!result.success) {
+            this.sendError(socket, result.error);
+            return;
+        }
+
+        socket.emit('partnerBlocked', {
+            chatId: result.chatId,
+            chatType: result.chatType,
+            blockedUserId: result.blockedPublicId,
+            message: 'User blocked successfully',
+            timestamp: new Date()
+        });
+
+        if (result.chatType === 'chat') {
+            this.chatController.endChat(userId);
         }
     }
 
@@ -234,23 +776,42 @@ class SocketView {
      * Handle profile management request
      */
     handleManageProfile(socket, data) {
+        const userId = this.getUserId(socket);
+        if (!userId) return;
+
         // Validate input
         const validation = this.userController.validateUserData(data);
         if (!validation.isValid) {
-            socket.emit('error', `Validation failed: ${validation.errors.join(', ')}`);
+            this.sendError(socket, `Validation failed: ${validation.errors.join(', ')}`);
             return;
         }
 
-        const updatedProfile = this.userController.updateUserProfile(socket.id, data);
+        const birthYearError = this.userController.getBirthYearChangeError(userId, data.birthYear);
+        if (birthYearError) {
+            this.sendError(socket, birthYearError);
+            return;
+        }
+
+        const previousBirthYear = this.userController.getUser(userId)?.profile.birthYear;
+        const updatedProfile = this.userController.updateUserProfile(userId, data);
 
         if (updatedProfile) {
+            // Keep the birth year for the device's later sessions
+            if (updatedProfile.birthYear && updatedProfile.birthYear !== previousBirthYear && socket.deviceId) {
+                const UserData = require('../models/UserData');
+                UserData.setBirthYear(socket.deviceId, updatedProfile.birthYear).catch((error) => {
+                    console.error(`Failed to store birth year: ${error.message}`);
+                });
+            }
+
+
             socket.emit('profileUpdated', {
                 profile: updatedProfile,
                 message: 'Profile updated successfully'
             });
-            console.log(`Profile updated for user: ${socket.id}`);
+            console.log(`Profile updated for user: ${userId}`);
         } else {
-            socket.emit('error', 'Failed to update profile');
+            this.sendError(socket, 'Failed to update profile');
         }
     }
 
@@ -258,12 +819,15 @@ class SocketView {
      * Handle get profile request
      */
     handleGetProfile(socket) {
-        const profileData = this.userController.getUserProfileData(socket.id);
+        const userId = this.getUserId(socket);
+        if (!userId) return;
+
+        const profileData = this.userController.getUserProfileData(userId);
 
         if (profileData) {
             socket.emit('profileData', profileData);
         } else {
-            socket.emit('error', 'Profile not found');
+            this.sendError(socket, 'Profile not found');
         }
     }
 
@@ -271,22 +835,25 @@ class SocketView {
      * Handle set gender preference request
      */
     handleSetGenderPreference(socket, data) {
+        const userId = this.getUserId(socket);
+        if (!userId) return;
+
         // Validate preference
         const validPreferences = ['male', 'female', 'any'];
         const preferredGender = validPreferences.includes(data.preferredGender)
             ? data.preferredGender
             : 'any';
 
-        const preferences = this.userController.updateUserPreferences(socket.id, { preferredGender });
+        const preferences = this.userController.updateUserPreferences(userId, { preferredGender });
 
         if (preferences) {
             socket.emit('genderPreferenceUpdated', {
                 preferences: preferences,
                 message: `Gender preference set to: ${preferredGender}`
             });
-            console.log(`Gender preference updated for user: ${socket.id} to ${preferredGender}`);
+            console.log(`Gender preference updated for user: ${userId} to ${preferredGender}`);
         } else {
-            socket.emit('error', 'Failed to update preferences');
+            this.sendError(socket, 'Failed to update preferences');
         }
     }
 
@@ -294,16 +861,71 @@ class SocketView {
      * Handle remove gender preference request
      */
     handleRemoveGenderPreference(socket) {
-        const preferences = this.userController.updateUserPreferences(socket.id, { preferredGender: 'any' });
+        const userId = this.getUserId(socket);
+        if (!userId) return;
+
+        const preferences = this.userController.updateUserPreferences(userId, { preferredGender: 'any' });
 
         if (preferences) {
             socket.emit('genderPreferenceUpdated', {
                 preferences: preferences,
                 message: 'Gender preference removed - will match with anyone'
             });
-            console.log(`Gender preference removed for user: ${socket.id}`);
+            console.log(`Gender preference removed for user: ${userId}`);
+        } else {
+            this.sendError(socket, 'Failed to update preferences');
+        }
+    }
+
+    /**
+     * Handle set age preference request
+     * Data: { minAge?, maxAge? } - an omitted limit means no limit
+     */
+    handleSetAgePreference(socket, data) {
+        const userId = this.getUserId(socket);
+        if (!userId) return;
+
+        const ageLimits = {
+            minAge: data?.minAge ?? null,
+            maxAge: data?.maxAge ?? null
+        };
+
+        const validation = this.userController.validateUserData(ageLimits);
+        if (!validation.isValid) {
+            this.sendError(socket, `Validation failed: ${validation.errors.join(', ')}`);
+            return;
+        }
+
+        const preferences = this.userController.updateUserPreferences(userId, ageLimits);
+
+        if (preferences) {
+            socket.emit('agePreferenceUpdated', {
+                preferences: preferences,
+                message: `Age preference set to: ${preferences.minAge ?? 'any'} - ${preferences.maxAge ?? 'any'}`
+            });
+            console.log(`Age preference updated for user: ${userId} to ${preferences.minAge}-${preferences.maxAge}`);
         } else {
-            socket.emit('error', 'Failed to update preferences');
+            this.sendError(socket, 'Failed to update preferences');
+        }
+    }
+
+    /**
+     * Handle remove age preference request
+     */
+    handleRemoveAgePreference(socket) {
+        const userId = this.getUserId(socket);
+        if (!userId) return;
+
+        const preferences = this.userController.updateUserPreferences(userId, { minAge: null, maxAge: null });
+
+        if (preferences) {
+            socket.emit('agePreferenceUpdated', {
+                preferences: preferences,
+                message: 'Age preference removed - will match with any age'
+            });
+            console.log(`Age preference removed for user: ${userId}`);
+        } else {
+            this.sendError(socket, 'Failed to update preferences');
         }
     }
 
@@ -316,15 +938,22 @@ class SocketView {
     }
 
     /**
-     * Handle get statistics request
+     * Handle get statistics request (admin only)
      */
-    handleGetStats(socket) {
+    handleGetStats(socket, data) {
+        if (!authorizeSocket(socket, data)) {
+            console.warn(`Unauthorized getStats request from socket ${socket.id}${socket.deviceId ? ` (Device: ${socket.deviceId})` : ''}`);
+            this.sendError(socket, 'Admin authorization required', ERROR_CODES.UNAUTHORIZED);
+            return;
+        }
+
         const userStats = this.userController.getUserStats();
         const chatStats = this.chatController.getChatStats();
 
         socket.emit('serverStats', {
             users: userStats,
             chats: chatStats,
+            suspendedSessions: this.sessionController.getSuspendedSessionsCount(),
             timestamp: new Date()
         });
     }
@@ -344,38 +973,119 @@ class SocketView {
         const deviceId = socket.deviceId;
         console.log(`Socket disconnected: ${socket.id}${deviceId ? ` (Device: ${deviceId})` : ''}`);
 
-        // Log user logout to database if device was registered
-        if (deviceId) {
-            try {
-                const UserData = require('../models/UserData');
-                const LoginLogs = require('../models/LoginLogs');
+        this.clearRegistrationTimer(socket.id);
 
-                // Update user data with logout
-                await UserData.userLogout(deviceId);
+        // Nothing to tear down if the device never registered or registered again on a newer socket
+        const user = this.userController.disconnectSocket(socket.id);
+        if (!user) return;
 
-                // Log the logout event
-                await LoginLogs.logLogout(deviceId);
+        // Remove from waiting lists
+        MatchingService.removeFromWaitingList(user.id);
 
-                console.log(`Device ${deviceId} logout logged to database`);
-            } catch (error) {
-                console.error(`Failed to log device logout: ${error.message}`);
-            }
+        // Offline users can neither send nor answer friend invitations
+        this.friendController.removeUserInvites(user.id);
+
+        // A disconnected user is no longer typing
+        this.chatActivityController.stopTyping(user.id);
+
+        // Keep an active chat or group open for a while in case the device reconnects
+        const suspendResult = this.sessionController.suspendSession(user.id, socket.id, (session) => this.expireSession(session));
+
+        if (!suspendResult.suspended) {
+            this.removeUserSessions(user.id);
+        }
+
+        // Log user logout to database
+        try {
+            const UserData = require('../models/UserData');
+            const LoginLogs = require('../models/LoginLogs');
+
+            // Update user data with logout
+            await UserData.userLogout(deviceId);
+
+            // Log the logout event
+            await LoginLogs.logLogout(deviceId);
+
+            console.log(`Device ${deviceId} logout logged to database`);
+        } catch (error) {
+            console.error(`Failed to log device logout: ${error.message}`);
         }
 
+        // Broadcast updated user count
+        this.broadcastActiveUsers();
+    }
+
+    /**
+     * End a suspended session whose device did not reconnect in time
+     * @param {Object} session - Expired session
+     */
+    expireSession(session) {
+        this.removeUserSessions(session.userId);
+        this.broadcastActiveUsers();
+    }
+
+    /**
+     * End a user's chat and group and delete the user
+     * @param {string} userId - Internal user ID
+     */
+    removeUserSessions(userId) {
+        // Drop any suspended session so it does not expire later
+        this.sessionController.cancelSession(userId);
+
         // End any active chat
-        this.chatController.endChat(socket.id);
+        this.chatController.endChat(userId);
 
         // Leave any group chat
-        this.groupChatController.forceRemoveUserFromGroups(socket.id);
+        this.groupChatController.forceRemoveUserFromGroups(userId);
 
         // Remove from waiting lists
-        MatchingService.removeFromWaitingList(socket.id);
+        MatchingService.removeFromWaitingList(userId);
 
         // Delete user
-        this.userController.deleteUser(socket.id);
+        this.userController.deleteUser(userId);
+    }
 
-        // Broadcast updated user count
-        this.broadcastActiveUsers();
+    /**
+     * Enforce a ban on every socket registered with the device, on any instance
+     * @param {string} deviceId - Banned device ID
+     * @param {Object} banStatus - Ban status from BanService
+     */
+    async enforceBan(deviceId, banStatus) {
+        try {
+            const sockets = await this.io.in(`device:${deviceId}`).fetchSockets();
+            sockets.forEach(socket => {
+                console.log(`Enforcing ban on device ${deviceId} (Socket: ${socket.id})`);
+                this.rejectBannedSocket(socket, deviceId, banStatus);
+            });
+        } catch (error) {
+            console.error(`Failed to enforce ban on device ${deviceId}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Notify a banned socket, tear down its sessions and disconnect it
+     * @param {Object} socket - Socket instance (local or remote)
+     * @param {string} deviceId - Banned device ID
+     * @param {Object} banStatus - Ban status from BanService
+     */
+    rejectBannedSocket(socket, deviceId, banStatus) {
+        socket.emit('banned', {
+            deviceId,
+            isPermanent: banStatus.isPermanent,
+            remainingTime: banStatus.remainingTime,
+            banEndsAt: banStatus.banEndsAt,
+            message: banStatus.isPermanent
+                ? 'This device has been permanently banned'
+                : 'This device is temporarily banned',
+            timestamp: new Date()
+        });
+
+        const user = this.userController.getUserByDevice(deviceId);
+        if (user) {
+            this.removeUserSessions(user.id);
+        }
+
+        socket.disconnect(true);
     }
 
     /**
@@ -387,17 +1097,18 @@ class SocketView {
     }
 
     /**
-     * Broadcast server statistics to all clients
+     * Broadcast server statistics to admin clients
      */
     broadcastStats() {
         const userStats = this.userController.getUserStats();
         const chatStats = this.chatController.getChatStats();
         const groupStats = this.groupChatController.getGroupStats();
 
-        this.io.emit('serverStats', {
+        this.io.to('admins').emit('serverStats', {
             users: userStats,
             chats: chatStats,
             groups: groupStats,
+            suspendedSessions: this.sessionController.getSuspendedSessionsCount(),
             timestamp: new Date()
         });
     }
@@ -408,7 +1119,7 @@ class SocketView {
      * @param {string} message - Error message
      * @param {string} code - Error code (optional)
      */
-    sendError(socket, message, code = 'GENERAL_ERROR') {
+    sendError(socket, message, code = ERROR_CODES.GENERAL_ERROR) {
         socket.emit('error', {
             message,
             code,
@@ -429,6 +1140,32 @@ class SocketView {
             timestamp: new Date()
         });
     }
+
+    /**
+     * Answer an event's acknowledgement callback, if the client sent one
+     * @param {Function} ack - Acknowledgement callback (optional)
+     * @param {Object} response - Response data
+     */
+    acknowledge(ack, response) {
+        if (typeof ack === 'function') {
+            ack(response);
+        }
+    }
+
+    /**
+     * Format a send result for the sender's acknowledgement
+     * @param {Object} result - Controller send result
+     * @returns {Object} Acknowledgement data
+     */
+    formatSendAck(result) {
+        return {
+            messageId: result.messageId,
+            content: result.content,
+            isFiltered: result.isFiltered,
+            timestamp: result.timestamp,
+            duplicate: result.duplicate
+        };
+    }
 }
 
 module.exports = SocketView;
\ No newline at end of file
@@ -0,0 +1,142 @@
+/**
+ * Two server instances in one process (CLUSTER_MODE=local) must behave like two Redis-backed nodes:
+ * users connected to different instances are matched and can chat.
+ */
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { io: connectClient } = require('socket.io-client');
+
+const UserData = require('../src/models/UserData');
+const LoginLogs = require('../src/models/LoginLogs');
+const ChatServer = require('../src/server');
+const chatConfig = require('../src/config/chat');
+const attachmentsConfig = require('../src/config/attachments');
+const { createClusterBroker } = require('../src/cluster');
+const { createStorageAdapter } = require('../src/storage');
+
+/**
+ * Start a server instance with its own broker and storage
+ * @param {string} instanceId - Instance name
+ * @returns {Promise<Object>} { server, url }
+ */
+async function startInstance(instanceId) {
+    const broker = createClusterBroker({ mode: 'local', instanceId });
+    await broker.connect();
+
+    const storage = createStorageAdapter(broker, { isolated: true });
+    await storage.init();
+
+    const server = new ChatServer({ broker, storage });
+    server.start(0);
+    await new Promise(resolve => server.getServer().once('listening', resolve));
+
+    return { server, url: `http://localhost:${server.getServer().address().port}` };
+}
+
+/**
+ * Wait for the next occurrence of an event
+ * @param {Object} socket - Client socket
+ * @param {string} event - Event name
+ * @returns {Promise<Array>} Event arguments
+ */
+function nextEvent(socket, event) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), 5000);
+        socket.once(event, (...args) => {
+            clearTimeout(timer);
+            resolve(args);
+        });
+    });
+}
+
+/**
+ * Connect a client and register its device
+ * @param {string} url - Server URL
+ * @param {string} deviceId - Device ID
+ * @returns {Promise<Object>} { socket, publicId }
+ */
+async function connectDevice(url, deviceId) {
+    const socket = connectClient(url, { transports: ['websocket'], reconnection: false });
+    await nextEvent(socket, 'connected');
+
+    socket.emit('registerDevice', { deviceId });
+    const [registration] = await nextEvent(socket, 'deviceRegistered');
+
+    return { socket, publicId: registration.userId };
+}
+
+describe('local cluster', () => {
+    let first;
+    let second;
+    let deliveryAckTimeoutMs;
+    let uploadDir;
+
+    before(async () => {
+        mock.method(console, 'log', () => {});
+        mock.method(UserData, 'findOne', async () => null);
+        mock.method(UserData, 'userLogin', async (deviceId) => new UserData({ deviceId }));
+        mock.method(UserData, 'userLogout', async () => null);
+        mock.method(LoginLogs, 'logLogin', async () => null);
+        mock.method(LoginLogs, 'logLogout', async () => null);
+
+        // The cluster adapter keeps delivery acknowledgement requests open for the whole timeout
+        deliveryAckTimeoutMs = chatConfig.deliveryAckTimeoutMs;
+        chatConfig.deliveryAckTimeoutMs = 500;
+
+        // Keep attachments away from the working directory's uploads
+        uploadDir = attachmentsConfig.uploadDir;
+        attachmentsConfig.uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-uploads-'));
+
+        first = await startInstance('test-a');
+        second = await startInstance('test-b');
+    });
+
+    after(async () => {
+        await first.server.close();
+        await second.server.close();
+        mock.restoreAll();
+        chatConfig.deliveryAckTimeoutMs = deliveryAckTimeoutMs;
+
+        fs.rmSync(attachmentsConfig.uploadDir, { recursive: true, force: true });
+        attachmentsConfig.uploadDir = uploadDir;
+    });
+
+    it('matches users waiting on different instances and relays their messages', async () => {
+        const alice = await connectDevice(first.url, 'device-alice');
+        const bob = await connectDevice(second.url, 'device-bob');
+
+        try {
+            const waiting = nextEvent(alice.socket, 'waitingForPartner');
+            alice.socket.emit('startChat');
+            await waiting;
+
+            const aliceStarted = nextEvent(alice.socket, 'chatStarted');
+            const bobStarted = nextEvent(bob.socket, 'chatStarted');
+            bob.socket.emit('startChat');
+
+            const [[aliceChat], [bobChat]] = await Promise.all([aliceStarted, bobStarted]);
+            assert.equal(aliceChat.chatId, bobChat.chatId);
+            assert.equal(aliceChat.partnerId, bob.publicId);
+            assert.equal(bobChat.partnerId, alice.publicId);
+
+            const received = nextEvent(alice.socket, 'messageReceived');
+            bob.socket.emit('sendMessage', { message: 'hello across instances' });
+
+            const [message, acknowledge] = await received;
+            acknowledge();
+            assert.equal(message.content, 'hello across instances');
+            assert.equal(message.senderId, bob.publicId);
+
+            const ended = nextEvent(bob.socket, 'chatEnded');
+            alice.socket.emit('endChat');
+            await ended;
+        } finally {
+            alice.socket.close();
+            bob.socket.close();
+        }
+    });
+});
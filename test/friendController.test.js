@@ -0,0 +1,133 @@
+/**
+ * Friend invitations follow the matcher's rules: no private chats across age groups or after a block
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const User = require('../src/models/User');
+const Friendship = require('../src/models/Friendship');
+const FriendController = require('../src/controllers/FriendController');
+const PartnerHistoryService = require('../src/services/partnerHistoryService');
+
+const currentYear = new Date().getFullYear();
+
+/**
+ * Create an online user
+ * @param {string} id - User ID
+ * @param {number} birthYear - Profile birth year
+ * @returns {User} User
+ */
+function createUser(id, birthYear) {
+    const user = new User(id, `socket-${id}`);
+    user.deviceId = `device-${id}`;
+    user.updateProfile({ birthYear });
+    return user;
+}
+
+describe('FriendController invitations', () => {
+    let controller;
+    let users;
+    let startChat;
+
+    beforeEach(() => {
+        users = new Map();
+        startChat = mock.fn(() => ({ success: true, chatId: 'chat_1' }));
+
+        const io = { to: () => ({ emit: () => {} }) };
+        controller = new FriendController(io, { startChat, clearSearchRetry: () => {} });
+
+        mock.method(console, 'error', () => {});
+        mock.method(console, 'log', () => {});
+        mock.method(controller.userController, 'getUser', (userId) => users.get(userId) || null);
+        mock.method(controller.userController, 'getUserByDevice', (deviceId) => {
+            return Array.from(users.values()).find(user => user.deviceId === deviceId) || null;
+        });
+        mock.method(Friendship, 'findFriendship', async (friendId, deviceId) => ({
+            id: friendId,
+            friendDeviceId: deviceId === 'device-alice' ? 'device-bob' : 'device-alice'
+        }));
+    });
+
+    afterEach(() => {
+        controller.removeUserInvites('alice');
+        mock.restoreAll();
+    });
+
+    /**
+     * Store an invitation from alice to bob, as inviteFriend would
+     * @returns {Object} Invitation
+     */
+    function saveInvite() {
+        return controller.inviteRepository.save({
+            id: 'invite_1',
+            fromUserId: 'alice',
+            toUserId: 'bob',
+            friendshipId: 'friend_1',
+            createdAt: new Date(),
+            expiresAt: new Date(Date.now() + 60 * 1000)
+        });
+    }
+
+    it('invites a friend of the same age group', async () => {
+        users.set('alice', createUser('alice', currentYear - 30));
+        users.set('bob', createUser('bob', currentYear - 25));
+
+        const result = await controller.inviteFriend('alice', 'friend_1');
+
+        assert.equal(result.success, true);
+    });
+
+    it('refuses to invite a friend of another age group', async () => {
+        users.set('alice', createUser('alice', currentYear - 30));
+        users.set('bob', createUser('bob', currentYear - 15));
+
+        const result = await controller.inviteFriend('alice', 'friend_1');
+
+        assert.deepEqual(result, { success: false, error: 'You cannot chat with this friend' });
+    });
+
+    it('refuses to invite a friend when either side blocked the other', async () => {
+        users.set('alice', createUser('alice', currentYear - 30));
+        users.set('bob', createUser('bob', currentYear - 25));
+        mock.method(PartnerHistoryService, 'getPartnerStatus', () => 'blocked');
+
+        const result = await controller.inviteFriend('alice', 'friend_1');
+
+        assert.deepEqual(result, { success: false, error: 'You cannot chat with this friend' });
+    });
+
+    it('starts the chat when an invitation is accepted', () => {
+        users.set('alice', createUser('alice', currentYear - 30));
+        users.set('bob', createUser('bob', currentYear - 25));
+        saveInvite();
+
+        const result = controller.acceptInvite('bob', 'invite_1');
+
+        assert.deepEqual(result, { success: true, chatId: 'chat_1' });
+        assert.equal(startChat.mock.callCount(), 1);
+    });
+
+    it('refuses to accept an invitation across age groups', () => {
+        users.set('alice', createUser('alice', currentYear - 30));
+        users.set('bob', createUser('bob', currentYear - 15));
+        saveInvite();
+
+        const result = controller.acceptInvite('bob', 'invite_1');
+
+        assert.deepEqual(result, { success: false, error: 'You cannot chat with this friend' });
+        assert.equal(startChat.mock.callCount(), 0);
+    });
+
+    it('refuses to accept an invitation after a block', () => {
+        users.set('alice', createUser('alice', currentYear - 30));
+        users.set('bob', createUser('bob', currentYear - 25));
+        saveInvite();
+        mock.method(PartnerHistoryService, 'getPartnerStatus', () => 'blocked');
+
+        const result = controller.acceptInvite('bob', 'invite_1');
+
+        assert.deepEqual(result, { success: false, error: 'You cannot chat with this friend' });
+        assert.equal(startChat.mock.callCount(), 0);
+    });
+});
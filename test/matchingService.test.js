@@ -0,0 +1,300 @@
+/**
+ * Candidate scoring and the gradual relaxation of optional matching requirements
+ */
+
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const User = require('../src/models/User');
+const UserRepository = require('../src/repositories/UserRepository');
+const MatchingService = require('../src/services/matchingService');
+const PartnerHistoryService = require('../src/services/partnerHistoryService');
+const matchingConfig = require('../src/config/matching');
+
+const SECOND = 1000;
+
+const testConfig = {
+    relaxationSteps: 3,
+    tagFallbackMs: 15 * SECOND,
+    maxRequiredSharedTags: 3,
+    languageMode: 'soft',
+    languageRelaxMs: 30 * SECOND,
+    recentPartnerTtlMs: 600 * SECOND,
+    recentPartnerRelaxMs: 60 * SECOND,
+    scoreWeights: {
+        commonLanguage: 100,
+        sharedTag: 20,
+        sameRegion: 10,
+        waitSecond: 1,
+        recentPartner: -150
+    }
+};
+
+/**
+ * Create a searching user
+ * @param {string} id - User ID
+ * @param {Object} profile - Profile fields to set
+ * @returns {User} User
+ */
+function createUser(id, profile = {}) {
+    const user = new User(id);
+    user.deviceId = `device-${id}`;
+    user.updateProfile(profile);
+    return user;
+}
+
+/**
+ * Describe a user searching since a given time, as getMatchFit expects
+ * @param {User} user - User
+ * @param {Array} tags - Interest tags
+ * @param {number} waitedMs - How long the user has been searching
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} { user, tags, searchingSince }
+ */
+function searching(user, tags, waitedMs, now) {
+    return { user, tags, searchingSince: new Date(now - waitedMs) };
+}
+
+describe('MatchingService', () => {
+    const now = Date.now();
+    let savedConfig;
+
+    before(() => {
+        savedConfig = {};
+        Object.keys(testConfig).forEach(key => {
+            savedConfig[key] = matchingConfig[key];
+            matchingConfig[key] = testConfig[key];
+        });
+    });
+
+    after(() => {
+        Object.assign(matchingConfig, savedConfig);
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    describe('scoreCandidate', () => {
+        it('adds up the weights of every fit criterion', () => {
+            const score = MatchingService.scoreCandidate({
+                commonLanguage: true,
+                sharedCount: 2,
+                sameRegion: true,
+                waitedMs: 30 * SECOND,
+                recentPartner: false
+            });
+
+            assert.equal(score, 100 + 2 * 20 + 10 + 30);
+        });
+
+        it('penalizes recent partners and ignores negative waits', () => {
+            const score = MatchingService.scoreCandidate({
+                commonLanguage: false,
+                sharedCount: 0,
+                sameRegion: false,
+                waitedMs: -5 * SECOND,
+                recentPartner: true
+            });
+
+            assert.equal(score, -150);
+        });
+
+        it('lets a long wait outweigh a better fit', () => {
+            const newcomer = { commonLanguage: false, sharedCount: 1, sameRegion: true, waitedMs: 0, recentPartner: false };
+            const veteran = { ...newcomer, sharedCount: 0, waitedMs: 40 * SECOND };
+
+            assert.ok(MatchingService.scoreCandidate(veteran) > MatchingService.scoreCandidate(newcomer));
+        });
+    });
+
+    describe('getMatchFit', () => {
+        it('describes how two compatible users fit', () => {
+            const alice = createUser('alice', { languages: ['en'], region: 'eu' });
+            const bob = createUser('bob', { languages: ['en', 'hi'], region: 'eu' });
+
+            const fit = MatchingService.getMatchFit(
+                searching(alice, ['games'], 0, now),
+                searching(bob, ['games'], 0, now),
+                now
+            );
+
+            assert.deepEqual(fit, { commonLanguage: true, sharedCount: 1, sameRegion: true, recentPartner: false });
+        });
+
+        it('never matches minors with adults', () => {
+            const year = new Date().getFullYear();
+            const minor = createUser('minor', { birthYear: year - 15 });
+            const adult = createUser('adult', { birthYear: year - 30 });
+
+            assert.equal(MatchingService.getMatchFit(
+                searching(minor, [], 60 * SECOND, now),
+                searching(adult, [], 60 * SECOND, now),
+                now
+            ), null);
+        });
+
+        it('keeps users without a birth year apart from adults and minors', () => {
+            const year = new Date().getFullYear();
+            const unknown = createUser('unknown');
+            const fitWith = (partner) => MatchingService.getMatchFit(
+                searching(unknown, [], 60 * SECOND, now),
+                searching(partner, [], 60 * SECOND, now),
+                now
+            );
+
+            assert.equal(fitWith(createUser('adult', { birthYear: year - 30 })), null);
+            assert.equal(fitWith(createUser('minor', { birthYear: year - 15 })), null);
+            assert.ok(fitWith(createUser('other')));
+        });
+
+        it('lowers the number of required shared tags step by step', () => {
+            const alice = createUser('alice');
+            const bob = createUser('bob');
+            const aliceTags = ['music', 'games', 'films', 'books'];
+            const bobTags = ['music', 'cars'];
+
+            const fitAfter = (waitedMs) => MatchingService.getMatchFit(
+                searching(alice, aliceTags, waitedMs, now),
+                searching(bob, bobTags, 15 * SECOND, now),
+                now
+            );
+
+            // Three shared tags are required at first, then two, then one, then none
+            assert.equal(MatchingService.getRequiredSharedTags(aliceTags, new Date(now), now), 3);
+            assert.equal(fitAfter(0), null);
+            assert.equal(fitAfter(5 * SECOND), null);
+            assert.equal(fitAfter(10 * SECOND).sharedCount, 1);
+            assert.equal(MatchingService.getRequiredSharedTags(aliceTags, new Date(now - 15 * SECOND), now), 0);
+        });
+
+        it('accepts a same-region partner without a common language before anyone else', () => {
+            const alice = createUser('alice', { languages: ['en'], region: 'eu' });
+            const neighbour = createUser('neighbour', { languages: ['hi'], region: 'eu' });
+            const stranger = createUser('stranger', { languages: ['hi'], region: 'asia' });
+
+            const fitAfter = (partner, waitedMs) => MatchingService.getMatchFit(
+                searching(alice, [], waitedMs, now),
+                searching(partner, [], 30 * SECOND, now),
+                now
+            );
+
+            assert.equal(fitAfter(neighbour, 0), null);
+            assert.ok(fitAfter(neighbour, 10 * SECOND));
+            assert.equal(fitAfter(stranger, 20 * SECOND), null);
+            assert.ok(fitAfter(stranger, 30 * SECOND));
+        });
+
+        it('never relaxes the language requirement in strict mode', () => {
+            matchingConfig.languageMode = 'strict';
+
+            try {
+                const alice = createUser('alice', { languages: ['en'], region: 'eu' });
+                const bob = createUser('bob', { languages: ['hi'], region: 'eu' });
+
+                assert.equal(MatchingService.getMatchFit(
+                    searching(alice, [], 10 * 60 * SECOND, now),
+                    searching(bob, [], 10 * 60 * SECOND, now),
+                    now
+                ), null);
+            } finally {
+                matchingConfig.languageMode = testConfig.languageMode;
+            }
+        });
+
+        it('accepts older recent partners first, once both users have waited', () => {
+            const alice = createUser('alice');
+            const bob = createUser('bob');
+            let apartMs = 0;
+
+            mock.method(PartnerHistoryService, 'getPartnerStatus', () => 'recent');
+            mock.method(PartnerHistoryService, 'getRecentPartnerRemainingMs', () => apartMs);
+
+            const fitAfter = (aliceWaitedMs, bobWaitedMs) => MatchingService.getMatchFit(
+                searching(alice, [], aliceWaitedMs, now),
+                searching(bob, [], bobWaitedMs, now),
+                now
+            );
+
+            // Kept apart for another 150s: accepted after the first 20s step (which allows up to 200s)
+            apartMs = 150 * SECOND;
+            assert.equal(fitAfter(10 * SECOND, 60 * SECOND), null);
+            assert.equal(fitAfter(20 * SECOND, 60 * SECOND).recentPartner, true);
+            assert.equal(fitAfter(60 * SECOND, 10 * SECOND), null);
+
+            // A chat that just ended is only accepted after the full wait
+            apartMs = 590 * SECOND;
+            assert.equal(fitAfter(59 * SECOND, 60 * SECOND), null);
+            assert.ok(fitAfter(60 * SECOND, 60 * SECOND));
+        });
+
+        it('never matches blocked partners', () => {
+            mock.method(PartnerHistoryService, 'getPartnerStatus', () => 'blocked');
+
+            assert.equal(MatchingService.getMatchFit(
+                searching(createUser('alice'), [], 10 * 60 * SECOND, now),
+                searching(createUser('bob'), [], 10 * 60 * SECOND, now),
+                now
+            ), null);
+        });
+    });
+
+    describe('getRelaxationDelay', () => {
+        it('waits for the nearest relaxation step of the user\'s requirements', () => {
+            mock.method(PartnerHistoryService, 'hasRecentPartners', () => false);
+
+            const user = createUser('alice', { languages: ['en'] });
+            user.updatePreferences({ interestTags: ['music'] });
+
+            // Tag steps every 5s, language steps every 10s
+            assert.equal(MatchingService.getRelaxationDelay(user, new Date(now - 2 * SECOND), now), 3 * SECOND);
+            assert.equal(MatchingService.getRelaxationDelay(user, new Date(now - 14 * SECOND), now), 1 * SECOND);
+            assert.equal(MatchingService.getRelaxationDelay(user, new Date(now - 16 * SECOND), now), 4 * SECOND);
+            assert.equal(MatchingService.getRelaxationDelay(user, new Date(now - 30 * SECOND), now), 0);
+        });
+
+        it('has nothing to relax for users without optional requirements', () => {
+            mock.method(PartnerHistoryService, 'hasRecentPartners', () => false);
+
+            assert.equal(MatchingService.getRelaxationDelay(createUser('alice'), new Date(now), now), 0);
+        });
+    });
+
+    describe('getQueueStatuses', () => {
+        afterEach(() => {
+            MatchingService.clearWaitingUsers();
+            new UserRepository().clear();
+        });
+
+        it('counts compatible candidates for the whole queue in one pass', () => {
+            const year = new Date().getFullYear();
+            const repository = new UserRepository();
+            const alice = createUser('alice', { birthYear: year - 30 });
+            const bob = createUser('bob', { birthYear: year - 40 });
+            const carol = createUser('carol', { birthYear: year - 15 });
+            const dave = createUser('dave', { birthYear: year - 35 });
+            const erin = createUser('erin', { birthYear: year - 25 });
+
+            dave.setInChat(true);
+            [alice, bob, carol, dave, erin].forEach(user => repository.save(user));
+
+            MatchingService.addToWaitingList('alice', {}, new Date(Date.now() - 3 * SECOND));
+            MatchingService.addToWaitingList('bob', {}, new Date(Date.now() - 2 * SECOND));
+            MatchingService.addToWaitingList('carol', {}, new Date(Date.now() - SECOND));
+
+            const fitChecks = mock.method(MatchingService, 'getMatchFit');
+            const statuses = MatchingService.getQueueStatuses(['alice', 'bob', 'carol', 'erin']);
+
+            // Erin is neither waiting nor chatting; dave is in a chat and would be free to match afterwards
+            assert.deepEqual(Array.from(statuses.keys()), ['alice', 'bob', 'carol']);
+            assert.equal(statuses.get('alice').compatibleCandidates, 2);
+            assert.equal(statuses.get('bob').compatibleCandidates, 2);
+            assert.equal(statuses.get('carol').compatibleCandidates, 0);
+            assert.equal(statuses.get('alice').position, 1);
+            assert.equal(statuses.get('carol').queueLength, 3);
+
+            // alice-bob, alice-carol, alice-dave, bob-carol, bob-dave, carol-dave
+            assert.equal(fitChecks.mock.callCount(), 6);
+        });
+    });
+});
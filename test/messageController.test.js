@@ -0,0 +1,61 @@
+/**
+ * Messages can be edited or unsent only while younger than MESSAGE_EDIT_WINDOW_MS
+ */
+
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Message = require('../src/models/Message');
+const MessageController = require('../src/controllers/MessageController');
+const chatConfig = require('../src/config/chat');
+
+describe('MessageController edit window', () => {
+    let controller;
+    let messageEditWindowMs;
+
+    before(() => {
+        messageEditWindowMs = chatConfig.messageEditWindowMs;
+        controller = new MessageController({ to: () => ({ emit: () => {} }) });
+    });
+
+    after(() => {
+        chatConfig.messageEditWindowMs = messageEditWindowMs;
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    /**
+     * Find the user's own message of the given age
+     * @param {number} ageMs - Message age in milliseconds
+     * @returns {Object} Found message
+     */
+    function findMessageAged(ageMs) {
+        const message = new Message('alice', 'hello', 'chat_1');
+        mock.method(message, 'getAge', () => ageMs);
+        mock.method(controller, 'findConversationMessage', () => ({ message }));
+
+        return controller.findOwnMessage('alice', message.id, 'edit');
+    }
+
+    it('allows changes until the window is over', () => {
+        chatConfig.messageEditWindowMs = 1000;
+
+        assert.ok(findMessageAged(0));
+        assert.ok(findMessageAged(999));
+    });
+
+    it('refuses changes from the moment the window ends', () => {
+        chatConfig.messageEditWindowMs = 1000;
+
+        assert.throws(() => findMessageAged(1000), /can no longer be edited/);
+        assert.throws(() => findMessageAged(1001), /can no longer be edited/);
+    });
+
+    it('refuses every change when the window is 0', () => {
+        chatConfig.messageEditWindowMs = 0;
+
+        assert.throws(() => findMessageAged(0), /can no longer be edited/);
+    });
+});
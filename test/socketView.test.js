@@ -0,0 +1,57 @@
+/**
+ * Device registration fails closed when the ban status cannot be checked
+ */
+
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const SocketView = require('../src/views/SocketView');
+const BanService = require('../src/services/banService');
+const ERROR_CODES = require('../src/utils/errorCodes');
+
+/**
+ * Create a connected socket that records what it is sent
+ * @returns {Object} Fake socket
+ */
+function createSocket() {
+    return {
+        id: `socket-${Math.random()}`,
+        connected: true,
+        emit: mock.fn(),
+        join: () => {}
+    };
+}
+
+describe('SocketView registration', () => {
+    let view;
+
+    before(() => {
+        view = new SocketView({ to: () => ({ emit: () => {} }), in: () => ({ disconnectSockets: () => {} }) });
+    });
+
+    after(() => {
+        view.close();
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('rejects the registration with a retryable error when the ban check fails', async () => {
+        mock.method(console, 'error', () => {});
+        mock.method(BanService, 'checkDevice', async () => {
+            throw new Error('database unavailable');
+        });
+        const connectUser = mock.method(view.userController, 'connectUser');
+        const socket = createSocket();
+
+        await view.handleRegisterDevice(socket, { deviceId: 'device-1' });
+
+        assert.equal(connectUser.mock.callCount(), 0);
+        assert.equal(socket.emit.mock.callCount(), 1);
+
+        const [event, payload] = socket.emit.mock.calls[0].arguments;
+        assert.equal(event, 'error');
+        assert.equal(payload.code, ERROR_CODES.SERVICE_UNAVAILABLE);
+    });
+});
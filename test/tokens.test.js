@@ -0,0 +1,127 @@
+/**
+ * Signed admin and attachment tokens: valid tokens are accepted, tampered and expired ones are not
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const adminConfig = require('../src/config/admin');
+const { createAdminToken, verifyAdminCredential } = require('../src/middleware/adminAuth');
+const { createAttachmentToken, verifyAttachmentToken } = require('../src/middleware/attachmentAuth');
+
+/**
+ * Replace the payload of a signed token, keeping its signature
+ * @param {string} token - Signed token
+ * @param {Object} changes - Payload fields to change
+ * @returns {string} Tampered token
+ */
+function tamperPayload(token, changes) {
+    const [payload, signature] = token.split('.');
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    const tampered = Buffer.from(JSON.stringify({ ...data, ...changes })).toString('base64url');
+    return `${tampered}.${signature}`;
+}
+
+/**
+ * Change the last character of a token's signature
+ * @param {string} token - Signed token
+ * @returns {string} Token with an invalid signature
+ */
+function tamperSignature(token) {
+    const last = token.slice(-1);
+    return token.slice(0, -1) + (last === 'A' ? 'B' : 'A');
+}
+
+describe('admin credentials', () => {
+    let savedConfig;
+
+    before(() => {
+        savedConfig = { apiKeys: adminConfig.apiKeys, tokenSecret: adminConfig.tokenSecret };
+        adminConfig.apiKeys = ['test-api-key'];
+        adminConfig.tokenSecret = 'test-admin-secret';
+    });
+
+    after(() => {
+        Object.assign(adminConfig, savedConfig);
+    });
+
+    it('accepts a configured API key', () => {
+        assert.deepEqual(verifyAdminCredential('test-api-key'), { subject: 'api-key', method: 'apiKey' });
+    });
+
+    it('accepts a valid token and reports its subject and expiry', () => {
+        const before = Date.now();
+        const admin = verifyAdminCredential(createAdminToken('ops', 60 * 1000));
+
+        assert.equal(admin.subject, 'ops');
+        assert.equal(admin.method, 'token');
+        assert.ok(admin.expiresAt.getTime() >= before + 60 * 1000);
+    });
+
+    it('rejects a token whose payload was changed', () => {
+        const token = createAdminToken('ops', 60 * 1000);
+        assert.equal(verifyAdminCredential(tamperPayload(token, { sub: 'root' })), null);
+        assert.equal(verifyAdminCredential(tamperPayload(token, { exp: Date.now() + 365 * 24 * 60 * 60 * 1000 })), null);
+    });
+
+    it('rejects a token with a changed signature', () => {
+        assert.equal(verifyAdminCredential(tamperSignature(createAdminToken('ops', 60 * 1000))), null);
+    });
+
+    it('rejects an expired token', () => {
+        assert.equal(verifyAdminCredential(createAdminToken('ops', -1000)), null);
+    });
+
+    it('rejects a token signed with another secret', () => {
+        const token = createAdminToken('ops', 60 * 1000);
+        adminConfig.tokenSecret = 'another-secret';
+
+        try {
+            assert.equal(verifyAdminCredential(token), null);
+        } finally {
+            adminConfig.tokenSecret = 'test-admin-secret';
+        }
+    });
+
+    it('rejects unknown keys and malformed credentials', () => {
+        assert.equal(verifyAdminCredential('wrong-key'), null);
+        assert.equal(verifyAdminCredential('not.a-token'), null);
+        assert.equal(verifyAdminCredential(''), null);
+        assert.equal(verifyAdminCredential(null), null);
+    });
+
+    it('refuses to issue tokens without a secret', () => {
+        adminConfig.tokenSecret = null;
+
+        try {
+            assert.throws(() => createAdminToken('ops'), /ADMIN_TOKEN_SECRET/);
+        } finally {
+            adminConfig.tokenSecret = 'test-admin-secret';
+        }
+    });
+});
+
+describe('attachment tokens', () => {
+    it('returns the public user ID of a valid token', () => {
+        assert.equal(verifyAttachmentToken(createAttachmentToken('public-123', 60 * 1000)), 'public-123');
+    });
+
+    it('rejects a token whose payload was changed', () => {
+        const token = createAttachmentToken('public-123', 60 * 1000);
+        assert.equal(verifyAttachmentToken(tamperPayload(token, { sub: 'public-456' })), null);
+    });
+
+    it('rejects a token with a changed signature', () => {
+        assert.equal(verifyAttachmentToken(tamperSignature(createAttachmentToken('public-123', 60 * 1000))), null);
+    });
+
+    it('rejects an expired token', () => {
+        assert.equal(verifyAttachmentToken(createAttachmentToken('public-123', -1000)), null);
+    });
+
+    it('rejects malformed tokens', () => {
+        assert.equal(verifyAttachmentToken('garbage'), null);
+        assert.equal(verifyAttachmentToken('a.b'), null);
+        assert.equal(verifyAttachmentToken(undefined), null);
+    });
+});
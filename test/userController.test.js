@@ -0,0 +1,47 @@
+/**
+ * The birth year decides a user's age group, so it is locked once set and cannot be set mid-chat
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const UserController = require('../src/controllers/UserController');
+
+describe('UserController birth year', () => {
+    const birthYear = new Date().getFullYear() - 30;
+    let controller;
+    let user;
+
+    beforeEach(() => {
+        controller = new UserController();
+        user = controller.connectUser(`socket-${Math.random()}`, `device-${Math.random()}`).user;
+    });
+
+    it('can be set once', () => {
+        assert.equal(controller.getBirthYearChangeError(user.id, birthYear), null);
+        assert.equal(controller.updateUserProfile(user.id, { birthYear }).birthYear, birthYear);
+    });
+
+    it('cannot be changed after it was set', () => {
+        controller.updateUserProfile(user.id, { birthYear });
+
+        assert.equal(controller.getBirthYearChangeError(user.id, birthYear - 20), 'Birth year cannot be changed once set');
+        assert.equal(controller.getBirthYearChangeError(user.id, birthYear), null);
+
+        // Profile updates leave the locked year alone
+        assert.equal(controller.updateUserProfile(user.id, { birthYear: birthYear - 20 }).birthYear, birthYear);
+    });
+
+    it('cannot be set during a chat', () => {
+        controller.setUserChatStatus(user.id, true);
+
+        assert.equal(controller.getBirthYearChangeError(user.id, birthYear), 'Birth year cannot be set during a chat or group chat');
+        assert.equal(controller.updateUserProfile(user.id, { birthYear }).birthYear, null);
+    });
+
+    it('is restored from an earlier session', () => {
+        assert.equal(controller.restoreBirthYear(user.id, birthYear), true);
+        assert.equal(controller.getUser(user.id).profile.birthYear, birthYear);
+        assert.equal(controller.getBirthYearChangeError(user.id, birthYear - 20), 'Birth year cannot be changed once set');
+    });
+});